@@ -19,6 +19,7 @@ const siteConfig = {
   site: {
     name: 'Elevate Roasting',
     description: 'Small‑batch specialty coffee, roasted at home in San Francisco. We only use high-quality beans and roast with attention to detail.',
+    url: 'https://www.elevateroasting.com', // Canonical origin (matches CNAME), used for absolute links in structured data
     location: 'San Francisco, CA',
     email: 'hello@elevateroasting.com',
     year: new Date().getFullYear() // Dynamic year for copyright notices
@@ -87,6 +88,13 @@ const siteConfig = {
     facebook: null // Reserved for future use - set to null to hide from UI
   },
 
+  // Instagram posts embedded on the home page (features.instagramFeedEnabled),
+  // newest first. Post links, e.g. 'https://www.instagram.com/p/<code>/';
+  // the section stays hidden while this is empty
+  instagramFeed: {
+    posts: []
+  },
+
   // Coffee inventory with detailed product information
   // Each drop includes comprehensive data for future e-commerce features
   // The structure supports filtering, sorting, and detailed product pages
@@ -95,70 +103,241 @@ const siteConfig = {
       id: 1, // Unique identifier for database integration
       name: 'Kenya Nyeri – Washed',
       description: 'Blackcurrant, grapefruit, florals',
-      price: '$18 / 200g',
+      category: 'single-origin', // 'single-origin' or 'espresso'; picks the page and card specs
+      // Bag sizes with integer prices in cents; the first (smallest) is the default
+      // A legacy display string like price: '$18 / 200g' is still accepted
+      variants: [
+        { id: '200g', weightGrams: 200, priceCents: 1800 },
+        { id: '340g', weightGrams: 340, priceCents: 2900 },
+        { id: '1kg', weightGrams: 1000, priceCents: 7800 }
+      ],
       image: '/assets/images/latte-cup.jpg?v=4',
-      available: true, // Controls whether "Buy" or "Sold Out" is shown
+      available: true, // Set false to withdraw a drop; it also sells out when bagsRemaining reaches 0
+      bagsRemaining: 18, // Bags left from the current batch (any size); leave out to not track stock
       roastLevel: 'Light', // For filtering and brewing recommendations
       origin: 'Kenya', // Geographic origin for customer education
       process: 'Washed', // Processing method affects flavor profile
       elevation: '1600-1800m', // Elevation affects bean density and flavor
-      varietal: 'SL-28, SL-34' // Specific coffee varieties for connoisseurs
+      varietal: 'SL-28, SL-34', // Specific coffee varieties for connoisseurs
+      // Latest roast ('YYYY-MM-DD'); cards show its age and a resting/peak badge.
+      // The rest and peak windows default by roastLevel and process (see
+      // CoffeeCatalog.freshness); set restDays/peakDays to override them.
+      roastedOn: '2026-10-14'
     },
     {
       id: 2,
       name: 'Colombia Huila – Washed',
       description: 'Stonefruit, panela, cocoa',
-      price: '$16 / 200g',
+      category: 'single-origin',
+      variants: [
+        { id: '200g', weightGrams: 200, priceCents: 1600 },
+        { id: '340g', weightGrams: 340, priceCents: 2600 },
+        { id: '1kg', weightGrams: 1000, priceCents: 7000 }
+      ],
       image: 'https://images.unsplash.com/photo-1495474472287-4d71bcdd2085?q=80&w=1200&auto=format&fit=crop',
       available: true,
+      bagsRemaining: 24,
       roastLevel: 'Medium',
       origin: 'Colombia',
       process: 'Washed',
       elevation: '1500-1700m',
-      varietal: 'Caturra, Castillo'
+      varietal: 'Caturra, Castillo',
+      roastedOn: '2026-10-07'
     },
     {
       id: 3,
       name: 'Ethiopia Guji – Natural',
       description: 'Blueberry, bergamot, candy',
-      price: '$18 / 200g',
+      category: 'single-origin',
+      variants: [
+        { id: '200g', weightGrams: 200, priceCents: 1800 },
+        { id: '340g', weightGrams: 340, priceCents: 2900 },
+        { id: '1kg', weightGrams: 1000, priceCents: 7800 }
+      ],
       image: 'https://images.unsplash.com/photo-1445077100181-a33e9ac94db0?q=80&w=1200&auto=format&fit=crop',
       available: true,
+      bagsRemaining: 3,
       roastLevel: 'Light',
       origin: 'Ethiopia',
       process: 'Natural', // Natural process creates fruitier, more complex flavors
       elevation: '1800-2200m',
-      varietal: 'Heirloom' // Ethiopian heirloom varieties are genetically diverse
+      varietal: 'Heirloom', // Ethiopian heirloom varieties are genetically diverse
+      roastedOn: '2026-10-13',
+      restDays: 10 // This lot is especially dense and needs longer to open up
+    },
+    {
+      id: 4,
+      name: 'Classic Espresso Blend',
+      description: 'Chocolate, caramel, a hint of citrus',
+      category: 'espresso',
+      variants: [
+        { id: '200g', weightGrams: 200, priceCents: 1600 },
+        { id: '340g', weightGrams: 340, priceCents: 2600 },
+        { id: '1kg', weightGrams: 1000, priceCents: 7000 }
+      ],
+      image: 'https://images.unsplash.com/photo-1495474472287-4d71bcdd2085?q=80&w=1200&auto=format&fit=crop',
+      available: true,
+      bagsRemaining: 40,
+      roastLevel: 'Medium-Dark',
+      body: 'Full', // Espresso cards show body and acidity instead of origin details
+      acidity: 'Medium',
+      // Blend recipe; percentages must add up to 100
+      components: [
+        { origin: 'Brazil', process: 'Natural', percent: 60 },
+        { origin: 'Colombia', process: 'Washed', percent: 40 }
+      ],
+      // Starting point for dialing in, shown in the details dialog
+      recipe: { doseGrams: 18, yieldGrams: 36, timeSeconds: 28 },
+      roastedOn: '2026-10-12'
+    },
+    {
+      id: 5,
+      name: 'Ethiopia Sidama – Espresso',
+      description: 'Bright and complex, floral with a clean finish',
+      category: 'espresso',
+      variants: [
+        { id: '200g', weightGrams: 200, priceCents: 1800 },
+        { id: '340g', weightGrams: 340, priceCents: 2900 }
+      ],
+      image: '/assets/images/latte-cup.jpg?v=4',
+      available: true,
+      bagsRemaining: 0,
+      roastLevel: 'Medium',
+      origin: 'Ethiopia',
+      process: 'Washed',
+      body: 'Medium',
+      acidity: 'Bright',
+      components: [
+        { origin: 'Ethiopia', process: 'Washed', percent: 100 }
+      ],
+      recipe: { doseGrams: 18, yieldGrams: 40, timeSeconds: 27 },
+      roastedOn: '2026-09-16'
+    },
+    {
+      id: 6,
+      name: 'Guatemala Huehuetenango – Washed',
+      description: 'Red apple, milk chocolate, toffee',
+      category: 'single-origin',
+      variants: [
+        { id: '200g', weightGrams: 200, priceCents: 1700 },
+        { id: '340g', weightGrams: 340, priceCents: 2800 },
+        { id: '1kg', weightGrams: 1000, priceCents: 7400 }
+      ],
+      image: 'https://images.unsplash.com/photo-1447933601403-0c6688de566e?q=80&w=1200&auto=format&fit=crop',
+      available: true,
+      bagsRemaining: 30,
+      roastLevel: 'Medium',
+      origin: 'Guatemala',
+      process: 'Washed',
+      elevation: '1700-1900m',
+      varietal: 'Bourbon, Caturra',
+      // Release window as ISO timestamps with an offset. Before releaseAt the
+      // drop is a 'Coming Friday' teaser with a countdown; it goes on sale at
+      // releaseAt without a reload. After retireAt it moves to Past drops.
+      // Both are optional.
+      releaseAt: '2026-10-23T09:00:00-07:00'
+    },
+    {
+      id: 7,
+      name: 'Rwanda Nyamasheke – Washed',
+      description: 'Red currant, black tea, honey',
+      category: 'single-origin',
+      variants: [
+        { id: '200g', weightGrams: 200, priceCents: 1800 },
+        { id: '340g', weightGrams: 340, priceCents: 2900 }
+      ],
+      image: 'https://images.unsplash.com/photo-1445077100181-a33e9ac94db0?q=80&w=1200&auto=format&fit=crop',
+      available: true,
+      bagsRemaining: 0,
+      roastLevel: 'Light',
+      origin: 'Rwanda',
+      process: 'Washed',
+      elevation: '1800-2000m',
+      varietal: 'Red Bourbon',
+      roastedOn: '2026-09-02',
+      releaseAt: '2026-08-07T09:00:00-07:00',
+      retireAt: '2026-09-30T18:00:00-07:00'
     }
   ],
 
-  // Subscription tiers for future Stripe integration
+  // Subscription tiers, paid through Stripe Checkout when stripeEnabled is on
   // Pricing structure supports different customer preferences and budgets
-  // The interval field enables automatic recurring billing
+  // The interval field sets how often pickups repeat and the Stripe billing
+  // interval: 'week', '2 weeks' or 'month'
+  // Per-bag prices are derived from the coffeeDrops variants matching
+  // bagWeightGrams, so plan cards always agree with the coffee menu
   subscriptionOptions: [
     {
       id: 'weekly',
       name: 'Weekly',
-      price: '$16-18/bag',
+      bagWeightGrams: 200,
       description: 'Fresh coffee every week for pickup',
-      interval: 'week' // Maps to Stripe billing interval
+      interval: 'week'
     },
     {
       id: 'biweekly',
       name: 'Bi-weekly',
-      price: '$16-18/bag', // Slight discount for larger orders
+      bagWeightGrams: 200,
       description: 'Fresh coffee every two weeks for pickup',
       interval: '2 weeks'
     },
     {
       id: 'monthly',
       name: 'Monthly',
-      price: '$16-18/bag', // Best value for regular customers
-      description: 'Fresh coffee every month for pickup',
+      bagWeightGrams: 200,
+      description: 'Fresh coffee every four weeks for pickup',
       interval: 'month'
     }
   ],
 
+  // Where and when subscribers collect their coffee (pickup only for now)
+  // Day ids are weekday names and are stored with each subscription, so
+  // rename labels, not ids
+  // startTime/endTime (24h, schedule.timezone) are used for calendar exports
+  pickup: {
+    location: 'Mission District, San Francisco',
+    days: [
+      { id: 'thursday', label: 'Thursday', hours: '4–7pm', startTime: '16:00', endTime: '19:00' },
+      { id: 'saturday', label: 'Saturday', hours: '9am–12pm', startTime: '09:00', endTime: '12:00' }
+    ]
+  },
+
+  // Weekly roasting rhythm (see js/schedule.js), in the roastery's timezone.
+  // Each pickup's coffee is roasted on the roastDays in the week before it;
+  // orders and subscription changes made after that roast's orderCutoff
+  // move to the following pickup.
+  schedule: {
+    timezone: 'America/Los_Angeles',
+    roastDays: ['monday', 'tuesday', 'wednesday'],
+    orderCutoff: { weekday: 'sunday', time: '20:00' },
+    // No roasting or pickups on these days; 'to' defaults to 'from'.
+    // A pickup on a blackout date, or with no roast day left before it,
+    // doesn't happen and isn't charged.
+    blackoutDates: [
+      { from: '2026-11-26', reason: 'Thanksgiving' },
+      { from: '2026-12-24', to: '2027-01-03', reason: 'Holiday break' }
+    ]
+  },
+
+  // Stock settings; bag counts live on each coffee drop (bagsRemaining)
+  inventory: {
+    lowStockThreshold: 5 // Show "Only N bags left" at or below this; a drop's own lowStockThreshold wins
+  },
+
+  // Online payments (features.stripeEnabled). The backend creates Stripe
+  // Checkout Sessions and sends customers back to these pages afterwards
+  checkout: {
+    currency: 'usd',
+    successPath: '/checkout/success.html', // Gets ?session_id= for the confirmation
+    cancelPath: '/checkout/cancel.html'
+  },
+
+  // Privacy consent banner (js/consent.js). Bump the version when we start
+  // storing or sharing something new, so every visitor is asked again
+  consent: {
+    version: 1
+  },
+
   // API endpoint configuration for future backend integration
   // Centralized API structure enables easy environment switching
   // Base URL can be changed for staging/production environments
@@ -167,19 +346,26 @@ const siteConfig = {
     endpoints: {
       subscribe: '/subscribe', // Email subscription endpoint
       coffee: '/coffee', // Coffee inventory management
-      orders: '/orders' // Order processing and tracking
+      orders: '/orders', // Order processing and tracking
+      contact: '/contact', // Contact form messages
+      subscriptions: '/subscriptions', // Subscription signups and self-service
+      checkoutSessions: '/checkout/sessions', // Stripe Checkout Sessions for carts and subscription signups
+      events: '/events' // First-party analytics collector (features.analyticsEnabled)
     }
   },
 
-  // Feature flags for gradual rollout and A/B testing
-  // Enables safe deployment of new features without breaking existing functionality
-  // Can be controlled via environment variables or admin panel
+  // Feature flags for gradual rollout and A/B testing (see js/feature-flags.js)
+  // Each is true/false, { rollout: 25 } for a percentage of visitors, or
+  // { variants: { control: 50, compact: 50 } } for an experiment
+  // Force one for testing with ?ff=scrollToTopEnabled:on (?ff=reset to clear)
   features: {
-    stripeEnabled: false, // Payment processing - enable when Stripe is configured
+    stripeEnabled: false, // Pay online with Stripe Checkout (see checkout and endpoints.checkoutSessions); when off, nothing is paid online
     emailServiceEnabled: false, // Email marketing - enable when service is chosen
-    instagramFeedEnabled: false, // Social media integration - enable when API is ready
-    analyticsEnabled: false, // User tracking - enable when analytics are configured
-    scrollToTopEnabled: false // Scroll to top functionality - enable if needed
+    contactServiceEnabled: false, // Contact form API; when off the form opens a pre-filled email instead
+    inventoryServiceEnabled: false, // Live stock from endpoints.coffee and pickup reservations via endpoints.orders; when off, stock comes from this file
+    instagramFeedEnabled: false, // Embedded Instagram posts on the home page (see instagramFeed)
+    analyticsEnabled: false, // Send trackEvent events to endpoints.events (see js/analytics.js); when off, they're only logged on localhost
+    scrollToTopEnabled: false // "Back to top" button after scrolling a screen down
   }
 };
 
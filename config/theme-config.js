@@ -131,10 +131,13 @@ const ThemeManager = {
 };
 
 // Auto-initialize when DOM is ready
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', () => ThemeManager.init());
-} else {
-  ThemeManager.init();
+// Skipped outside the browser so Node tooling (e.g. config validation) can require this file
+if (typeof document !== 'undefined') {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => ThemeManager.init());
+  } else {
+    ThemeManager.init();
+  }
 }
 
 // Export for use in other modules
@@ -0,0 +1,267 @@
+/**
+ * Analytics for Elevate Roasting
+ *
+ * app.trackEvent(name, properties) hands events to Analytics.track, which
+ * checks them against the event schema below and passes them to adapters:
+ * - beacon: batches events to our own collector (endpoints.events) with
+ *   navigator.sendBeacon, when features.analyticsEnabled is on
+ * - console: logs each event straight away, on a developer's machine
+ * Other tools (Plausible, GA) would be another adapter: an object with a
+ * name and send(events), added with Analytics.addAdapter.
+ *
+ * Design decisions:
+ * - First-party: events go to our own endpoint, and carry the feature
+ *   flag visitor id (so experiments can be read) but nothing personal:
+ *   no emails, names or full referrer URLs.
+ * - Events are queued and sent in batches, every few seconds or when the
+ *   queue fills, and whatever is left goes when the page is hidden
+ *   (visibilitychange/pagehide). sendBeacon survives the page unloading,
+ *   where a normal request would be cancelled.
+ * - Every event name and property is declared in `schema`, and the mock
+ *   collector checks against the same schema. An event that doesn't match
+ *   is dropped (and logged on a developer's machine), so a typo can't
+ *   quietly pollute the data.
+ * - Page views and header navigation clicks are tracked here
+ *   automatically; everything else is tracked where it happens.
+ * - Nothing is tracked without analytics consent (js/consent.js). When
+ *   it's given, the page view is tracked then; when it's withdrawn,
+ *   anything still queued is thrown away.
+ */
+
+const Analytics = {
+  flushIntervalMs: 5000,
+  maxBatchSize: 20,
+
+  // Event name -> property types ('string', 'number', 'boolean'); a
+  // trailing '?' marks a property that may be null or left out
+  schema: {
+    page_view: { page: 'string?', path: 'string', referrer: 'string?' },
+    nav_click: { label: 'string', href: 'string' },
+    social_click: { platform: 'string' },
+    scroll_to_top: { scrollY: 'number' },
+    flag_exposure: { flag: 'string', variant: 'string', source: 'string' },
+
+    drop_detail_viewed: { dropId: 'number' },
+    drops_filtered: { roastLevel: 'string?', origin: 'string?', process: 'string?', inStockOnly: 'boolean', sort: 'string' },
+    add_to_cart: { dropId: 'number', variantId: 'string?', quantity: 'number' },
+    order_reserved: { orderId: 'string', bags: 'number' },
+    checkout_started: { mode: 'string' },
+    checkout_completed: { mode: 'string' },
+    checkout_cancelled: { mode: 'string?' },
+
+    email_subscribed: { mode: 'string' },
+    subscription_plan_selected: { planId: 'string' },
+    subscription_wizard_started: { planId: 'string' },
+    subscription_step_completed: { step: 'string', planId: 'string?' },
+    subscription_confirmed: { planId: 'string', mode: 'string' },
+    subscription_changed: { action: 'string', mode: 'string' },
+    subscription_calendar_exported: { pickups: 'number' },
+
+    contact_submitted: { subject: 'string?', mode: 'string' }
+  },
+
+  app: null,
+  adapters: [],
+  queue: [],
+  flushTimer: null,
+
+  /**
+   * Pick adapters and start the automatic events
+   * @param {ElevateRoastingApp} app - Flags must be initialised first
+   */
+  init(app) {
+    this.app = app;
+    this.queue = [];
+    this.adapters = [];
+
+    if (app.utils.debug.isDevelopment()) {
+      this.addAdapter(this.createConsoleAdapter());
+    }
+    // evaluate rather than isEnabled: an exposure event for the analytics
+    // flag itself would have nowhere to go
+    if (app.flags.evaluate('analyticsEnabled').variant !== 'off') {
+      this.addAdapter(this.createBeaconAdapter(app.utils.api.resolveUrl(app.config.api.endpoints.events)));
+    }
+    if (this.adapters.length === 0) {
+      return;
+    }
+
+    const flushOnHide = () => {
+      if (document.visibilityState === 'hidden') {
+        this.flush();
+      }
+    };
+    document.addEventListener('visibilitychange', flushOnHide);
+    window.addEventListener('pagehide', () => this.flush());
+    // A page restored from the back/forward cache is a new view
+    window.addEventListener('pageshow', (event) => {
+      if (event.persisted) {
+        this.trackPageView();
+      }
+    });
+    document.addEventListener('consentChanged', (event) => {
+      const { categories, previous } = event.detail;
+      if (categories.analytics && !previous.analytics) {
+        this.trackPageView();
+      } else if (!categories.analytics) {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        this.queue = [];
+      }
+    });
+    document.addEventListener('click', (event) => {
+      const link = event.target.closest('#main-nav a[href]');
+      if (link) {
+        this.track('nav_click', { label: link.textContent.trim(), href: link.getAttribute('href') });
+      }
+    });
+
+    this.trackPageView();
+  },
+
+  /**
+   * @param {Object} adapter - { name, send(events), batched? }; batched
+   *   adapters get arrays of queued events, others each event as it happens
+   */
+  addAdapter(adapter) {
+    this.adapters.push({ batched: true, ...adapter });
+  },
+
+  /**
+   * Record an event if it matches the schema
+   * @param {string} name - A key of Analytics.schema
+   * @param {Object} properties
+   */
+  track(name, properties = {}) {
+    if (!this.app || this.adapters.length === 0 || !this.app.consent.allows('analytics')) {
+      return;
+    }
+
+    const errors = this.validateEvent(name, properties);
+    if (errors.length > 0) {
+      this.app.utils.debug.error(`Analytics event '${name}' dropped: ${errors.join('; ')}`, properties);
+      return;
+    }
+
+    const event = {
+      id: this.app.utils.outbox.createKey(),
+      name,
+      properties,
+      path: window.location.pathname,
+      visitorId: this.app.flags.getVisitorId(),
+      timestamp: new Date().toISOString()
+    };
+
+    this.adapters.filter(adapter => !adapter.batched).forEach(adapter => this.deliver(adapter, [event]));
+    if (!this.adapters.some(adapter => adapter.batched)) {
+      return;
+    }
+
+    this.queue.push(event);
+    if (this.queue.length >= this.maxBatchSize) {
+      this.flush();
+    } else if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.flushIntervalMs);
+    }
+  },
+
+  /**
+   * Send everything queued to the batched adapters now
+   */
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    if (this.queue.length === 0) {
+      return;
+    }
+
+    const events = this.queue;
+    this.queue = [];
+    this.adapters.filter(adapter => adapter.batched).forEach(adapter => this.deliver(adapter, events));
+  },
+
+  /**
+   * One adapter failing mustn't stop the others, or the page
+   */
+  deliver(adapter, events) {
+    try {
+      adapter.send(events);
+    } catch (error) {
+      this.app.utils.debug.error(`Analytics adapter '${adapter.name}' failed`, error);
+    }
+  },
+
+  trackPageView() {
+    const referrer = document.referrer ? new URL(document.referrer) : null;
+    this.track('page_view', {
+      page: document.body.dataset.page || null,
+      path: window.location.pathname,
+      // Just where visitors came from, not the page: full URLs can carry tokens
+      referrer: referrer && referrer.origin !== window.location.origin ? referrer.origin : null
+    });
+  },
+
+  /**
+   * Check an event against the schema
+   * @returns {Array<string>} Problems, empty when the event is valid
+   */
+  validateEvent(name, properties) {
+    const declared = Object.prototype.hasOwnProperty.call(this.schema, name) ? this.schema[name] : null;
+    if (!declared) {
+      return [`unknown event '${name}'`];
+    }
+    if (!properties || typeof properties !== 'object' || Array.isArray(properties)) {
+      return ['properties must be an object'];
+    }
+
+    const errors = Object.keys(properties)
+      .filter(key => !Object.prototype.hasOwnProperty.call(declared, key))
+      .map(key => `unknown property '${key}'`);
+    Object.entries(declared).forEach(([key, declaredType]) => {
+      const isOptional = declaredType.endsWith('?');
+      const type = declaredType.replace('?', '');
+      const value = properties[key];
+      if (value === undefined || value === null) {
+        if (!isOptional) {
+          errors.push(`'${key}' is required`);
+        }
+      } else if (typeof value !== type || (type === 'number' && !Number.isFinite(value))) {
+        errors.push(`'${key}' should be a ${type}`);
+      }
+    });
+    return errors;
+  },
+
+  createConsoleAdapter() {
+    return {
+      name: 'console',
+      batched: false,
+      send: (events) => events.forEach(event => this.app.utils.debug.log(`Analytics: ${event.name}`, event.properties))
+    };
+  },
+
+  /**
+   * Batches to our own collector; fetch with keepalive where sendBeacon
+   * is missing or its queue is full
+   */
+  createBeaconAdapter(url) {
+    return {
+      name: 'beacon',
+      send: (events) => {
+        const body = JSON.stringify({ events });
+        if (navigator.sendBeacon && navigator.sendBeacon(url, body)) {
+          return;
+        }
+        fetch(url, { method: 'POST', body, keepalive: true, headers: { 'Content-Type': 'application/json' } })
+          .catch(error => this.app.utils.debug.log('Analytics batch not delivered', error));
+      }
+    };
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Analytics;
+} else {
+  window.Analytics = Analytics;
+}
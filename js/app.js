@@ -20,7 +20,24 @@ class ElevateRoastingApp {
     // Dependencies injected from global scope for modularity
     this.config = window.siteConfig;
     this.utils = window.utils;
+    this.cart = window.CartManager;
+    this.checkout = window.Checkout;
+    this.consent = window.ConsentManager;
+    this.flags = window.FeatureFlags;
+    this.analytics = window.Analytics;
+    this.catalog = window.CoffeeCatalog;
+    this.templates = window.Templates;
+    this.structuredData = window.StructuredData;
+    this.configSchema = window.ConfigSchema;
     this.isInitialized = false;
+    this.closeDropModal = null;
+    this.orderKey = null;
+    this.dropGrid = null;
+    this.dropFilterState = null;
+    this.releaseClock = null;
+    this.page = null;
+    this.subscribeForm = null;
+    this.scrollToTopButton = null;
     
     // Bind methods to preserve context in event handlers
     // This ensures 'this' refers to the class instance when methods
@@ -33,6 +50,11 @@ class ElevateRoastingApp {
     this.populateDrops = this.populateDrops.bind(this);
     this.setupSocialLinks = this.setupSocialLinks.bind(this);
     this.setupEventListeners = this.setupEventListeners.bind(this);
+    this.setupCart = this.setupCart.bind(this);
+    this.handleCartClick = this.handleCartClick.bind(this);
+    this.handleCartQuantityChange = this.handleCartQuantityChange.bind(this);
+    this.renderCart = this.renderCart.bind(this);
+    this.renderOutboxStatus = this.renderOutboxStatus.bind(this);
   }
 
   /**
@@ -43,10 +65,16 @@ class ElevateRoastingApp {
    * prevent initialization failures from breaking the entire app.
    * 
    * Initialization order:
+   * 0. Validate configuration (reports problems, never blocks startup),
+   *    then load the visitor's privacy choices, read feature flags, which
+   *    everything after may ask about, and start analytics (which tracks
+   *    the page view)
    * 1. Update dynamic content (year)
-   * 2. Populate data-driven content (coffee drops)
-   * 3. Setup interactive elements (social links)
-   * 4. Bind event handlers for user interactions
+   * 2. Start the current page's module, then add structured data
+   * 3. Setup interactive elements (social links, cart, offline outbox),
+   *    then refresh stock levels in the background
+   * 4. Bind event handlers for user interactions, and add flagged extras
+   *    like the scroll-to-top button
    */
   init() {
     if (this.isInitialized) {
@@ -58,13 +86,25 @@ class ElevateRoastingApp {
       this.utils.debug.log('Starting application initialization');
       
       // Initialize core functionality in dependency order
+      this.validateConfig();
+      this.consent.init(this);
+      this.flags.init(this);
+      this.analytics.init(this);
       this.updateYear();
-      this.populateDrops();
+      this.setupPage();
+      this.setupStructuredData();
       this.setupSocialLinks();
+      this.setupCart();
+      this.setupOutbox();
       this.setupEventListeners();
+      this.setupScrollToTop();
+      this.loadInventory();
       
       this.isInitialized = true;
       this.utils.debug.log('Application initialization completed successfully');
+
+      // Scripts outside js/pages/ can wait for this instead of polling for a global app
+      document.dispatchEvent(new CustomEvent('appReady', { detail: { app: this } }));
       
     } catch (error) {
       this.utils.debug.error('Critical initialization failure', error);
@@ -72,6 +112,127 @@ class ElevateRoastingApp {
     }
   }
 
+  /**
+   * Register the module that runs a page's own behaviour
+   *
+   * Page modules live in js/pages/ and are loaded after app.js on the page
+   * they belong to. The app picks one by the body's data-page attribute,
+   * so pages without special behaviour simply don't declare a module.
+   *
+   * @param {string} name - Matches <body data-page="...">
+   * @param {Object} pageModule - { init(app), destroy(app) }; destroy is optional
+   */
+  static registerPage(name, pageModule) {
+    if (typeof pageModule.init !== 'function') {
+      throw new Error(`Page module '${name}' must have an init(app) function`);
+    }
+    ElevateRoastingApp.pages[name] = pageModule;
+  }
+
+  /**
+   * Start the module registered for this page
+   *
+   * Page modules receive the app and reuse its renderers (populateDrops,
+   * Templates) instead of carrying their own copies. A failing module is
+   * logged without stopping the rest of the app: the header, cart and
+   * theme toggle still work. destroy() runs when the page is left for good;
+   * pages kept in the back/forward cache keep their state instead.
+   */
+  setupPage() {
+    const name = document.body.dataset.page;
+    const pageModule = name ? ElevateRoastingApp.pages[name] : null;
+    if (!pageModule) {
+      this.utils.debug.log(`No page module for '${name || '(none)'}'`);
+      return;
+    }
+
+    try {
+      pageModule.init(this);
+      this.page = pageModule;
+      this.utils.debug.log(`Page module '${name}' started`);
+    } catch (error) {
+      this.utils.debug.error(`Page module '${name}' failed to start`, error);
+      return;
+    }
+
+    window.addEventListener('pagehide', (event) => {
+      if (!event.persisted) {
+        this.destroyPage();
+      }
+    });
+  }
+
+  /**
+   * Stop the current page module, if it has anything to clean up
+   */
+  destroyPage() {
+    const pageModule = this.page;
+    this.page = null;
+    if (pageModule && typeof pageModule.destroy === 'function') {
+      try {
+        pageModule.destroy(this);
+      } catch (error) {
+        this.utils.debug.error('Page module failed to stop', error);
+      }
+    }
+  }
+
+  /**
+   * Check siteConfig and the theme definitions against ConfigSchema
+   * 
+   * Problems are logged with their exact config path. On a developer's
+   * machine they're also shown in a banner at the top of the page, since
+   * a console message is easy to miss while tweaking content. Startup
+   * continues either way: a typo in one drop shouldn't blank the site.
+   * 
+   * @returns {Array<{path: string, message: string}>} Validation errors
+   */
+  validateConfig() {
+    if (!this.configSchema) {
+      return [];
+    }
+
+    const errors = this.configSchema.validateAll(this.config, window.ThemeManager);
+    errors.forEach(error => {
+      this.utils.debug.error(`Invalid config: ${this.configSchema.formatError(error)}`);
+    });
+
+    if (errors.length > 0 && this.utils.debug.isDevelopment()) {
+      this.showConfigBanner(errors);
+    }
+    return errors;
+  }
+
+  /**
+   * Show config errors in a dismissible banner above the page
+   * 
+   * Built with textContent rather than HTML strings, since the messages
+   * echo values straight out of the config.
+   */
+  showConfigBanner(errors) {
+    const list = this.utils.dom.createElement('ul', {}, errors.map(error => (
+      this.utils.dom.createElement('li', { textContent: this.configSchema.formatError(error) })
+    )));
+    const dismiss = this.utils.dom.createElement('button', {
+      className: 'btn btn-secondary btn-small',
+      type: 'button',
+      textContent: 'Dismiss'
+    });
+    const banner = this.utils.dom.createElement('div', {
+      className: 'config-banner',
+      role: 'alert'
+    }, [
+      this.utils.dom.createElement('strong', {
+        textContent: `Config problem${errors.length === 1 ? '' : 's'} in config/site-config.js (dev only)`
+      }),
+      list,
+      dismiss
+    ]);
+
+    this.utils.dom.addEventListener(dismiss, 'click', () => banner.remove());
+    document.body.prepend(banner);
+  }
+
   /**
    * Update footer year dynamically to avoid manual maintenance
    * 
@@ -86,48 +247,460 @@ class ElevateRoastingApp {
   }
 
   /**
-   * Populate coffee drops grid from configuration data
+   * Populate a coffee drops grid from configuration data
    * 
    * Dynamically generates HTML for coffee cards from the configuration
    * object, enabling easy content updates without code changes.
+   * Filter controls are inserted above the grid and the visible drops
+   * follow the filter state in the query string.
    * Includes error handling for missing elements or data.
+   * 
+   * Drops with a releaseAt/retireAt are scheduled: upcoming ones show as
+   * teasers with a countdown, retired ones move to the archive grid, and a
+   * release clock re-renders both when a drop goes on sale or ends.
+   * 
+   * @param {string} gridId - Id of the grid element to fill
+   * @param {Object} options - { showSpecs } adds key specs to cards;
+   *   { category } limits the grid to e.g. 'espresso' (default: every drop);
+   *   { archiveId } is the grid for retired drops, whose section is
+   *   unhidden when there are any
    */
-  populateDrops() {
-    const dropsGrid = this.utils.dom.getElement('drops-grid');
+  populateDrops(gridId = 'drops-grid', options = {}) {
+    const dropsGrid = this.utils.dom.getElement(gridId);
     if (!dropsGrid || !this.config.coffeeDrops) {
       this.utils.debug.error('Cannot populate drops - missing grid element or data');
       return;
     }
 
-    const dropsHTML = this.config.coffeeDrops.map(drop => this.createDropCard(drop)).join('');
-    dropsGrid.innerHTML = dropsHTML;
-    
-    this.utils.debug.log(`Successfully populated ${this.config.coffeeDrops.length} coffee drops`);
+    const { current: drops, retired } = this.splitGridDrops(options);
+    this.dropGrid = { element: dropsGrid, options, drops };
+    this.dropFilterState = this.catalog
+      ? this.catalog.readStateFromQuery(window.location.search, drops)
+      : null;
+
+    // Bound once on the grid itself, since the empty-state button is re-rendered with the cards
+    this.utils.dom.addEventListener(dropsGrid, 'click', (e) => {
+      if (e.target.closest('[data-clear-drop-filters]')) {
+        this.clearDropFilters();
+      }
+    });
+
+    this.renderDropFilters();
+    this.renderPastDrops(retired);
+    this.startReleaseClock();
+
+    // Markup baked in by scripts/build.js already shows the default view,
+    // so only re-render when the URL asks for a filtered or sorted one.
+    // Scheduled drops may have been released or retired since the build.
+    const isDefaultView = !this.dropFilterState
+      || this.catalog.writeStateToQuery(this.dropFilterState) === '';
+    const hasSchedule = drops.concat(retired).some(drop => drop.releaseAt || drop.retireAt);
+    if (dropsGrid.hasAttribute('data-prerendered') && isDefaultView && !hasSchedule) {
+      this.showDropFreshness(dropsGrid);
+      this.utils.debug.log('Hydrated pre-rendered coffee drops');
+      return;
+    }
+
+    this.renderDropGrid();
   }
 
   /**
-   * Create HTML for individual coffee drop cards
-   * 
-   * Generates semantic HTML with proper data attributes for
-   * event handling and accessibility. Uses template literals
-   * for readability and maintainability.
-   */
-  createDropCard(drop) {
-    return `
-      <article class="card fade-in" data-drop-id="${drop.id}">
-        <div class="card-image" style="background-image: url('${drop.image}')"></div>
-        <div class="card-content">
-          <h3 class="card-title">${drop.name}</h3>
-          <p class="card-description">${drop.description}</p>
-          <div class="card-footer">
-            <span class="card-price">${drop.price}</span>
-            <button class="btn btn-small" onclick="app.handleDropDetails(${drop.id})">
-              ${drop.available ? 'Details' : 'Sold Out'}
-            </button>
-          </div>
+   * The grid's drops, split into the ones to list and the retired ones
+   * @param {Object} options - Grid options, for the category
+   * @returns {{current: Array<Object>, retired: Array<Object>}}
+   */
+  splitGridDrops(options, now = new Date()) {
+    if (!this.catalog) {
+      return { current: this.config.coffeeDrops, retired: [] };
+    }
+    return this.catalog.splitByRelease(this.catalog.filterByCategory(this.config.coffeeDrops, options.category), now);
+  }
+
+  /**
+   * Re-read the grid's drops from config and render them again
+   *
+   * Used when stock or the release schedule changes what's listed.
+   */
+  refreshDropGrid(now = new Date()) {
+    if (!this.dropGrid) {
+      return;
+    }
+    const { current, retired } = this.splitGridDrops(this.dropGrid.options, now);
+    this.dropGrid.drops = current;
+    this.renderDropGrid();
+    this.renderPastDrops(retired);
+  }
+
+  /**
+   * Fill the past drops archive, hiding its section while it's empty
+   */
+  renderPastDrops(retired) {
+    const archiveId = this.dropGrid && this.dropGrid.options.archiveId;
+    const archive = archiveId ? this.utils.dom.getElement(archiveId) : null;
+    if (!archive) {
+      return;
+    }
+
+    archive.innerHTML = this.utils.html`${retired.map(drop => this.templates.createPastDropCardHTML(drop, { timeZone: this.getTimeZone() }))}`;
+    const section = archive.closest('section');
+    if (section) {
+      section.hidden = retired.length === 0;
+    }
+  }
+
+  /**
+   * Keep release countdowns ticking and publish drops on schedule
+   *
+   * Ticks once a second, but only while this grid has a release or
+   * retirement still to come, so pages without scheduled drops never start
+   * a timer. Comparing against the clock each tick (rather than one long
+   * setTimeout) keeps releases on time after a laptop wakes from sleep.
+   */
+  startReleaseClock() {
+    this.stopReleaseClock();
+    const now = new Date();
+    const drops = this.catalog && this.dropGrid
+      ? this.catalog.filterByCategory(this.config.coffeeDrops, this.dropGrid.options.category)
+      : [];
+    const nextChange = this.catalog ? this.catalog.getNextReleaseChange(drops, now) : null;
+    if (!nextChange) {
+      return;
+    }
+
+    this.releaseClock = {
+      nextChange,
+      checkedAt: now,
+      timer: setInterval(() => this.tickReleaseClock(), 1000)
+    };
+    this.updateReleaseTeasers(now);
+  }
+
+  /**
+   * Stop the release clock, if it's running
+   */
+  stopReleaseClock() {
+    if (this.releaseClock) {
+      clearInterval(this.releaseClock.timer);
+      this.releaseClock = null;
+    }
+  }
+
+  /**
+   * Advance countdowns, or re-render everything once a drop is released or retired
+   */
+  tickReleaseClock() {
+    const now = new Date();
+    const { nextChange, checkedAt } = this.releaseClock;
+    if (now < nextChange) {
+      this.updateReleaseTeasers(now);
+      return;
+    }
+
+    const released = this.dropGrid.drops.filter(drop => drop.releaseAt
+      && new Date(drop.releaseAt) > checkedAt && new Date(drop.releaseAt) <= now
+      && this.catalog.isAvailable(drop, now));
+
+    this.refreshDropGrid(now);
+    if (this.cart) {
+      this.renderCart();
+    }
+    this.setupStructuredData();
+    if (this.closeDropModal) {
+      // Reopen so the dialog swaps its countdown for the cart, or vice versa
+      this.handleRoute();
+    }
+    this.startReleaseClock();
+
+    if (released.length > 0) {
+      this.showNotification(`${released.map(drop => drop.name).join(' and ')} ${released.length === 1 ? 'is' : 'are'} now available!`, 'success');
+    }
+  }
+
+  /**
+   * Fill the 'Coming Friday' labels and countdowns of unreleased drops
+   */
+  updateReleaseTeasers(now = new Date()) {
+    const timeZone = this.getTimeZone();
+    document.querySelectorAll('[data-release]').forEach(teaser => {
+      const drop = this.config.coffeeDrops.find(d => String(d.id) === teaser.dataset.release);
+      if (!drop || !drop.releaseAt) {
+        return;
+      }
+      teaser.querySelector('[data-release-label]').textContent = this.catalog.formatRelease(drop, now, timeZone);
+      teaser.querySelector('[data-release-countdown]').textContent = this.utils.date.formatCountdown(new Date(drop.releaseAt) - now);
+    });
+  }
+
+  /**
+   * Render the current drop grid using the active filter state
+   *
+   * Split out from populateDrops so filter changes can re-render the cards
+   * without rebuilding the filter controls (which would drop focus).
+   */
+  renderDropGrid() {
+    if (!this.dropGrid) {
+      return;
+    }
+
+    const { element, options } = this.dropGrid;
+    const drops = this.dropFilterState
+      ? this.catalog.applyState(this.dropGrid.drops, this.dropFilterState)
+      : this.dropGrid.drops;
+
+    element.innerHTML = drops.length
+      ? this.utils.html`${drops.map(drop => this.createDropCard(drop, options))}`
+      : this.utils.html`
+        <div class="drop-filters-empty">
+          <p class="text-body">No coffees match these filters.</p>
+          <button class="btn btn-secondary btn-small" type="button" data-clear-drop-filters>Clear filters</button>
         </div>
-      </article>
+      `;
+    this.showDropFreshness(element);
+    this.updateReleaseTeasers();
+
+    this.utils.debug.log(`Successfully populated ${drops.length} of ${this.dropGrid.drops.length} coffee drops`);
+  }
+
+  /**
+   * The roastery's timezone from siteConfig.schedule, if configured
+   */
+  getTimeZone() {
+    return this.config.schedule ? this.config.schedule.timezone : undefined;
+  }
+
+  /**
+   * Today's date at the roastery, for roast ages and freshness
+   */
+  getToday() {
+    return this.utils.date.today(this.getTimeZone());
+  }
+
+  /**
+   * Fill the cards' data-freshness placeholders for today
+   */
+  showDropFreshness(container) {
+    if (!this.catalog) {
+      return;
+    }
+    const today = this.getToday();
+    container.querySelectorAll('[data-freshness]').forEach(element => {
+      const drop = this.config.coffeeDrops.find(d => String(d.id) === element.dataset.freshness);
+      const freshness = drop ? this.catalog.getFreshness(drop, today) : null;
+      if (freshness) {
+        element.innerHTML = this.templates.createFreshnessHTML(freshness, today);
+        element.hidden = false;
+      }
+    });
+  }
+
+  /**
+   * Insert filter and sort controls above the drop grid
+   *
+   * Facet options come from CoffeeCatalog.getFacets, so they always match
+   * what's actually in config. A facet with a single value is still shown;
+   * it tells customers what's on offer even when there's nothing to narrow.
+   */
+  renderDropFilters() {
+    if (!this.dropFilterState || !this.dropGrid) {
+      return;
+    }
+
+    const { html } = this.utils;
+    const catalog = this.catalog;
+    const grid = this.dropGrid.element;
+    const facets = catalog.getFacets(this.dropGrid.drops);
+    const state = this.dropFilterState;
+    const selected = (isSelected) => (isSelected ? html.raw(' selected') : '');
+
+    // A blend-only grid has no origins to pick from, so skip empty facets
+    const facetSelects = catalog.facetFields.filter(field => facets[field.key].length > 0).map(field => html`
+      <label class="drop-filter">
+        <span class="drop-filter-label">${field.label}</span>
+        <select class="input-field" data-drop-filter="${field.key}">
+          <option value="">${field.allLabel}</option>
+          ${facets[field.key].map(value => html`
+            <option value="${value}"${selected(state.filters[field.key] === value)}>${value}</option>
+          `)}
+        </select>
+      </label>
+    `);
+
+    const sortSelect = html`
+      <label class="drop-filter">
+        <span class="drop-filter-label">Sort</span>
+        <select class="input-field" data-drop-sort>
+          ${catalog.sortOptions.map(option => html`
+            <option value="${option.value}"${selected(state.sort === option.value)}>${option.label}</option>
+          `)}
+        </select>
+      </label>
     `;
+
+    const existing = grid.parentNode.querySelector('.drop-filters');
+    if (existing) {
+      existing.remove();
+    }
+
+    grid.insertAdjacentHTML('beforebegin', html`
+      <form class="drop-filters" aria-label="Filter coffees" data-drop-filters>
+        ${facetSelects}
+        ${sortSelect}
+        <label class="drop-filter drop-filter-toggle">
+          <input type="checkbox" data-drop-instock${state.inStockOnly && html.raw(' checked')} />
+          <span>In stock only</span>
+        </label>
+      </form>
+    `);
+
+    const form = grid.parentNode.querySelector('.drop-filters');
+    this.utils.dom.addEventListener(form, 'change', (e) => this.handleDropFilterChange(e));
+    this.utils.dom.addEventListener(form, 'submit', (e) => e.preventDefault());
+  }
+
+  /**
+   * Update filter state from a changed control and sync the URL
+   */
+  handleDropFilterChange(event) {
+    const control = event.target;
+    const state = this.dropFilterState;
+
+    if (control.matches('[data-drop-filter]')) {
+      state.filters[control.dataset.dropFilter] = control.value;
+    } else if (control.matches('[data-drop-sort]')) {
+      state.sort = control.value;
+    } else if (control.matches('[data-drop-instock]')) {
+      state.inStockOnly = control.checked;
+    }
+
+    this.syncDropFiltersToUrl();
+    this.renderDropGrid();
+    this.trackEvent('drops_filtered', { ...state.filters, inStockOnly: state.inStockOnly, sort: state.sort });
+  }
+
+  /**
+   * Reset every filter back to the default, full listing
+   */
+  clearDropFilters() {
+    this.dropFilterState = this.catalog.getDefaultState();
+    this.syncDropFiltersToUrl();
+    this.renderDropFilters();
+    this.renderDropGrid();
+  }
+
+  /**
+   * Mirror the filter state into the query string
+   *
+   * replaceState rather than pushState: flipping through filters shouldn't
+   * fill the back button with a history entry per dropdown change.
+   */
+  syncDropFiltersToUrl() {
+    const query = this.catalog.writeStateToQuery(this.dropFilterState, window.location.search);
+    history.replaceState(null, '', `${window.location.pathname}${query}${window.location.hash}`);
+  }
+
+  /**
+   * Create HTML for individual coffee drop cards
+   * 
+   * The markup comes from the shared Templates module so cards rendered
+   * here match the ones the static build bakes into the HTML.
+   * 
+   * @param {Object} drop - Coffee drop from configuration
+   * @param {Object} options - { showSpecs } adds origin/process/elevation details
+   */
+  createDropCard(drop, options = {}) {
+    return this.templates.createDropCardHTML(drop, {
+      ...options,
+      cartEnabled: Boolean(this.cart),
+      maxQuantity: this.cart ? this.cart.maxQuantityPerItem : undefined,
+      lowStockThreshold: this.getLowStockThreshold()
+    });
+  }
+
+  /**
+   * Site-wide "Only N bags left" threshold, if configured
+   */
+  getLowStockThreshold() {
+    return this.config.inventory ? this.config.inventory.lowStockThreshold : undefined;
+  }
+
+  /**
+   * Replace config stock levels with live ones from endpoints.coffee
+   *
+   * Only when the inventory service is on (features.inventoryServiceEnabled);
+   * otherwise, or if the request fails, the bagsRemaining in config stand.
+   * Runs after the page has rendered so a slow API never delays it.
+   */
+  async loadInventory() {
+    if ((!this.dropGrid && !this.cart) || !this.flags.isEnabled('inventoryServiceEnabled')) {
+      return;
+    }
+
+    try {
+      const response = await this.utils.api.get(this.config.api.endpoints.coffee, { timeoutMs: 5000 });
+      this.applyInventory(response && response.drops);
+    } catch (error) {
+      this.utils.debug.log('Inventory service unavailable; using stock from config', error);
+    }
+  }
+
+  /**
+   * Apply stock levels to the config and refresh what shows them
+   *
+   * The drop grid is re-rendered even when it was pre-rendered, since the
+   * baked-in badges and buttons reflect the stock at build time.
+   * @param {Array<Object>} entries - [{ id, available, bagsRemaining }]
+   */
+  applyInventory(entries) {
+    if (!Array.isArray(entries) || !this.catalog) {
+      return;
+    }
+
+    this.config.coffeeDrops = this.catalog.mergeInventory(this.config.coffeeDrops, entries);
+    this.refreshDropGrid();
+    if (this.cart) {
+      this.renderCart();
+    }
+    document.dispatchEvent(new CustomEvent('inventoryChanged', { detail: { drops: this.config.coffeeDrops } }));
+  }
+
+  /**
+   * Create the price and per-100g unit price for a bag size
+   */
+  createVariantPriceHTML(variant) {
+    return this.templates.createVariantPriceHTML(variant);
+  }
+
+  /**
+   * Create the bag size selector, quantity input and add-to-cart button
+   *
+   * Sold-out drops get no cart controls at all; CartManager refuses them
+   * anyway, but hiding the button avoids offering an action that can't work.
+   */
+  createAddToCartHTML(drop) {
+    if (!this.cart) {
+      return '';
+    }
+    return this.templates.createAddToCartHTML(drop, { maxQuantity: this.cart.maxQuantityPerItem });
+  }
+
+  /**
+   * Publish schema.org JSON-LD for the business and its coffees
+   * 
+   * Injected on every page so search engines can show prices and stock
+   * in rich results. Refreshes any copy baked in by the static build, so
+   * the data always matches the config the page actually loaded.
+   */
+  setupStructuredData() {
+    if (!this.structuredData) {
+      return;
+    }
+
+    try {
+      this.structuredData.inject(this.config);
+    } catch (error) {
+      // Structured data is an SEO nicety; never let it break the page
+      this.utils.debug.error('Failed to inject structured data', error);
+    }
   }
 
   /**
@@ -152,6 +725,466 @@ class ElevateRoastingApp {
     });
   }
 
+  /**
+   * Add the header cart badge and cart drawer to the current page
+   *
+   * Every page shares the same header markup, so the cart button is injected
+   * next to the navigation instead of being hand-copied into each HTML file.
+   * All cart interactions go through delegated document listeners, which
+   * keeps working when drop cards or cart lines are re-rendered. Pages that
+   * don't load cart.js skip the cart entirely.
+   */
+  setupCart() {
+    const headerContent = document.querySelector('.header-content');
+    if (!this.cart || !headerContent) {
+      this.utils.debug.log('Cart unavailable on this page - skipping cart setup');
+      return;
+    }
+
+    this.cart.init();
+
+    const cartToggle = this.utils.dom.createElement('button', {
+      className: 'nav-link cart-toggle',
+      type: 'button',
+      id: 'cart-toggle',
+      'aria-controls': 'cart-drawer',
+      'aria-expanded': 'false',
+      innerHTML: 'Cart <span class="cart-badge" id="cart-badge">0</span>'
+    });
+    headerContent.appendChild(cartToggle);
+    document.body.insertAdjacentHTML('beforeend', this.createCartDrawerHTML());
+
+    document.addEventListener('click', this.handleCartClick);
+    document.addEventListener('change', this.handleCartQuantityChange);
+    document.addEventListener('cartChanged', this.renderCart);
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isCartOpen()) {
+        this.closeCart();
+      }
+    });
+    // The back button from Stripe's checkout page can restore this page
+    // exactly as it was left, with the Checkout button still disabled
+    window.addEventListener('pageshow', (event) => {
+      if (event.persisted) {
+        this.orderKey = null;
+        this.renderCart();
+      }
+    });
+
+    this.renderCart();
+  }
+
+  /**
+   * Create the cart drawer shell; lines are filled in by renderCart
+   */
+  createCartDrawerHTML() {
+    return this.utils.html`
+      <div class="cart-backdrop" id="cart-backdrop" data-cart-close hidden></div>
+      <aside
+        class="cart-drawer"
+        id="cart-drawer"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="cart-drawer-title"
+        tabindex="-1"
+        hidden
+      >
+        <div class="cart-drawer-header">
+          <h2 class="text-xl text-heading" id="cart-drawer-title">Your cart</h2>
+          <button class="nav-link" type="button" data-cart-close aria-label="Close cart">✕</button>
+        </div>
+        <div class="cart-drawer-body" id="cart-lines"></div>
+        <div class="cart-drawer-footer">
+          <div class="cart-subtotal">
+            <span>Subtotal</span>
+            <span id="cart-subtotal">${this.utils.string.formatPrice(0)}</span>
+          </div>
+          ${this.createCartActionsHTML()}
+        </div>
+      </aside>
+    `;
+  }
+
+  /**
+   * The drawer's way to order: pay online, reserve and pay at pickup, or neither yet
+   */
+  createCartActionsHTML() {
+    const { html } = this.utils;
+    if (this.checkout && this.checkout.isEnabled(this)) {
+      return html`
+        <button class="btn btn-primary w-full" type="button" data-cart-checkout>Checkout</button>
+        <p class="text-sm text-muted">Pay securely with Stripe, then collect your coffee in San Francisco.</p>
+      `;
+    }
+    if (this.flags.isEnabled('inventoryServiceEnabled')) {
+      return html`
+        <button class="btn btn-primary w-full" type="button" data-cart-reserve>Reserve for pickup</button>
+        <p class="text-sm text-muted">Pay when you collect your coffee in San Francisco.</p>
+      `;
+    }
+    return html`<p class="text-sm text-muted">Pickup only in San Francisco. Online checkout is coming soon.</p>`;
+  }
+
+  /**
+   * Re-render the badge and drawer contents from the current cart
+   *
+   * Called on load and on every 'cartChanged' event, including changes
+   * made in other tabs, so the header and drawer never drift apart.
+   */
+  renderCart() {
+    const count = this.cart.getCount();
+    const lines = this.cart.getLines();
+
+    const badge = this.utils.dom.getElement('cart-badge');
+    const cartToggle = this.utils.dom.getElement('cart-toggle');
+    if (badge && cartToggle) {
+      badge.textContent = count;
+      badge.classList.toggle('cart-badge-empty', count === 0);
+      cartToggle.setAttribute('aria-label', `Open cart, ${count} ${count === 1 ? 'bag' : 'bags'}`);
+    }
+
+    const linesContainer = this.utils.dom.getElement('cart-lines');
+    const subtotal = this.utils.dom.getElement('cart-subtotal');
+    if (!linesContainer || !subtotal) {
+      return;
+    }
+
+    linesContainer.innerHTML = lines.length
+      ? this.utils.html`${lines.map(line => this.createCartLineHTML(line))}`
+      : this.utils.html`<p class="text-body">Your cart is empty. Add a coffee drop to get started.</p>`;
+    subtotal.textContent = this.utils.string.formatPrice(this.cart.getSubtotal());
+
+    document.querySelectorAll('[data-cart-reserve], [data-cart-checkout]').forEach(button => {
+      button.disabled = lines.length === 0;
+    });
+  }
+
+  /**
+   * Create HTML for a single cart line with quantity editing and removal
+   */
+  createCartLineHTML(line) {
+    const { drop, variant, quantity, unitPriceCents, lineTotalCents } = line;
+    const size = variant ? this.catalog.formatWeight(variant.weightGrams) : '';
+    const variantId = variant ? variant.id : '';
+    return this.utils.html`
+      <div class="cart-line" data-cart-line="${drop.id}">
+        <div class="cart-line-info">
+          <div class="cart-line-name">${drop.name}</div>
+          <div class="text-sm text-muted">
+            ${size ? `${size} · ` : ''}${this.utils.string.formatPrice(unitPriceCents)} each
+          </div>
+          ${!this.catalog.isAvailable(drop) && this.utils.html`<div class="text-sm stock-badge">No longer available - please remove</div>`}
+        </div>
+        <input
+          type="number"
+          class="input-field cart-quantity-input"
+          min="0"
+          max="${this.cart.maxQuantityPerItem}"
+          value="${quantity}"
+          aria-label="Quantity of ${drop.name}"
+          data-cart-line-quantity="${drop.id}"
+          data-cart-variant="${variantId}"
+        />
+        <div class="cart-line-total">${this.utils.string.formatPrice(lineTotalCents)}</div>
+        <button
+          class="nav-link text-sm"
+          type="button"
+          data-cart-remove="${drop.id}"
+          data-cart-variant="${variantId}"
+          aria-label="Remove ${drop.name}${size ? ` ${size}` : ''}"
+        >
+          Remove
+        </button>
+      </div>
+    `;
+  }
+
+  /**
+   * Delegated click handler for every cart control on the page
+   *
+   * One listener covers add buttons on cards, the header toggle, the drawer
+   * close controls and remove buttons, so nothing needs re-binding when
+   * markup is regenerated.
+   */
+  handleCartClick(event) {
+    const addButton = event.target.closest('[data-cart-add]');
+    if (addButton) {
+      const dropId = Number(addButton.dataset.cartAdd);
+      // Read size and quantity next to this button; the same drop can appear in a card and the detail dialog
+      const actions = addButton.closest('.card-cart-actions');
+      const quantityInput = actions ? actions.querySelector('[data-cart-quantity-for]') : null;
+      const sizeSelect = actions ? actions.querySelector('[data-variant-select]') : null;
+      this.addToCart(dropId, quantityInput ? quantityInput.value : 1, sizeSelect ? sizeSelect.value : null);
+      return;
+    }
+
+    const reserveButton = event.target.closest('[data-cart-reserve]');
+    if (reserveButton) {
+      this.reserveOrder(reserveButton);
+      return;
+    }
+
+    const checkoutButton = event.target.closest('[data-cart-checkout]');
+    if (checkoutButton) {
+      this.checkoutCart(checkoutButton);
+      return;
+    }
+
+    if (event.target.closest('#cart-toggle')) {
+      if (this.isCartOpen()) {
+        this.closeCart();
+      } else {
+        this.openCart();
+      }
+      return;
+    }
+
+    if (event.target.closest('[data-cart-close]')) {
+      this.closeCart();
+      return;
+    }
+
+    const removeButton = event.target.closest('[data-cart-remove]');
+    if (removeButton) {
+      this.cart.remove(removeButton.dataset.cartRemove, removeButton.dataset.cartVariant);
+    }
+  }
+
+  /**
+   * Apply quantity edits made inside the cart drawer
+   *
+   * Listens to 'change' rather than 'input' so the drawer doesn't re-render
+   * (and steal focus) on every keystroke.
+   */
+  handleCartQuantityChange(event) {
+    const quantityInput = event.target.closest('[data-cart-line-quantity]');
+    if (quantityInput) {
+      this.cart.updateQuantity(
+        quantityInput.dataset.cartLineQuantity,
+        quantityInput.value,
+        quantityInput.dataset.cartVariant
+      );
+    }
+  }
+
+  /**
+   * Add a drop to the cart and tell the customer what happened
+   */
+  addToCart(dropId, quantity = 1, variantId = null) {
+    const drop = this.cart.findDrop(dropId);
+    const result = this.cart.add(dropId, quantity, variantId);
+
+    if (!result.added) {
+      this.showNotification(this.getAddToCartError(drop, result.reason), 'error');
+      return false;
+    }
+
+    const { maxQuantityPerItem } = this.cart;
+    this.showNotification(result.quantity < Number(quantity)
+      ? `Added ${result.quantity} of ${drop.name}; that's the most we can set aside (${maxQuantityPerItem} bags).`
+      : `Added ${drop.name} to your cart.`, 'success');
+    this.trackEvent('add_to_cart', { dropId: drop.id, variantId, quantity: result.quantity });
+    return true;
+  }
+
+  /**
+   * Why CartManager.add refused, in the customer's terms
+   * @param {Object|null} drop
+   * @param {string} reason - From CartManager.add
+   */
+  getAddToCartError(drop, reason) {
+    if (!drop || reason === 'unknown') {
+      return 'That coffee is no longer available.';
+    }
+    switch (reason) {
+      case 'not_released':
+        return `${drop.name} isn't on sale right now.`;
+      case 'size':
+        return `That bag size of ${drop.name} isn't available any more. Please choose another size.`;
+      case 'limit':
+        return `You already have the most ${drop.name} we can set aside (${this.cart.maxQuantityPerItem} bags).`;
+      case 'storage':
+        return 'Your cart couldn\'t be saved. Please check your browser allows site storage and try again.';
+      default:
+        return `${drop.name} is sold out.`;
+    }
+  }
+
+  /**
+   * Reserve the cart's bags for pickup through endpoints.orders
+   *
+   * The server takes the bags out of stock; when some have run out it
+   * answers 409 with current stock levels, which are applied so the cart
+   * and cards show what's left.
+   */
+  async reserveOrder(button) {
+    const lines = this.cart.getLines();
+    if (lines.length === 0) {
+      return;
+    }
+
+    button.disabled = true;
+    this.orderKey = this.orderKey || this.utils.outbox.createKey();
+    try {
+      const { order, inventory } = await this.utils.api.post(this.config.api.endpoints.orders, {
+        items: this.getOrderItems(lines)
+      }, {
+        headers: { 'Idempotency-Key': this.orderKey }
+      });
+      this.orderKey = null;
+      this.cart.clear();
+      this.applyInventory(inventory);
+      this.closeCart();
+      this.showNotification(`Reserved! Order ${order.id} will be ready at pickup.`, 'success');
+      this.trackEvent('order_reserved', { orderId: order.id, bags: lines.reduce((total, line) => total + line.quantity, 0) });
+    } catch (error) {
+      this.handleOrderError(error, 'We couldn\'t place your order. Please try again.');
+    } finally {
+      button.disabled = this.cart.getCount() === 0;
+    }
+  }
+
+  /**
+   * Pay for the cart on Stripe's hosted Checkout page
+   *
+   * Stock is checked before the customer is sent to pay (409 like
+   * reserveOrder); the cart itself is only emptied once the success page
+   * confirms the payment, so cancelling comes back to the same cart.
+   */
+  async checkoutCart(button) {
+    const lines = this.cart.getLines();
+    if (lines.length === 0) {
+      return;
+    }
+
+    button.disabled = true;
+    this.orderKey = this.orderKey || this.utils.outbox.createKey();
+    try {
+      await this.checkout.start(this, { mode: 'payment', items: this.getOrderItems(lines) }, {
+        idempotencyKey: this.orderKey
+      });
+    } catch (error) {
+      this.handleOrderError(error, 'We couldn\'t start checkout. Please try again.');
+      button.disabled = this.cart.getCount() === 0;
+    }
+  }
+
+  /**
+   * Cart lines as the orders and checkout endpoints expect them
+   */
+  getOrderItems(lines) {
+    return lines.map(line => ({ dropId: line.drop.id, variantId: line.variant.id, quantity: line.quantity }));
+  }
+
+  /**
+   * Show why an order or checkout failed, applying any stock it came back with
+   *
+   * The Idempotency-Key is kept only across retries that never got an
+   * answer, so a changed cart isn't answered with the replayed response.
+   */
+  handleOrderError(error, fallbackMessage) {
+    if (error.status > 0 && error.status < 500) {
+      this.orderKey = null;
+    }
+    if (error.status === 409 && error.body) {
+      this.applyInventory(error.body.inventory);
+    }
+    const message = error.body && error.body.error ? error.body.error.message : fallbackMessage;
+    this.showNotification(message, 'error');
+  }
+
+  /**
+   * Open the cart drawer and move focus into it for keyboard users
+   */
+  openCart() {
+    const drawer = this.utils.dom.getElement('cart-drawer');
+    const backdrop = this.utils.dom.getElement('cart-backdrop');
+    const cartToggle = this.utils.dom.getElement('cart-toggle');
+    if (!drawer || !backdrop) {
+      return;
+    }
+
+    drawer.hidden = false;
+    backdrop.hidden = false;
+    cartToggle.setAttribute('aria-expanded', 'true');
+    this.releaseCartFocus = this.utils.dialog.trapFocus(drawer);
+    drawer.focus();
+  }
+
+  /**
+   * Close the cart drawer and return focus to the header toggle
+   */
+  closeCart() {
+    const drawer = this.utils.dom.getElement('cart-drawer');
+    const backdrop = this.utils.dom.getElement('cart-backdrop');
+    const cartToggle = this.utils.dom.getElement('cart-toggle');
+    if (!drawer || !backdrop) {
+      return;
+    }
+
+    drawer.hidden = true;
+    backdrop.hidden = true;
+    cartToggle.setAttribute('aria-expanded', 'false');
+    if (this.releaseCartFocus) {
+      this.releaseCartFocus();
+      this.releaseCartFocus = null;
+    }
+    cartToggle.focus();
+  }
+
+  /**
+   * Check whether the cart drawer is currently visible
+   */
+  isCartOpen() {
+    const drawer = document.getElementById('cart-drawer');
+    return Boolean(drawer && !drawer.hidden);
+  }
+
+  /**
+   * Show queued offline submissions and replay them when possible
+   * 
+   * A small status pill tells the customer that something they submitted
+   * is waiting for a connection, so an offline signup doesn't look lost.
+   * utils.outbox.init() replays anything left over from a previous visit.
+   */
+  setupOutbox() {
+    const status = this.utils.dom.createElement('div', {
+      className: 'outbox-status',
+      id: 'outbox-status',
+      role: 'status',
+      hidden: true
+    });
+    document.body.appendChild(status);
+
+    document.addEventListener('outboxChanged', this.renderOutboxStatus);
+    this.utils.outbox.init();
+    this.renderOutboxStatus();
+  }
+
+  /**
+   * Update the pending-submissions pill after any outbox change
+   *
+   * Submissions are queued after server errors and timeouts too, so the
+   * pill only says the visitor is offline when the browser agrees.
+   */
+  renderOutboxStatus(event) {
+    const status = document.getElementById('outbox-status');
+    const detail = event ? event.detail : { pending: this.utils.outbox.getPendingCount() };
+    if (!status) {
+      return;
+    }
+
+    const pending = detail.pending === 1 ? '1 submission is' : `${detail.pending} submissions are`;
+    status.hidden = detail.pending === 0;
+    status.textContent = navigator.onLine === false
+      ? `You're offline. ${pending} saved and will be sent when you're back online.`
+      : `${pending} waiting to be sent. We'll keep retrying.`;
+
+    if (detail.reason === 'flushed' && detail.sent > 0) {
+      this.showNotification('Your saved submissions have been sent.', 'success');
+    }
+  }
+
   /**
    * Setup all event listeners for user interactions
    * 
@@ -160,38 +1193,61 @@ class ElevateRoastingApp {
    * includes proper error handling for missing elements.
    */
   setupEventListeners() {
-    // Subscribe form with validation and submission handling
+    // Subscribe form: the input's required and type="email" attributes are
+    // the rules; the engine validates on blur and submit and only then
+    // calls handleSubscribe
     const subscribeForm = this.utils.dom.getElement('subscribe-form');
     if (subscribeForm) {
-      this.utils.dom.addEventListener(subscribeForm, 'submit', this.handleSubscribe);
-    }
-
-    // Real-time email validation with user feedback
-    const emailInput = this.utils.dom.getElement('email-input');
-    if (emailInput) {
-      // Validate on blur for immediate feedback
-      this.utils.dom.addEventListener(emailInput, 'blur', (e) => {
-        this.validateEmail(e.target);
-      });
-      
-      // Clear errors when user starts typing
-      this.utils.dom.addEventListener(emailInput, 'input', (e) => {
-        this.utils.form.clearError(e.target);
+      this.subscribeForm = this.utils.form.attach(subscribeForm, {
+        schema: { email: { messages: { required: 'Email is required' } } },
+        onSubmit: this.handleSubscribe
       });
     }
 
+    // Details buttons on drop cards, including pre-rendered and re-rendered ones
+    document.addEventListener('click', (e) => {
+      const detailsButton = e.target.closest('[data-drop-details]');
+      if (detailsButton) {
+        this.handleDropDetails(detailsButton.dataset.dropDetails);
+      }
+    });
+
+    // Keep card prices in step with the selected bag size
+    document.addEventListener('change', (e) => {
+      if (e.target.matches('[data-variant-select]')) {
+        this.handleVariantChange(e.target);
+      }
+    });
+
     // Setup navigation system
     this.setupNavigation();
 
+    // Open coffee details from '#coffee/<slug>' links
+    this.setupDeepLinks();
+
     // Future enhancement: lazy loading for performance
     this.setupLazyLoading();
   }
 
+  /**
+   * Show the price of the bag size just picked in a card's size selector
+   */
+  handleVariantChange(select) {
+    const card = select.closest('[data-drop-id]');
+    const priceElement = card ? card.querySelector('[data-variant-price]') : null;
+    const drop = this.config.coffeeDrops.find(d => d.id === Number(select.dataset.variantSelect));
+    if (!priceElement || !drop) {
+      return;
+    }
+
+    priceElement.innerHTML = this.createVariantPriceHTML(this.catalog.findVariant(drop, select.value));
+  }
+
   /**
    * Setup navigation system with dropdowns and event handling
    * 
-   * Creates navigation elements from configuration and sets up
-   * proper event handling for dropdowns and navigation actions.
+   * Creates navigation elements from configuration (or hydrates the
+   * pre-rendered ones) and sets up event handling for dropdowns.
    */
   setupNavigation() {
     const navContainer = this.utils.dom.getElement('main-nav');
@@ -199,49 +1255,16 @@ class ElevateRoastingApp {
       return;
     }
 
-    // Generate navigation HTML from configuration
-    const navHTML = this.config.navigation.items.map(item => {
-      if (item.type === 'dropdown') {
-        return this.createDropdownHTML(item);
-      } else {
-        return this.createNavButtonHTML(item);
-      }
-    }).join('');
-
-    navContainer.innerHTML = navHTML;
+    // Generate navigation HTML from configuration, unless the static
+    // build already rendered it into the page
+    if (!navContainer.hasAttribute('data-prerendered')) {
+      navContainer.innerHTML = this.templates.createNavigationHTML(this.config.navigation.items);
+    }
 
     // Setup dropdown event listeners
     this.setupDropdownListeners();
   }
 
-  /**
-   * Create HTML for navigation buttons
-   */
-  createNavButtonHTML(item) {
-    if (item.href) {
-      return `<a class="nav-link" href="${item.href}">${item.label}</a>`;
-    }
-    return `<button class="nav-link">${item.label}</button>`;
-  }
-
-  /**
-   * Create HTML for dropdown navigation
-   */
-  createDropdownHTML(item) {
-    const dropdownItems = item.items.map(dropdownItem => 
-      `<a class="nav-dropdown-item" href="${dropdownItem.href}">${dropdownItem.label}</a>`
-    ).join('');
-
-    return `
-      <div class="nav-dropdown" data-dropdown="${item.id}">
-        <button class="nav-dropdown-toggle">${item.label}</button>
-        <div class="nav-dropdown-menu">
-          ${dropdownItems}
-        </div>
-      </div>
-    `;
-  }
-
   /**
    * Setup event listeners for dropdown functionality
    */
@@ -290,25 +1313,22 @@ class ElevateRoastingApp {
   }
 
   /**
-   * Handle subscription form submission with comprehensive validation
+   * Handle a validated subscription form submission
    * 
    * Implements a complete form submission flow including:
-   * - Input validation with user feedback
    * - Loading states for better UX
-   * - Error handling with graceful degradation
+   * - Error handling with distinct messages per server error
    * - Success feedback and form reset
+   * 
+   * Awaits the request so the button stays disabled until the server
+   * has actually answered, preventing double submissions.
+   * 
+   * @param {Object} values - Form values, already validated by utils.form
+   * @param {Event} event - The submit event
    */
-  handleSubscribe(event) {
-    event.preventDefault();
-    
+  async handleSubscribe(values, event) {
     const form = event.target;
-    const emailInput = this.utils.dom.getElement('email-input');
-    const email = emailInput ? emailInput.value.trim() : '';
-
-    // Validate email before proceeding
-    if (!this.validateEmail(emailInput)) {
-      return;
-    }
+    const email = values.email.trim();
 
     // Show loading state to prevent double submissions
     const submitButton = form.querySelector('button[type="submit"]');
@@ -317,24 +1337,30 @@ class ElevateRoastingApp {
     submitButton.disabled = true;
 
     try {
-      // Simulate API call with proper async handling
-      this.subscribeEmail(email).then(() => {
-        this.utils.debug.log('Email subscription successful', { email });
-        
-        // Provide user feedback
-        this.showNotification('Not supported yet. Subscriptions coming soon!', 'success');
-        
-        // Reset form for next use
-        this.utils.form.clearForm(form);
-        
-      }).catch(error => {
-        this.utils.debug.error('Email subscription failed', error);
-        this.showNotification('Something went wrong. Please try again.', 'error');
-      });
+      const result = await this.subscribeEmail(email);
+      this.utils.debug.log('Email subscription successful', { email, mode: result.mode });
+      this.trackEvent('email_subscribed', { mode: result.mode });
+
+      if (result.mode === 'api') {
+        this.showNotification('You\'re subscribed! We\'ll email you when the next drop is ready.', 'success');
+      } else if (result.mode === 'queued') {
+        this.showNotification('We couldn\'t reach our server just now. Your signup is saved and will be sent automatically.', 'info');
+      } else {
+        // Local mode: be honest that nothing was sent anywhere yet
+        this.showNotification('Thanks! Email updates aren\'t live yet, but we\'ve saved your spot for launch.', 'info');
+      }
+
+      // Reset form for next use
+      this.utils.form.clearForm(form);
+      this.subscribeForm.clear();
 
     } catch (error) {
-      this.utils.debug.error('Unexpected subscription error', error);
-      this.showNotification('Something went wrong. Please try again.', 'error');
+      this.utils.debug.error('Email subscription failed', error);
+      const message = this.getSubscribeErrorMessage(error);
+      if (error.status === 422) {
+        this.subscribeForm.setErrors({ email: message });
+      }
+      this.showNotification(message, 'error');
     } finally {
       // Always restore button state
       submitButton.textContent = originalText;
@@ -343,94 +1369,267 @@ class ElevateRoastingApp {
   }
 
   /**
-   * Validate email input with comprehensive error handling
-   * 
-   * Provides real-time validation feedback using utility functions.
-   * Handles edge cases like empty inputs and malformed emails.
-   * Returns boolean for easy integration with form submission logic.
+   * Turn a failed subscribe request into a message the customer can act on
+   *
+   * Prefers the server's error code, falling back to the HTTP status, so a
+   * provider that only sends statuses still gets sensible messages.
    */
-  validateEmail(emailInput) {
-    if (!emailInput) return false;
-    
-    const email = emailInput.value.trim();
-    
-    if (!email) {
-      this.utils.form.showError(emailInput, 'Email is required');
-      return false;
+  getSubscribeErrorMessage(error) {
+    const code = error && error.body && error.body.error ? error.body.error.code : null;
+    const status = error ? error.status : null;
+
+    if (code === 'duplicate' || status === 409) {
+      return 'You\'re already subscribed with that email. See you at the next drop!';
     }
-    
-    if (!this.utils.form.isValidEmail(email)) {
-      this.utils.form.showError(emailInput, 'Please enter a valid email address');
-      return false;
+    if (code === 'invalid_email' || status === 400 || status === 422) {
+      return 'That email address doesn\'t look right. Please check it and try again.';
     }
-    
-    this.utils.form.clearError(emailInput);
-    return true;
+    if (code === 'rate_limited' || status === 429) {
+      return 'Too many signup attempts. Please wait a minute and try again.';
+    }
+    if (error && (error.code === 'network_error' || error.code === 'timeout')) {
+      return 'We couldn\'t reach our server. Check your connection and try again.';
+    }
+    return 'Something went wrong. Please try again.';
   }
 
   /**
-   * Process email subscription with storage and future API integration
+   * Send an email subscription to the configured email service
+   * 
+   * When features.emailServiceEnabled is on, the address is POSTed to
+   * endpoints.subscribe (resolved against api.baseUrl by utils.api)
+   * through utils.outbox, so a signup made offline is queued and sent
+   * later. Errors retrying can't fix are re-thrown for handleSubscribe. With the flag off, emails are
+   * kept in localStorage so the form still works before a provider is
+   * chosen. Run `npm run mock-api` to exercise the API path locally.
    * 
-   * Currently stores emails in localStorage for demonstration purposes.
-   * Designed to be easily replaced with actual email service integration
-   * (Mailchimp, ConvertKit, etc.) when ready for production.
+   * @returns {Promise<{mode: 'api'|'queued'|'local'}>} Which path handled the signup
    */
   async subscribeEmail(email) {
+    if (this.flags.isEnabled('emailServiceEnabled')) {
+      const result = await this.utils.outbox.send(this.config.api.endpoints.subscribe, { email });
+      return { mode: result.status === 'queued' ? 'queued' : 'api' };
+    }
+
     // Simulate network delay for realistic UX
     await new Promise(resolve => setTimeout(resolve, 1000));
     
-    // Store in localStorage for demo purposes
-    // In production, this would be replaced with API call
+    // Store in localStorage until an email service is enabled
     const subscribers = this.utils.storage.get('subscribers', []);
     if (!subscribers.includes(email)) {
       subscribers.push(email);
       this.utils.storage.set('subscribers', subscribers);
     }
     
-    // TODO: Replace with actual email service integration
-    // Example: return this.utils.api.post('/api/subscribe', { email });
-    
-    return Promise.resolve();
+    return { mode: 'local' };
   }
 
   /**
-   * Handle coffee drop detail requests with comprehensive data display
-   * 
-   * Currently shows details in an alert for simplicity, but designed
-   * to be replaced with modal dialogs or detail pages. Includes
-   * all available coffee information for customer education.
+   * Handle coffee drop detail requests by routing to the drop's deep link
+   *
+   * Rather than opening the dialog directly, this updates the URL hash to
+   * '#coffee/<slug>' and lets handleRoute open it. That keeps a single code
+   * path for clicks, shared links and the browser back button, and means
+   * the address bar always holds a link customers can send each other.
    */
   handleDropDetails(dropId) {
-    const drop = this.config.coffeeDrops.find(d => d.id === dropId);
+    const drop = this.config.coffeeDrops.find(d => d.id === Number(dropId));
     if (!drop) {
       this.utils.debug.error('Requested drop not found in configuration', { dropId });
       return;
     }
 
-    // TODO: Replace with modal or detail page implementation
-    // For now, show comprehensive details in alert
-    const details = `
-      ${drop.name}
-      
-      ${drop.description}
-      Price: ${drop.price}
-      Origin: ${drop.origin}
-      Process: ${drop.process}
-      Roast Level: ${drop.roastLevel}
-      Elevation: ${drop.elevation}
-      Varietal: ${drop.varietal}
+    const hash = `#${this.getDropRoute(drop)}`;
+    if (window.location.hash === hash) {
+      // hashchange won't fire for the current hash, so open it ourselves
+      this.openDropModal(drop);
+    } else {
+      window.location.hash = hash;
+    }
+  }
+
+  /**
+   * Build the hash route for a drop, e.g. 'coffee/kenya-nyeri-washed'
+   *
+   * Slugs come from the drop name so links stay readable; ids would be
+   * shorter but mean nothing to the person receiving the link.
+   */
+  getDropRoute(drop) {
+    return `coffee/${this.utils.string.slugify(drop.name)}`;
+  }
+
+  /**
+   * Find a drop from its URL slug
+   */
+  findDropBySlug(slug) {
+    return this.config.coffeeDrops.find(drop => this.utils.string.slugify(drop.name) === slug) || null;
+  }
+
+  /**
+   * Listen for coffee deep links and open any link present on page load
+   */
+  setupDeepLinks() {
+    window.addEventListener('hashchange', () => this.handleRoute());
+    this.handleRoute();
+  }
+
+  /**
+   * Open or close the detail dialog to match the current URL hash
+   *
+   * Only '#coffee/...' hashes are treated as routes; plain section anchors
+   * like '#drops' keep their normal scroll behavior. Unknown slugs are
+   * logged and ignored so a stale shared link still lands on a working page.
+   */
+  handleRoute() {
+    const match = window.location.hash.match(/^#coffee\/([\w-]+)$/);
+    if (!match) {
+      if (this.closeDropModal) {
+        this.closeDropModal();
+      }
+      return;
+    }
+
+    const drop = this.findDropBySlug(match[1]);
+    if (!drop) {
+      this.utils.debug.error('Deep link does not match any coffee drop', { slug: match[1] });
+      return;
+    }
+
+    this.openDropModal(drop);
+  }
+
+  /**
+   * Show every detail of a drop in an accessible modal dialog
+   *
+   * Closing the dialog (Escape, backdrop, close button) removes the hash
+   * with replaceState so the page doesn't jump back to the top and a reload
+   * doesn't reopen a dialog the customer already dismissed.
+   */
+  openDropModal(drop) {
+    if (this.closeDropModal) {
+      this.closeDropModal();
+    }
+
+    this.trackEvent('drop_detail_viewed', { dropId: drop.id });
+    this.closeDropModal = this.utils.dialog.open({
+      content: this.createDropDetailHTML(drop),
+      labelledBy: 'drop-detail-title',
+      className: 'drop-detail',
+      onClose: () => {
+        this.closeDropModal = null;
+        if (window.location.hash.startsWith('#coffee/')) {
+          history.replaceState(null, '', window.location.pathname + window.location.search);
+        }
+      }
+    });
+
+    this.updateReleaseTeasers();
+
+    const copyButton = document.querySelector('[data-copy-drop-link]');
+    if (copyButton) {
+      this.utils.dom.addEventListener(copyButton, 'click', () => this.copyDropLink(drop));
+    }
+
+    this.utils.debug.log('Coffee drop details viewed', { dropId: drop.id, dropName: drop.name });
+  }
+
+  /**
+   * Create the detail dialog markup for a drop
+   */
+  createDropDetailHTML(drop) {
+    const { html, date } = this.utils;
+    const today = this.getToday();
+    const freshness = this.catalog.getFreshness(drop, today);
+    const stock = this.catalog.getStockStatus(drop, this.getLowStockThreshold());
+    const release = this.catalog.getReleaseStatus(drop);
+    const details = [
+      ['Origin', drop.origin],
+      ['Blend', this.catalog.formatComponents(drop.components)],
+      ['Process', drop.process],
+      ['Elevation', drop.elevation],
+      ['Varietal', drop.varietal],
+      ['Roast level', drop.roastLevel],
+      ['Body', drop.body],
+      ['Acidity', drop.acidity],
+      ['Espresso recipe', this.catalog.formatRecipe(drop.recipe)],
+      ['Roasted', freshness && `${date.formatDay(freshness.roastedOn)} (${date.formatRelative(freshness.roastedOn, today)})`],
+      ['Best', freshness && `${date.formatDay(freshness.peakFrom)} to ${date.formatDay(freshness.peakUntil)}`]
+    ].filter(([, value]) => value);
+    const variants = this.catalog.getVariants(drop);
+
+    return html`
+      <div class="modal-image" style="background-image: ${this.utils.url.cssUrl(drop.image)}" role="img" aria-label="${drop.name}"></div>
+      <div class="modal-content">
+        <div class="modal-header">
+          <h2 class="text-2xl text-heading" id="drop-detail-title">${drop.name}</h2>
+          <button class="nav-link" type="button" data-dialog-close aria-label="Close details">✕</button>
+        </div>
+        <p class="text-body">${drop.description}</p>
+        ${freshness && html`<p class="freshness">${this.templates.createFreshnessHTML(freshness, today)}</p>`}
+        ${release === 'released' && this.templates.createStockHTML(stock)}
+        <dl class="detail-list">
+          ${details.map(([label, value]) => html`<dt>${label}</dt><dd>${value}</dd>`)}
+        </dl>
+        <table class="variant-table">
+          <caption class="drop-filter-label">Bag sizes</caption>
+          <tbody>
+            ${variants.map(variant => html`
+              <tr>
+                <th scope="row">${this.catalog.formatWeight(variant.weightGrams) || 'Bag'}</th>
+                <td>${this.utils.string.formatPrice(variant.priceCents)}</td>
+                <td class="unit-price">${this.catalog.formatUnitPrice(variant)}</td>
+              </tr>
+            `)}
+          </tbody>
+        </table>
+        ${this.createDropDetailActionsHTML(drop, release, stock)}
+        <div class="modal-footer">
+          <button class="btn btn-secondary btn-small" type="button" data-copy-drop-link>Copy link</button>
+        </div>
+      </div>
     `;
-    
-    alert(details);
-    
-    this.utils.debug.log('Coffee drop details viewed', { dropId, dropName: drop.name });
+  }
+
+  /**
+   * The dialog's cart controls, or why the drop can't be bought right now
+   */
+  createDropDetailActionsHTML(drop, release, stock) {
+    const { html } = this.utils;
+    if (release === 'upcoming') {
+      return this.templates.createReleaseTeaserHTML(drop);
+    }
+    if (release === 'retired') {
+      return html`<p class="text-muted">This drop has ended. Check back for the next one.</p>`;
+    }
+    if (stock.status === 'sold-out') {
+      return html`<p class="text-muted">Sold out - check back for the next drop.</p>`;
+    }
+    return this.createAddToCartHTML(drop);
+  }
+
+  /**
+   * Copy the drop's deep link so customers can share a specific coffee
+   *
+   * Falls back to showing the URL when the Clipboard API is unavailable
+   * (older browsers, non-HTTPS local development).
+   */
+  copyDropLink(drop) {
+    const url = `${window.location.origin}${window.location.pathname}#${this.getDropRoute(drop)}`;
+
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard.writeText(url)
+        .then(() => this.showNotification('Link copied to clipboard.', 'success'))
+        .catch(() => this.showNotification(url, 'info'));
+    } else {
+      this.showNotification(url, 'info');
+    }
   }
 
   /**
    * Track social media link clicks for analytics
    * 
-   * Captures click events on social links for future analytics
-   * integration. Extracts platform information from element IDs
+   * Captures click events on social links as 'social_click' events.
+   * Extracts platform information from element IDs
    * for structured data collection.
    */
   handleSocialLinks(event) {
@@ -442,7 +1641,6 @@ class ElevateRoastingApp {
       url: link.href 
     });
     
-    // Track for future analytics integration
     this.trackEvent('social_click', { platform });
   }
 
@@ -460,6 +1658,50 @@ class ElevateRoastingApp {
     this.utils.debug.log('Lazy loading setup (future enhancement)');
   }
 
+  /**
+   * Add a "back to top" button once the visitor has scrolled a screen down
+   *
+   * Behind features.scrollToTopEnabled. Focus moves to the logo as the
+   * page scrolls, so keyboard users end up at the top too.
+   */
+  setupScrollToTop() {
+    if (!this.flags.isEnabled('scrollToTopEnabled')) {
+      return;
+    }
+
+    const button = this.utils.dom.createElement('button', {
+      type: 'button',
+      className: 'scroll-to-top',
+      'aria-label': 'Back to top',
+      textContent: '↑'
+    });
+    button.hidden = true;
+    document.body.appendChild(button);
+    this.scrollToTopButton = button;
+
+    let isQueued = false;
+    window.addEventListener('scroll', () => {
+      if (isQueued) {
+        return;
+      }
+      isQueued = true;
+      window.requestAnimationFrame(() => {
+        isQueued = false;
+        button.hidden = window.scrollY < window.innerHeight;
+      });
+    }, { passive: true });
+
+    button.addEventListener('click', () => {
+      const reduceMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+      window.scrollTo({ top: 0, behavior: reduceMotion ? 'auto' : 'smooth' });
+      const logo = document.querySelector('.header .logo');
+      if (logo) {
+        logo.focus({ preventScroll: true });
+      }
+      this.trackEvent('scroll_to_top', { scrollY: Math.round(window.scrollY) });
+    });
+  }
+
   /**
    * Display user notifications with consistent styling and timing
    * 
@@ -492,14 +1734,14 @@ class ElevateRoastingApp {
   /**
    * Track user events for analytics and debugging
    * 
-   * Centralized event tracking for future analytics integration.
-   * Currently logs to console but designed to be easily replaced
-   * with Google Analytics, Mixpanel, or other tracking services.
+   * Centralized event tracking: events go to the Analytics adapters
+   * (js/analytics.js), which send them to our collector when
+   * features.analyticsEnabled is on and log them on a developer's
+   * machine, once the visitor has allowed analytics (js/consent.js).
+   * New event names and properties go in Analytics.schema.
    */
   trackEvent(eventName, data = {}) {
-    // TODO: Implement analytics tracking
-    // Example: gtag('event', eventName, data);
-    this.utils.debug.log('Event tracked', { eventName, data });
+    this.analytics.track(eventName, data);
   }
 
   /**
@@ -513,7 +1755,8 @@ class ElevateRoastingApp {
     return {
       isInitialized: this.isInitialized,
       config: this.config,
-      subscribers: this.utils.storage.get('subscribers', [])
+      subscribers: this.utils.storage.get('subscribers', []),
+      cart: this.cart ? this.cart.getItems() : []
     };
   }
 
@@ -531,8 +1774,11 @@ class ElevateRoastingApp {
   }
 }
 
-// Create global app instance for event handler access
-// This enables onclick handlers in generated HTML to access app methods
+// Page modules by data-page name; filled by ElevateRoastingApp.registerPage
+ElevateRoastingApp.pages = {};
+
+// Global app instance, handy from the console while debugging.
+// Page behaviour belongs in a page module (js/pages/) instead.
 let app;
 
 // Initialize application when DOM is fully loaded
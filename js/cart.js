@@ -0,0 +1,273 @@
+/**
+ * Shopping cart for Elevate Roasting
+ *
+ * Keeps the customer's basket in localStorage (through utils.storage) so it
+ * survives reloads, and broadcasts every change as a 'cartChanged' event on
+ * the document - the same pattern ThemeManager uses for 'themeChanged'.
+ * The UI (header badge, drawer, add-to-cart buttons) lives in app.js and
+ * only ever reacts to that event, which keeps this module free of markup.
+ *
+ * Design decisions:
+ * - Only drop ids, bag-size variant ids and quantities are stored. Names
+ *   and prices are looked up from siteConfig at read time, so a price change
+ *   in config is reflected in existing carts instead of freezing stale data
+ *   in storage. Each drop/size pair is its own line.
+ * - Money is integer cents throughout (see CoffeeCatalog variants).
+ * - Sold-out drops are refused here rather than only in the UI, so no
+ *   caller can sneak an unavailable coffee into the basket.
+ * - Cross-tab sync relies on the browser 'storage' event, which fires in
+ *   every other tab when localStorage changes. No polling required.
+ *
+ * Usage:
+ * - CartManager.add(dropId, quantity, variantId) -> { added, quantity | reason }
+ * - CartManager.getLines() for rendering, CartManager.getCount() for badges
+ * - document.addEventListener('cartChanged', (e) => e.detail.count)
+ */
+
+const CartManager = {
+  // Namespaced like the theme key to avoid collisions with other localStorage users
+  storageKey: 'elevate-roasting-cart',
+
+  // Small-batch roasting means we cap bags per coffee per order
+  maxQuantityPerItem: 10,
+
+  isInitialized: false,
+
+  /**
+   * Start listening for changes made in other tabs
+   *
+   * The 'storage' event never fires in the tab that made the change, so
+   * local updates are announced by save() and remote ones by this listener.
+   */
+  init() {
+    if (this.isInitialized) {
+      return;
+    }
+
+    window.addEventListener('storage', (event) => {
+      if (event.key === this.storageKey) {
+        this.notify('sync');
+      }
+    });
+
+    this.isInitialized = true;
+  },
+
+  /**
+   * Look up a coffee drop in the site configuration
+   * @param {number} dropId - Drop id from siteConfig.coffeeDrops
+   * @returns {Object|null} Drop configuration or null when unknown
+   */
+  findDrop(dropId) {
+    const drops = (window.siteConfig && window.siteConfig.coffeeDrops) || [];
+    return drops.find(drop => drop.id === Number(dropId)) || null;
+  },
+
+  /**
+   * Get the raw stored items, dropping entries for coffees that no
+   * longer exist in config so removed drops don't linger forever
+   *
+   * Items saved before bag sizes existed have no variantId; they're
+   * mapped onto the drop's default size.
+   * @returns {Array<{dropId: number, variantId: string, quantity: number}>}
+   */
+  getItems() {
+    const items = window.utils.storage.get(this.storageKey, []);
+    if (!Array.isArray(items)) {
+      return [];
+    }
+
+    return items
+      .filter(item => this.findDrop(item.dropId))
+      .map(item => {
+        const variant = window.CoffeeCatalog.findVariant(this.findDrop(item.dropId), item.variantId);
+        return { ...item, variantId: variant ? variant.id : item.variantId };
+      });
+  },
+
+  /**
+   * Get cart lines joined with drop and variant data and computed totals
+   * @returns {Array<{drop: Object, variant: Object, quantity: number, unitPriceCents: number, lineTotalCents: number}>}
+   */
+  getLines() {
+    return this.getItems().map(item => {
+      const drop = this.findDrop(item.dropId);
+      const variant = window.CoffeeCatalog.findVariant(drop, item.variantId);
+      const unitPriceCents = variant ? variant.priceCents : 0;
+      return {
+        drop,
+        variant,
+        quantity: item.quantity,
+        unitPriceCents,
+        lineTotalCents: unitPriceCents * item.quantity
+      };
+    });
+  },
+
+  /**
+   * Total number of bags in the cart, used by the header badge
+   * @returns {number}
+   */
+  getCount() {
+    return this.getItems().reduce((total, item) => total + item.quantity, 0);
+  },
+
+  /**
+   * Sum of all line totals in cents
+   * @returns {number}
+   */
+  getSubtotal() {
+    return this.getLines().reduce((total, line) => total + line.lineTotalCents, 0);
+  },
+
+  /**
+   * Add bags of a drop to the cart, merging with an existing line
+   *
+   * A line never goes over maxQuantityPerItem; the bags that fit are added
+   * and the rest aren't. Unlike stored lines (see findVariant), a bag size
+   * that doesn't exist is refused rather than swapped for the default.
+   * @param {number} dropId - Drop id from siteConfig.coffeeDrops
+   * @param {number} quantity - Number of bags to add
+   * @param {string} variantId - Bag size id; defaults to the smallest size
+   * @returns {{added: true, quantity: number}|{added: false, reason: string}}
+   *   The bags actually added, or why none were: 'unknown', 'not_released',
+   *   'sold_out', 'size', 'limit' or 'storage'
+   */
+  add(dropId, quantity = 1, variantId = null) {
+    const { CoffeeCatalog, utils } = window;
+    const drop = this.findDrop(dropId);
+    if (!drop) {
+      utils.debug.error('Cannot add unknown drop to cart', { dropId });
+      return { added: false, reason: 'unknown' };
+    }
+
+    if (CoffeeCatalog.getReleaseStatus(drop) !== 'released') {
+      utils.debug.log('Refused to add unreleased or retired drop to cart', { dropId });
+      return { added: false, reason: 'not_released' };
+    }
+    if (!CoffeeCatalog.isAvailable(drop)) {
+      utils.debug.log('Refused to add sold-out drop to cart', { dropId });
+      return { added: false, reason: 'sold_out' };
+    }
+
+    const variant = variantId
+      ? CoffeeCatalog.getVariants(drop).find(candidate => candidate.id === variantId)
+      : CoffeeCatalog.getDefaultVariant(drop);
+    if (!variant) {
+      utils.debug.error('Cannot add a bag size the drop does not have', { dropId, variantId });
+      return { added: false, reason: 'size' };
+    }
+
+    const items = this.getItems();
+    const existing = items.find(item => item.dropId === drop.id && item.variantId === variant.id);
+    const currentQuantity = existing ? existing.quantity : 0;
+    const newQuantity = this.clampQuantity(currentQuantity + Number(quantity));
+    if (newQuantity <= currentQuantity) {
+      return { added: false, reason: 'limit' };
+    }
+
+    if (existing) {
+      existing.quantity = newQuantity;
+    } else {
+      items.push({ dropId: drop.id, variantId: variant.id, quantity: newQuantity });
+    }
+
+    if (!this.save(items, 'add')) {
+      return { added: false, reason: 'storage' };
+    }
+    return { added: true, quantity: newQuantity - currentQuantity };
+  },
+
+  /**
+   * Set the quantity of an existing line; zero or less removes it
+   * @param {number} dropId - Drop id of the line to update
+   * @param {number} quantity - New number of bags
+   * @param {string} variantId - Bag size id of the line
+   * @returns {boolean} False when the line doesn't exist
+   */
+  updateQuantity(dropId, quantity, variantId) {
+    const parsedQuantity = Math.floor(Number(quantity));
+    if (!parsedQuantity || parsedQuantity < 1) {
+      return this.remove(dropId, variantId);
+    }
+
+    const items = this.getItems();
+    const existing = items.find(item => this.isSameLine(item, dropId, variantId));
+    if (!existing) {
+      return false;
+    }
+
+    existing.quantity = this.clampQuantity(parsedQuantity);
+    return this.save(items, 'update');
+  },
+
+  /**
+   * Remove a line from the cart entirely
+   * @param {number} dropId - Drop id of the line to remove
+   * @param {string} variantId - Bag size id of the line
+   * @returns {boolean} Storage success status
+   */
+  remove(dropId, variantId) {
+    const items = this.getItems().filter(item => !this.isSameLine(item, dropId, variantId));
+    return this.save(items, 'remove');
+  },
+
+  /**
+   * Check whether a stored item is the line for a drop and bag size
+   */
+  isSameLine(item, dropId, variantId) {
+    return item.dropId === Number(dropId) && item.variantId === variantId;
+  },
+
+  /**
+   * Empty the cart, e.g. after an order has been placed
+   * @returns {boolean} Storage success status
+   */
+  clear() {
+    return this.save([], 'clear');
+  },
+
+  /**
+   * Keep quantities within 1..maxQuantityPerItem
+   * @param {number} quantity - Requested quantity
+   * @returns {number} Quantity safe to store
+   */
+  clampQuantity(quantity) {
+    const whole = Math.floor(Number(quantity)) || 1;
+    return Math.min(Math.max(whole, 1), this.maxQuantityPerItem);
+  },
+
+  /**
+   * Persist items and announce the change to listeners in this tab
+   * @param {Array} items - Items to store
+   * @param {string} reason - What triggered the change, for debugging
+   * @returns {boolean} Storage success status
+   */
+  save(items, reason) {
+    const saved = window.utils.storage.set(this.storageKey, items);
+    this.notify(reason);
+    return saved;
+  },
+
+  /**
+   * Dispatch a 'cartChanged' event with a fresh snapshot of the cart
+   * @param {string} reason - add, update, remove, clear or sync
+   */
+  notify(reason) {
+    document.dispatchEvent(new CustomEvent('cartChanged', {
+      detail: {
+        reason,
+        count: this.getCount(),
+        subtotal: this.getSubtotal(),
+        lines: this.getLines()
+      }
+    }));
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CartManager;
+} else {
+  window.CartManager = CartManager;
+}
@@ -0,0 +1,665 @@
+/**
+ * Coffee catalog helpers for Elevate Roasting
+ *
+ * Pure functions for slicing siteConfig.coffeeDrops: deriving filter
+ * facets, filtering, sorting, pricing bag-size variants, and round-tripping
+ * the filter state through the query string. Nothing here touches the DOM,
+ * so the same functions work in the browser and in Node scripts.
+ *
+ * Design decisions:
+ * - Facet options are derived from the data, never hard-coded. Adding a
+ *   Honduran natural to config makes 'Honduras' and 'Natural' appear in
+ *   the filters automatically.
+ * - The query string is the source of truth for filter state, so every
+ *   filtered view is a bookmarkable, shareable URL.
+ * - 'featured' sort keeps config order, which lets the roaster curate the
+ *   default ordering just by arranging the config array.
+ * - Prices are integer cents on bag-size variants. Legacy display strings
+ *   are parsed on read, so callers only ever deal with one shape.
+ * - Single origins and espresso roasts share one coffeeDrops list with a
+ *   category field, so the cart, details dialog, deep links and JSON-LD
+ *   work the same for both. Pages pick their category when rendering.
+ * - Stock is optional per drop: 'available' is the roaster's switch and
+ *   bagsRemaining, when tracked, sells a drop out at zero. Always ask
+ *   isAvailable rather than reading 'available' directly.
+ * - Drops can be scheduled with releaseAt/retireAt timestamps. Before
+ *   release they're teasers that can't be bought; after retirement they
+ *   move to the past drops archive. Both are worked out against 'now' at
+ *   read time, so a drop launches without anyone editing config.
+ * - Freshness depends on today's date, so it's worked out from the roast
+ *   date when shown (callers pass 'today') rather than stored or baked
+ *   into pre-rendered pages.
+ */
+
+const CoffeeCatalog = {
+  // Drop fields customers can filter by, with their query-string names
+  facetFields: [
+    { key: 'roastLevel', param: 'roast', label: 'Roast', allLabel: 'All roasts' },
+    { key: 'origin', param: 'origin', label: 'Origin', allLabel: 'All origins' },
+    { key: 'process', param: 'process', label: 'Process', allLabel: 'All processes' }
+  ],
+
+  // Used when neither the drop nor siteConfig.inventory sets a threshold
+  defaultLowStockThreshold: 5,
+
+  // Drops without a category predate espresso and are single origins
+  defaultCategory: 'single-origin',
+
+  categories: [
+    { value: 'single-origin', label: 'Single origin' },
+    { value: 'espresso', label: 'Espresso' }
+  ],
+
+  sortOptions: [
+    { value: 'featured', label: 'Featured' },
+    { value: 'price-asc', label: 'Price: low to high' },
+    { value: 'price-desc', label: 'Price: high to low' },
+    { value: 'name-asc', label: 'Name: A to Z' },
+    { value: 'name-desc', label: 'Name: Z to A' },
+    { value: 'freshness', label: 'Freshest roast' }
+  ],
+
+  /**
+   * Default rest and peak windows, in days after roasting
+   *
+   * Lighter roasts hold more CO2 and need longer to rest before they
+   * brew well; darker roasts are ready sooner and fade sooner. Naturals
+   * and other fruit-forward processes get a little extra rest on top.
+   * A drop's own restDays/peakDays override these.
+   */
+  freshness: {
+    byRoastLevel: {
+      Light: { restDays: 7, peakDays: 21 },
+      Medium: { restDays: 5, peakDays: 21 },
+      'Medium-Dark': { restDays: 4, peakDays: 18 },
+      Dark: { restDays: 3, peakDays: 14 }
+    },
+    fallback: { restDays: 5, peakDays: 21 },
+    extraRestByProcess: {
+      Natural: 2,
+      Honey: 1,
+      Anaerobic: 3
+    },
+    stages: {
+      resting: 'Resting',
+      peak: 'At peak',
+      'past-peak': 'Past peak'
+    }
+  },
+
+  /**
+   * Default filter state: everything shown, config order
+   * @returns {{filters: Object, inStockOnly: boolean, sort: string}}
+   */
+  getDefaultState() {
+    return {
+      filters: {},
+      inStockOnly: false,
+      sort: 'featured'
+    };
+  },
+
+  /**
+   * Collect the distinct values of each facet field across all drops
+   * @param {Array<Object>} drops - Coffee drops from config
+   * @returns {Object<string, Array<string>>} Sorted options keyed by field
+   */
+  getFacets(drops) {
+    return this.facetFields.reduce((facets, field) => {
+      const values = drops
+        .map(drop => drop[field.key])
+        .filter(value => value !== undefined && value !== null && value !== '');
+      facets[field.key] = Array.from(new Set(values)).sort((a, b) => String(a).localeCompare(String(b)));
+      return facets;
+    }, {});
+  },
+
+  /**
+   * Category of a drop, e.g. 'single-origin' or 'espresso'
+   */
+  getCategory(drop) {
+    return drop.category || this.defaultCategory;
+  },
+
+  /**
+   * Keep only the drops in a category; no category means every drop
+   * @param {Array<Object>} drops - Coffee drops from config
+   * @param {string} [category] - One of categories[].value
+   * @returns {Array<Object>} Matching drops, config order preserved
+   */
+  filterByCategory(drops, category) {
+    if (!category) {
+      return drops;
+    }
+    return drops.filter(drop => this.getCategory(drop) === category);
+  },
+
+  /**
+   * Label/value pairs shown on a card when specs are enabled
+   *
+   * Espresso customers choose by how a roast behaves in the cup, so those
+   * cards show roast level, body and acidity; single origins show where
+   * and how the coffee was grown. Missing values are left out.
+   * @returns {Array<[string, string]>}
+   */
+  getCardSpecs(drop) {
+    const specs = this.getCategory(drop) === 'espresso'
+      ? [['Roast Level', drop.roastLevel], ['Body', drop.body], ['Acidity', drop.acidity]]
+      : [['Origin', drop.origin], ['Process', drop.process], ['Elevation', drop.elevation]];
+    return specs.filter(([, value]) => value);
+  },
+
+  /**
+   * Blend components as text, e.g. '60% Brazil (Natural), 40% Colombia (Washed)'
+   */
+  formatComponents(components) {
+    if (!Array.isArray(components) || components.length === 0) {
+      return '';
+    }
+    return components
+      .map(component => `${component.percent}% ${component.origin}${component.process ? ` (${component.process})` : ''}`)
+      .join(', ');
+  },
+
+  /**
+   * Recommended espresso recipe as text, e.g. '18g in, 36g out (1:2) in 28s'
+   */
+  formatRecipe(recipe) {
+    if (!recipe || !recipe.doseGrams || !recipe.yieldGrams) {
+      return '';
+    }
+    const ratio = Math.round((recipe.yieldGrams / recipe.doseGrams) * 10) / 10;
+    const time = recipe.timeSeconds ? ` in ${recipe.timeSeconds}s` : '';
+    return `${recipe.doseGrams}g in, ${recipe.yieldGrams}g out (1:${ratio})${time}`;
+  },
+
+  /**
+   * Keep only drops matching every active facet and the stock toggle
+   * @param {Array<Object>} drops - Coffee drops from config
+   * @param {Object} state - Filter state from getDefaultState/readStateFromQuery
+   * @returns {Array<Object>} Matching drops, config order preserved
+   */
+  filterDrops(drops, state) {
+    const activeFilters = Object.entries(state.filters || {}).filter(([, value]) => value);
+
+    return drops.filter(drop => {
+      if (state.inStockOnly && !this.isAvailable(drop)) {
+        return false;
+      }
+      return activeFilters.every(([key, value]) => drop[key] === value);
+    });
+  },
+
+  /**
+   * Return a sorted copy of the drops; the input array is left untouched
+   * @param {Array<Object>} drops - Coffee drops to sort
+   * @param {string} sort - One of sortOptions[].value
+   * @returns {Array<Object>} Sorted copy
+   */
+  sortDrops(drops, sort) {
+    const sorted = drops.slice();
+    const byName = (a, b) => a.name.localeCompare(b.name);
+    const byPrice = (a, b) => this.getSortablePrice(a) - this.getSortablePrice(b);
+
+    switch (sort) {
+      case 'price-asc':
+        return sorted.sort(byPrice);
+      case 'price-desc':
+        return sorted.sort((a, b) => byPrice(b, a));
+      case 'name-asc':
+        return sorted.sort(byName);
+      case 'name-desc':
+        return sorted.sort((a, b) => byName(b, a));
+      case 'freshness':
+        // Newest roast first; drops without a roast date go last
+        return sorted.sort((a, b) => (b.roastedOn || '').localeCompare(a.roastedOn || ''));
+      default:
+        return sorted;
+    }
+  },
+
+  /**
+   * Whether a drop has stock: switched on and not out of bags
+   *
+   * Ignores the release window; see isAvailable for "can be ordered now".
+   */
+  isInStock(drop) {
+    return Boolean(drop.available) && (typeof drop.bagsRemaining !== 'number' || drop.bagsRemaining > 0);
+  },
+
+  /**
+   * Whether a drop can be ordered: in stock and released, not retired
+   * @param {Object} drop - Coffee drop from config
+   * @param {Date} now - Defaults to the current time
+   */
+  isAvailable(drop, now = new Date()) {
+    return this.isInStock(drop) && this.getReleaseStatus(drop, now) === 'released';
+  },
+
+  /**
+   * Where a drop is in its release window
+   * @param {Object} drop - Coffee drop from config
+   * @param {Date} now - Defaults to the current time
+   * @returns {'upcoming'|'released'|'retired'}
+   */
+  getReleaseStatus(drop, now = new Date()) {
+    if (drop.retireAt && new Date(drop.retireAt) <= now) {
+      return 'retired';
+    }
+    if (drop.releaseAt && new Date(drop.releaseAt) > now) {
+      return 'upcoming';
+    }
+    return 'released';
+  },
+
+  /**
+   * Split drops into the ones to list (released and upcoming) and the
+   * retired ones for the archive, config order preserved
+   * @returns {{current: Array<Object>, retired: Array<Object>}}
+   */
+  splitByRelease(drops, now = new Date()) {
+    return {
+      current: drops.filter(drop => this.getReleaseStatus(drop, now) !== 'retired'),
+      // Most recently retired first
+      retired: drops
+        .filter(drop => this.getReleaseStatus(drop, now) === 'retired')
+        .sort((a, b) => new Date(b.retireAt) - new Date(a.retireAt))
+    };
+  },
+
+  /**
+   * The next time any drop is released or retired, or null
+   *
+   * Pages re-render at that moment so a drop goes on sale without a reload.
+   * @returns {Date|null}
+   */
+  getNextReleaseChange(drops, now = new Date()) {
+    const upcoming = drops
+      .flatMap(drop => [drop.releaseAt, drop.retireAt])
+      .filter(Boolean)
+      .map(timestamp => new Date(timestamp))
+      .filter(date => date > now)
+      .sort((a, b) => a - b);
+    return upcoming[0] || null;
+  },
+
+  /**
+   * When a retired drop was on sale, e.g. 'Aug 7 – Sep 30' or 'Ended Sep 30'
+   */
+  formatReleaseDates(drop, timeZone) {
+    const { date } = getCatalogUtils();
+    const day = (timestamp) => date.formatDay(date.getZonedParts(new Date(timestamp), timeZone).date, { weekday: undefined });
+    return drop.releaseAt ? `${day(drop.releaseAt)} – ${day(drop.retireAt)}` : `Ended ${day(drop.retireAt)}`;
+  },
+
+  /**
+   * Teaser text for an upcoming drop, in the roastery's timezone:
+   * 'Coming today at 9:00 AM', 'Coming tomorrow', 'Coming Friday' within
+   * the week, otherwise 'Coming Fri, Oct 30'
+   * @param {Object} drop - Coffee drop with a releaseAt
+   * @param {Date} now - Current time
+   * @param {string} timeZone - siteConfig.schedule.timezone
+   */
+  formatRelease(drop, now, timeZone) {
+    const { date } = getCatalogUtils();
+    const releaseAt = new Date(drop.releaseAt);
+    const releaseDay = date.getZonedParts(releaseAt, timeZone).date;
+    const days = date.daysBetween(date.today(timeZone, now), releaseDay);
+
+    if (days <= 0) {
+      const time = new Intl.DateTimeFormat('en-US', { hour: 'numeric', minute: '2-digit', timeZone }).format(releaseAt);
+      return `Coming today at ${time}`;
+    }
+    if (days === 1) {
+      return 'Coming tomorrow';
+    }
+    if (days < 7) {
+      return `Coming ${date.formatDay(releaseDay, { weekday: 'long', month: undefined, day: undefined })}`;
+    }
+    return `Coming ${date.formatDay(releaseDay)}`;
+  },
+
+  /**
+   * Stock level for badges and structured data
+   * @param {Object} drop - Coffee drop from config
+   * @param {number} [lowStockThreshold] - Site-wide threshold (siteConfig.inventory);
+   *   the drop's own lowStockThreshold takes precedence
+   * @returns {{status: 'in-stock'|'low-stock'|'sold-out', bagsRemaining: number|null}}
+   *   bagsRemaining is null when the drop's stock isn't tracked
+   */
+  getStockStatus(drop, lowStockThreshold) {
+    const bagsRemaining = typeof drop.bagsRemaining === 'number' ? drop.bagsRemaining : null;
+    const threshold = [drop.lowStockThreshold, lowStockThreshold, this.defaultLowStockThreshold]
+      .find(value => typeof value === 'number');
+    let status = 'in-stock';
+    if (!this.isInStock(drop)) {
+      status = 'sold-out';
+    } else if (bagsRemaining !== null && bagsRemaining <= threshold) {
+      status = 'low-stock';
+    }
+    return { status, bagsRemaining };
+  },
+
+  /**
+   * Copies of the drops with live stock levels applied
+   *
+   * Entries come from endpoints.coffee (or an order response) and only
+   * carry stock fields, so names, prices and the rest still come from
+   * config. Drops the entries don't mention are returned unchanged. An
+   * upcoming drop's 'available: false' only means it isn't released yet,
+   * which the page's release clock already handles, so it's ignored.
+   * @param {Array<Object>} drops - Coffee drops from config
+   * @param {Array<{id: number, available?: boolean, releaseStatus?: string, bagsRemaining?: number|null}>} entries
+   * @returns {Array<Object>}
+   */
+  mergeInventory(drops, entries) {
+    const byId = new Map((entries || []).map(entry => [Number(entry.id), entry]));
+    return drops.map(drop => {
+      const entry = byId.get(drop.id);
+      if (!entry) {
+        return drop;
+      }
+      const merged = { ...drop };
+      if (typeof entry.available === 'boolean' && entry.releaseStatus !== 'upcoming') {
+        merged.available = entry.available;
+      }
+      if (typeof entry.bagsRemaining === 'number') {
+        merged.bagsRemaining = Math.max(0, Math.floor(entry.bagsRemaining));
+      } else if (entry.bagsRemaining === null) {
+        delete merged.bagsRemaining;
+      }
+      return merged;
+    });
+  },
+
+  /**
+   * Days to rest after roasting and days at peak after that
+   * @returns {{restDays: number, peakDays: number}}
+   */
+  getFreshnessWindow(drop) {
+    const { byRoastLevel, fallback, extraRestByProcess } = this.freshness;
+    const base = byRoastLevel[drop.roastLevel] || fallback;
+    return {
+      restDays: drop.restDays !== undefined ? drop.restDays : base.restDays + (extraRestByProcess[drop.process] || 0),
+      peakDays: drop.peakDays !== undefined ? drop.peakDays : base.peakDays
+    };
+  },
+
+  /**
+   * Where a drop is in its rest/peak window on a given day
+   *
+   * A roast date after 'today' counts as resting, so a drop can be listed
+   * ahead of its roast.
+   * @param {Object} drop - Coffee drop from config
+   * @param {string} today - 'YYYY-MM-DD', normally today at the roastery
+   * @returns {{roastedOn: string, daysSinceRoast: number, stage: string, label: string,
+   *   peakFrom: string, peakUntil: string}|null} null without a roast date
+   */
+  getFreshness(drop, today) {
+    const { date } = getCatalogUtils();
+    if (!drop.roastedOn || !date.isDateString(drop.roastedOn)) {
+      return null;
+    }
+    const { restDays, peakDays } = this.getFreshnessWindow(drop);
+    const daysSinceRoast = date.daysBetween(drop.roastedOn, today);
+    let stage = 'peak';
+    if (daysSinceRoast < restDays) {
+      stage = 'resting';
+    } else if (daysSinceRoast > restDays + peakDays) {
+      stage = 'past-peak';
+    }
+
+    return {
+      roastedOn: drop.roastedOn,
+      daysSinceRoast,
+      stage,
+      label: this.freshness.stages[stage],
+      peakFrom: date.addDays(drop.roastedOn, restDays),
+      peakUntil: date.addDays(drop.roastedOn, restDays + peakDays)
+    };
+  },
+
+  /**
+   * Filter then sort in one call, which is what the grid renderers need
+   * @param {Array<Object>} drops - Coffee drops from config
+   * @param {Object} state - Filter state
+   * @returns {Array<Object>} Drops ready to render
+   */
+  applyState(drops, state) {
+    return this.sortDrops(this.filterDrops(drops, state), state.sort);
+  },
+
+  /**
+   * Numeric price used for sorting: the smallest bag's price in cents
+   *
+   * Drops with no parseable price sort last rather than first.
+   */
+  getSortablePrice(drop) {
+    const variant = this.getDefaultVariant(drop);
+    return variant ? variant.priceCents : Number.MAX_SAFE_INTEGER;
+  },
+
+  /**
+   * Normalize a drop's bag sizes into [{ id, weightGrams, priceCents }]
+   *
+   * Structured 'variants' are preferred. Older entries that only have a
+   * display string like price: '$18 / 200g' are parsed into a single
+   * variant, so existing config keeps working while it's migrated.
+   * Variants are returned smallest first, which makes the first one a
+   * sensible default selection.
+   * @param {Object} drop - Coffee drop from config
+   * @returns {Array<{id: string, weightGrams: number|null, priceCents: number}>}
+   */
+  getVariants(drop) {
+    if (Array.isArray(drop.variants) && drop.variants.length > 0) {
+      return drop.variants
+        .map(variant => ({ ...variant, id: variant.id || this.formatWeight(variant.weightGrams) }))
+        .sort((a, b) => a.weightGrams - b.weightGrams);
+    }
+
+    const parsed = getCatalogUtils().string.parsePrice(drop.price);
+    if (!parsed) {
+      return [];
+    }
+
+    return [{
+      id: parsed.weightGrams ? this.formatWeight(parsed.weightGrams) : 'default',
+      weightGrams: parsed.weightGrams,
+      priceCents: parsed.priceCents
+    }];
+  },
+
+  /**
+   * The variant shown before the customer picks a size
+   * @returns {Object|null}
+   */
+  getDefaultVariant(drop) {
+    return this.getVariants(drop)[0] || null;
+  },
+
+  /**
+   * Find a variant by id, falling back to the default
+   *
+   * The fallback keeps carts saved before a size was renamed or removed
+   * usable instead of silently dropping the line.
+   * @returns {Object|null}
+   */
+  findVariant(drop, variantId) {
+    const variants = this.getVariants(drop);
+    return variants.find(variant => variant.id === variantId) || variants[0] || null;
+  },
+
+  /**
+   * Price per 100g in cents, or null when the bag weight is unknown
+   */
+  getUnitPriceCents(variant) {
+    if (!variant || !variant.weightGrams) {
+      return null;
+    }
+    return Math.round((variant.priceCents * 100) / variant.weightGrams);
+  },
+
+  /**
+   * Human-readable bag size, e.g. '340g' or '1kg'
+   */
+  formatWeight(weightGrams) {
+    if (!weightGrams) {
+      return '';
+    }
+    return weightGrams >= 1000 ? `${weightGrams / 1000}kg` : `${weightGrams}g`;
+  },
+
+  /**
+   * Display price for a variant, e.g. '$18.00 / 200g'
+   */
+  formatVariantPrice(variant) {
+    if (!variant) {
+      return '';
+    }
+    const price = getCatalogUtils().string.formatPrice(variant.priceCents);
+    return variant.weightGrams ? `${price} / ${this.formatWeight(variant.weightGrams)}` : price;
+  },
+
+  /**
+   * Unit price for comparing bag sizes, e.g. '$9.00 / 100g'
+   */
+  formatUnitPrice(variant) {
+    const unitPriceCents = this.getUnitPriceCents(variant);
+    return unitPriceCents === null ? '' : `${getCatalogUtils().string.formatPrice(unitPriceCents)} / 100g`;
+  },
+
+  /**
+   * Lowest and highest price across drops for a given bag weight
+   * @param {Array<Object>} drops - Coffee drops from config
+   * @param {number} weightGrams - Bag weight to compare, e.g. 200
+   * @returns {{minCents: number, maxCents: number}|null}
+   */
+  getPriceRange(drops, weightGrams) {
+    const prices = drops
+      .map(drop => this.getVariants(drop).find(variant => variant.weightGrams === weightGrams))
+      .filter(Boolean)
+      .map(variant => variant.priceCents);
+
+    if (prices.length === 0) {
+      return null;
+    }
+    return { minCents: Math.min(...prices), maxCents: Math.max(...prices) };
+  },
+
+  /**
+   * Per-bag price range for a subscription plan
+   *
+   * Plans with a bagWeightGrams derive their range from the current drops,
+   * so the subscriptions page can't drift from the coffee menu. Legacy
+   * plans with a price string like '$16-18/bag' are parsed instead.
+   * @returns {{minCents: number, maxCents: number}|null}
+   */
+  getPlanPriceRange(plan, drops) {
+    if (plan.bagWeightGrams) {
+      return this.getPriceRange(drops, plan.bagWeightGrams);
+    }
+
+    const parsed = getCatalogUtils().string.parsePrice(plan.price);
+    return parsed ? { minCents: parsed.priceCents, maxCents: parsed.maxPriceCents } : null;
+  },
+
+  /**
+   * Display a price range, collapsing to one price when min equals max
+   */
+  formatPriceRange(range) {
+    if (!range) {
+      return '';
+    }
+    const { formatPrice } = getCatalogUtils().string;
+    return range.minCents === range.maxCents
+      ? formatPrice(range.minCents)
+      : `${formatPrice(range.minCents)}–${formatPrice(range.maxCents)}`;
+  },
+
+  /**
+   * Build filter state from a query string like '?roast=Light&sort=price-asc'
+   *
+   * Values that don't exist in the current facets are dropped, so old
+   * bookmarks for a coffee that's gone simply show the full list.
+   * @param {string} search - window.location.search
+   * @param {Array<Object>} drops - Coffee drops, used to validate values
+   * @returns {Object} Filter state
+   */
+  readStateFromQuery(search, drops) {
+    const params = new URLSearchParams(search);
+    const facets = this.getFacets(drops);
+    const state = this.getDefaultState();
+
+    this.facetFields.forEach(field => {
+      const value = params.get(field.param);
+      if (value && facets[field.key].includes(value)) {
+        state.filters[field.key] = value;
+      }
+    });
+
+    state.inStockOnly = params.get('instock') === '1';
+
+    const sort = params.get('sort');
+    if (this.sortOptions.some(option => option.value === sort)) {
+      state.sort = sort;
+    }
+
+    return state;
+  },
+
+  /**
+   * Write filter state into a query string, preserving unrelated params
+   *
+   * Defaults are omitted so the unfiltered view keeps a clean URL.
+   * @param {Object} state - Filter state
+   * @param {string} search - Existing query string to merge into
+   * @returns {string} Query string including the leading '?', or ''
+   */
+  writeStateToQuery(state, search = '') {
+    const params = new URLSearchParams(search);
+
+    this.facetFields.forEach(field => {
+      const value = state.filters[field.key];
+      if (value) {
+        params.set(field.param, value);
+      } else {
+        params.delete(field.param);
+      }
+    });
+
+    if (state.inStockOnly) {
+      params.set('instock', '1');
+    } else {
+      params.delete('instock');
+    }
+
+    if (state.sort && state.sort !== 'featured') {
+      params.set('sort', state.sort);
+    } else {
+      params.delete('sort');
+    }
+
+    const query = params.toString();
+    return query ? `?${query}` : '';
+  }
+};
+
+/**
+ * Resolve the shared utils in either environment
+ *
+ * Browser scripts share one global scope, so this module can't declare its
+ * own top-level 'utils' binding without clashing with utils.js.
+ */
+function getCatalogUtils() {
+  if (typeof window !== 'undefined' && window.utils) {
+    return window.utils;
+  }
+  return require('./utils.js');
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CoffeeCatalog;
+} else {
+  window.CoffeeCatalog = CoffeeCatalog;
+}
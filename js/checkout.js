@@ -0,0 +1,112 @@
+/**
+ * Online checkout for Elevate Roasting
+ *
+ * When payments are live (features.stripeEnabled), carts and subscription
+ * signups are paid on Stripe's hosted Checkout page. The site asks the
+ * backend (endpoints.checkoutSessions) for a Checkout Session, sends the
+ * customer to its URL, and Stripe sends them back to checkout/success.html
+ * or checkout/cancel.html (siteConfig.checkout).
+ *
+ * Design decisions:
+ * - The browser only says what's being bought; the backend prices it from
+ *   config, so a tampered request can't change what's charged.
+ * - Card details never touch the site, so there's no Stripe.js or
+ *   publishable key to load: just a redirect.
+ * - The backend creates the order or subscription when Stripe's webhook
+ *   says the payment went through, not when the return page loads (the
+ *   customer might close the tab first). The success page only reads the
+ *   session back, waiting briefly if the webhook hasn't arrived yet.
+ * - The cart and the wizard's draft are kept until the payment is
+ *   confirmed, so cancelling returns to exactly where the customer was.
+ *
+ * `npm run mock-api` stands in for the backend and for Stripe itself
+ * (server/routes/checkout.js and server/stripe-stub.js).
+ *
+ * Usage:
+ * - Checkout.start(app, { mode: 'payment', items }, { idempotencyKey })
+ * - Checkout.start(app, { mode: 'subscription', subscription }, { idempotencyKey, draftKey })
+ * - Checkout.getSession(app, sessionId) on the return page
+ */
+
+const Checkout = {
+  // What's being paid for, kept for the return pages
+  pendingKey: 'elevate-roasting-checkout',
+
+  isEnabled(app) {
+    return app.flags.isEnabled('stripeEnabled');
+  },
+
+  /**
+   * Create a Checkout Session and go to Stripe's payment page
+   *
+   * Resolves once the redirect has started; the page unloads soon after.
+   * @param {ElevateRoastingApp} app
+   * @param {Object} request - { mode: 'payment', items: [{ dropId, variantId, quantity }] }
+   *   or { mode: 'subscription', subscription } (the wizard's signup payload)
+   * @param {Object} options - { idempotencyKey } so a retried request can't
+   *   create two sessions; { draftKey } is a storage key to clear once paid
+   * @throws {ApiError} When the session can't be created, e.g. 409 'out_of_stock'
+   */
+  async start(app, request, options = {}) {
+    const { utils, config } = app;
+    const { session } = await utils.api.post(config.api.endpoints.checkoutSessions, request, {
+      headers: options.idempotencyKey ? { 'Idempotency-Key': options.idempotencyKey } : {}
+    });
+
+    utils.storage.set(this.pendingKey, {
+      sessionId: session.id,
+      mode: request.mode,
+      draftKey: options.draftKey || null,
+      createdAt: Date.now()
+    });
+    app.trackEvent('checkout_started', { mode: request.mode });
+    window.location.assign(session.url);
+  },
+
+  /**
+   * Read a session back on the return page
+   * @returns {Promise<Object>} { id, mode, status, paymentStatus, amountTotalCents,
+   *   lineItems, order, subscription, problem }
+   */
+  async getSession(app, sessionId) {
+    const { utils, config } = app;
+    const { session } = await utils.api.get(`${config.api.endpoints.checkoutSessions}/${encodeURIComponent(sessionId)}`);
+    return session;
+  },
+
+  /**
+   * The checkout this browser last started, or null
+   */
+  getPending(app) {
+    return app.utils.storage.get(this.pendingKey, null);
+  },
+
+  /**
+   * Forget what was paid for: empty the cart or the wizard's draft
+   *
+   * Only for the session this browser started, so opening someone else's
+   * success link doesn't clear your cart.
+   */
+  complete(app, session) {
+    const pending = this.getPending(app);
+    if (!pending || pending.sessionId !== session.id) {
+      return;
+    }
+
+    if (session.mode === 'payment' && app.cart) {
+      app.cart.clear();
+    }
+    if (pending.draftKey) {
+      app.utils.storage.remove(pending.draftKey);
+    }
+    app.utils.storage.remove(this.pendingKey);
+    app.trackEvent('checkout_completed', { mode: session.mode });
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Checkout;
+} else {
+  window.Checkout = Checkout;
+}
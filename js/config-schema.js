@@ -0,0 +1,592 @@
+/**
+ * Configuration schema and validator for Elevate Roasting
+ *
+ * A typo in config/site-config.js (a duplicate drop id, a dropdown with no
+ * items, a misspelled feature flag) otherwise fails silently: cards show
+ * 'undefined' or a menu just doesn't open. This module describes the
+ * expected shape of siteConfig and ThemeManager declaratively and reports
+ * every mismatch with a precise path, e.g.
+ *   coffeeDrops[2].image: is required
+ *   features.scrollTopEnabled: unknown key
+ *
+ * It runs in two places: ElevateRoastingApp.init (errors go to the console
+ * and a dev-only banner) and `npm run validate:config`, which is part of
+ * `npm run lint` so CI catches mistakes before they're deployed.
+ *
+ * Schema nodes:
+ * - type: 'string' | 'number' | 'boolean' | 'object' | 'array' | 'any'
+ * - nullable: allow null (e.g. social links we haven't set up yet)
+ * - string: enum, pattern, nonEmpty
+ * - number: integer, min, max
+ * - array: items (schema), minItems, uniqueBy (field that must be unique)
+ * - object: properties, required, values (schema for map-style objects).
+ *   Keys not listed in properties are reported as unknown unless
+ *   additionalProperties is true.
+ * - check(value): extra rules across fields; returns a list of
+ *   { path, message } relative to the node, or an empty list.
+ */
+
+const ConfigSchema = {
+  schemas: createConfigSchemas(),
+
+  /**
+   * Validate a value against a schema node
+   * @param {*} value - Value to check
+   * @param {Object} schema - Schema node
+   * @param {string} path - Path of the value, used as the prefix in errors
+   * @returns {Array<{path: string, message: string}>} Empty when valid
+   */
+  validate(value, schema, path = '') {
+    const errors = [];
+    this.validateNode(value, schema, path, errors);
+    return errors;
+  },
+
+  /**
+   * Check one node and recurse into its children, collecting into errors
+   */
+  validateNode(value, schema, path, errors) {
+    const report = (message, subPath = path) => errors.push({ path: subPath || '(root)', message });
+
+    if (value === null && schema.nullable) {
+      return;
+    }
+
+    const actualType = this.getType(value);
+    if (schema.type !== 'any' && actualType !== schema.type) {
+      report(`expected ${schema.type}`);
+      return;
+    }
+
+    if (schema.type === 'string') {
+      if (schema.nonEmpty && value.trim() === '') {
+        report('must not be empty');
+      }
+      if (schema.enum && !schema.enum.includes(value)) {
+        report(`expected one of ${schema.enum.map(option => `'${option}'`).join(', ')}`);
+      }
+      if (schema.pattern && !schema.pattern.test(value)) {
+        report(`does not match ${schema.pattern}`);
+      }
+    }
+
+    if (schema.type === 'number') {
+      if (schema.integer && !Number.isInteger(value)) {
+        report('expected integer');
+      }
+      if (schema.min !== undefined && value < schema.min) {
+        report(`must be at least ${schema.min}`);
+      }
+      if (schema.max !== undefined && value > schema.max) {
+        report(`must be at most ${schema.max}`);
+      }
+    }
+
+    if (schema.type === 'array') {
+      this.validateArray(value, schema, path, errors);
+    }
+
+    if (schema.type === 'object') {
+      this.validateObject(value, schema, path, errors);
+    }
+
+    if (schema.check) {
+      schema.check(value).forEach(error => report(error.message, this.joinPath(path, error.path)));
+    }
+  },
+
+  /**
+   * Check array length, each item and uniqueness of the uniqueBy field
+   */
+  validateArray(value, schema, path, errors) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `expected at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+    }
+
+    const seen = new Map();
+    value.forEach((item, index) => {
+      const itemPath = `${path}[${index}]`;
+      if (schema.items) {
+        this.validateNode(item, schema.items, itemPath, errors);
+      }
+
+      if (schema.uniqueBy && item && item[schema.uniqueBy] !== undefined) {
+        const key = item[schema.uniqueBy];
+        if (seen.has(key)) {
+          errors.push({
+            path: `${itemPath}.${schema.uniqueBy}`,
+            message: `duplicate value ${JSON.stringify(key)} (also used by ${seen.get(key)})`
+          });
+        } else {
+          seen.set(key, itemPath);
+        }
+      }
+    });
+  },
+
+  /**
+   * Check required keys, known keys and map-style values
+   */
+  validateObject(value, schema, path, errors) {
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({ path: this.joinPath(path, key), message: 'is required' });
+      }
+    });
+
+    Object.entries(value).forEach(([key, child]) => {
+      const childPath = this.joinPath(path, key);
+      if (properties[key]) {
+        if (child !== undefined) {
+          this.validateNode(child, properties[key], childPath, errors);
+        }
+      } else if (schema.values) {
+        this.validateNode(child, schema.values, childPath, errors);
+      } else if (!schema.additionalProperties) {
+        errors.push({ path: childPath, message: 'unknown key' });
+      }
+    });
+  },
+
+  /**
+   * typeof, but with 'array' and 'null' told apart from 'object'
+   */
+  getType(value) {
+    if (value === null) {
+      return 'null';
+    }
+    if (Array.isArray(value)) {
+      return 'array';
+    }
+    return typeof value;
+  },
+
+  /**
+   * Join path segments, keeping array indexes attached: 'a' + '[0]' -> 'a[0]'
+   */
+  joinPath(base, segment) {
+    if (!segment) {
+      return base;
+    }
+    if (!base || segment.startsWith('[')) {
+      return `${base}${segment}`;
+    }
+    return `${base}.${segment}`;
+  },
+
+  /**
+   * Render an error the way the console and CLI print it
+   */
+  formatError(error) {
+    return `${error.path}: ${error.message}`;
+  },
+
+  /**
+   * Validate the site and theme configuration together
+   * @param {Object} siteConfig - window.siteConfig / config/site-config.js
+   * @param {Object} themeManager - ThemeManager, whose themes are checked
+   * @returns {Array<{path: string, message: string}>}
+   */
+  validateAll(siteConfig, themeManager) {
+    const errors = this.validate(siteConfig, this.schemas.siteConfig, '');
+    if (themeManager) {
+      errors.push(...this.validate(themeManager, this.schemas.themeManager, 'ThemeManager'));
+    }
+    return errors;
+  }
+};
+
+/**
+ * Schema definitions
+ *
+ * Kept next to the validator so adding a config field means updating one
+ * file. Feature flags are listed explicitly: an unknown flag is almost
+ * always a typo of a real one. Built inside a function so the helper
+ * schemas don't become globals shared with every other script.
+ */
+function createConfigSchemas() {
+  const nonEmptyString = { type: 'string', nonEmpty: true };
+  const weekday = { type: 'string', enum: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'] };
+  const dateString = { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/ };
+  // An instant, so the offset is required: '2026-10-23T09:00:00-07:00'
+  const timestampString = {
+    type: 'string',
+    pattern: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/
+  };
+  const timeString = { type: 'string', pattern: /^([01]\d|2[0-3]):[0-5]\d$/ };
+  const linkPath = { type: 'string', pattern: /^(\/|#|https?:\/\/|mailto:)/ };
+
+  const navLinkSchema = {
+    type: 'object',
+    required: ['id', 'label', 'href'],
+    properties: {
+      id: nonEmptyString,
+      label: nonEmptyString,
+      href: linkPath
+    }
+  };
+
+  const navItemSchema = {
+    type: 'object',
+    required: ['id', 'label', 'type'],
+    properties: {
+      id: nonEmptyString,
+      label: nonEmptyString,
+      type: { type: 'string', enum: ['button', 'dropdown'] },
+      href: linkPath,
+      items: { type: 'array', items: navLinkSchema, minItems: 1, uniqueBy: 'id' }
+    },
+    check(item) {
+      if (item.type === 'dropdown' && item.items === undefined) {
+        return [{ path: 'items', message: 'is required when type is \'dropdown\'' }];
+      }
+      return [];
+    }
+  };
+
+  const variantSchema = {
+    type: 'object',
+    required: ['weightGrams', 'priceCents'],
+    properties: {
+      id: nonEmptyString,
+      weightGrams: { type: 'number', integer: true, min: 1 },
+      priceCents: { type: 'number', integer: true, min: 0 }
+    }
+  };
+
+  const blendComponentSchema = {
+    type: 'object',
+    required: ['origin', 'percent'],
+    properties: {
+      origin: nonEmptyString,
+      process: nonEmptyString,
+      percent: { type: 'number', min: 1 }
+    }
+  };
+
+  const espressoRecipeSchema = {
+    type: 'object',
+    required: ['doseGrams', 'yieldGrams'],
+    properties: {
+      doseGrams: { type: 'number', min: 1 },
+      yieldGrams: { type: 'number', min: 1 },
+      timeSeconds: { type: 'number', integer: true, min: 1 }
+    }
+  };
+
+  const coffeeDropSchema = {
+    type: 'object',
+    required: ['id', 'name', 'description', 'image', 'available'],
+    properties: {
+      id: { type: 'number', integer: true, min: 1 },
+      name: nonEmptyString,
+      description: { type: 'string' },
+      category: { type: 'string', enum: ['single-origin', 'espresso'] },
+      variants: { type: 'array', items: variantSchema, minItems: 1, uniqueBy: 'id' },
+      price: nonEmptyString, // Legacy display string, e.g. '$18 / 200g'
+      image: nonEmptyString,
+      available: { type: 'boolean' },
+      roastLevel: nonEmptyString,
+      origin: nonEmptyString,
+      process: nonEmptyString,
+      elevation: { type: 'string' },
+      varietal: { type: 'string' },
+      body: nonEmptyString,
+      acidity: nonEmptyString,
+      components: { type: 'array', items: blendComponentSchema, minItems: 1 },
+      recipe: espressoRecipeSchema,
+      roastedOn: dateString,
+      bagsRemaining: { type: 'number', integer: true, min: 0 },
+      lowStockThreshold: { type: 'number', integer: true, min: 0 },
+      restDays: { type: 'number', integer: true, min: 0 },
+      peakDays: { type: 'number', integer: true, min: 1 },
+      releaseAt: timestampString,
+      retireAt: timestampString
+    },
+    check(drop) {
+      const errors = [];
+      if (drop.variants === undefined && drop.price === undefined) {
+        errors.push({ path: 'variants', message: 'is required (or a legacy price string)' });
+      }
+      if (Array.isArray(drop.components)) {
+        const total = drop.components.reduce((sum, component) => sum + (Number(component && component.percent) || 0), 0);
+        if (total !== 100) {
+          errors.push({ path: 'components', message: `percentages add up to ${total}, expected 100` });
+        }
+      }
+      ['releaseAt', 'retireAt'].forEach(key => {
+        // Date parsing rolls '2026-02-30' over to March rather than failing
+        const [year, month, day] = typeof drop[key] === 'string' ? drop[key].split(/[-T]/).map(Number) : [];
+        const parsed = new Date(Date.UTC(year, month - 1, day));
+        if (year && (parsed.getUTCMonth() !== month - 1 || parsed.getUTCDate() !== day)) {
+          errors.push({ path: key, message: 'is not a real date and time' });
+        }
+      });
+      if (drop.releaseAt && drop.retireAt && new Date(drop.retireAt) <= new Date(drop.releaseAt)) {
+        errors.push({ path: 'retireAt', message: 'must be after releaseAt' });
+      }
+      return errors;
+    }
+  };
+
+  const subscriptionOptionSchema = {
+    type: 'object',
+    required: ['id', 'name', 'description', 'interval'],
+    properties: {
+      id: nonEmptyString,
+      name: nonEmptyString,
+      bagWeightGrams: { type: 'number', integer: true, min: 1 },
+      price: nonEmptyString, // Legacy display string, e.g. '$16-18/bag'
+      description: { type: 'string' },
+      interval: nonEmptyString
+    },
+    check(plan) {
+      if (plan.bagWeightGrams === undefined && plan.price === undefined) {
+        return [{ path: 'bagWeightGrams', message: 'is required (or a legacy price string)' }];
+      }
+      return [];
+    }
+  };
+
+  // A rollout or experiment (see js/feature-flags.js)
+  const flagRuleSchema = {
+    type: 'object',
+    properties: {
+      rollout: { type: 'number', min: 0, max: 100 },
+      variants: { type: 'object', values: { type: 'number', min: 0 } }
+    },
+    check(rule) {
+      if ((rule.rollout === undefined) === (rule.variants === undefined)) {
+        return [{ path: '', message: 'expected either rollout or variants' }];
+      }
+      if (rule.variants) {
+        const weights = Object.values(rule.variants);
+        if (weights.length < 2) {
+          return [{ path: 'variants', message: 'expected at least 2 variants' }];
+        }
+        if (!weights.some(weight => weight > 0)) {
+          return [{ path: 'variants', message: 'at least one variant needs a weight above 0' }];
+        }
+      }
+      return [];
+    }
+  };
+
+  // true/false for everyone, or { rollout } / { variants }
+  const flagSchema = {
+    type: 'any',
+    check(flag) {
+      if (typeof flag === 'boolean') {
+        return [];
+      }
+      if (ConfigSchema.getType(flag) !== 'object') {
+        return [{ path: '', message: 'expected boolean, { rollout } or { variants }' }];
+      }
+      // Paths come back as '(root)' for the rule itself; make them relative again
+      return ConfigSchema.validate(flag, flagRuleSchema)
+        .map(error => ({ ...error, path: error.path === '(root)' ? '' : error.path }));
+    }
+  };
+
+  return {
+    siteConfig: {
+      type: 'object',
+      required: ['site', 'navigation', 'social', 'coffeeDrops', 'subscriptionOptions', 'consent', 'api', 'features'],
+      properties: {
+        site: {
+          type: 'object',
+          required: ['name', 'description', 'location', 'email'],
+          properties: {
+            name: nonEmptyString,
+            description: { type: 'string' },
+            url: { type: 'string', pattern: /^https?:\/\/[^/]+$/ },
+            location: { type: 'string' },
+            email: { type: 'string', pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ },
+            year: { type: 'number', integer: true }
+          }
+        },
+        navigation: {
+          type: 'object',
+          required: ['items'],
+          properties: {
+            items: { type: 'array', items: navItemSchema, uniqueBy: 'id' }
+          }
+        },
+        social: {
+          type: 'object',
+          values: { type: 'string', nullable: true, pattern: /^https?:\/\// }
+        },
+        instagramFeed: {
+          type: 'object',
+          required: ['posts'],
+          properties: {
+            posts: {
+              type: 'array',
+              items: { type: 'string', pattern: /^https:\/\/www\.instagram\.com\/(p|reel)\/[\w-]+\/$/ }
+            }
+          }
+        },
+        coffeeDrops: { type: 'array', items: coffeeDropSchema, uniqueBy: 'id' },
+        subscriptionOptions: { type: 'array', items: subscriptionOptionSchema, uniqueBy: 'id' },
+        pickup: {
+          type: 'object',
+          required: ['location', 'days'],
+          properties: {
+            location: nonEmptyString,
+            days: {
+              type: 'array',
+              minItems: 1,
+              uniqueBy: 'id',
+              items: {
+                type: 'object',
+                required: ['id', 'label'],
+                properties: {
+                  // Weekday names, which js/schedule.js schedules pickups from
+                  id: weekday,
+                  label: nonEmptyString,
+                  hours: { type: 'string' },
+                  startTime: timeString,
+                  endTime: timeString
+                },
+                check(day) {
+                  return day.startTime && day.endTime && day.endTime <= day.startTime
+                    ? [{ path: 'endTime', message: 'must be after startTime' }]
+                    : [];
+                }
+              }
+            }
+          }
+        },
+        schedule: {
+          type: 'object',
+          required: ['timezone', 'roastDays'],
+          properties: {
+            timezone: nonEmptyString,
+            roastDays: { type: 'array', items: weekday, minItems: 1 },
+            orderCutoff: {
+              type: 'object',
+              required: ['weekday', 'time'],
+              properties: {
+                weekday,
+                time: timeString
+              }
+            },
+            blackoutDates: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['from', 'reason'],
+                properties: {
+                  from: dateString,
+                  to: dateString,
+                  reason: nonEmptyString
+                },
+                check(range) {
+                  return range.to && range.to < range.from
+                    ? [{ path: 'to', message: 'must not be before from' }]
+                    : [];
+                }
+              }
+            }
+          },
+          check(schedule) {
+            // An unknown zone would otherwise only fail when a date is shown
+            try {
+              new Intl.DateTimeFormat('en-US', { timeZone: schedule.timezone });
+              return [];
+            } catch (error) {
+              return [{ path: 'timezone', message: `unknown timezone '${schedule.timezone}'` }];
+            }
+          }
+        },
+        inventory: {
+          type: 'object',
+          properties: {
+            lowStockThreshold: { type: 'number', integer: true, min: 0 }
+          }
+        },
+        checkout: {
+          type: 'object',
+          required: ['currency', 'successPath', 'cancelPath'],
+          properties: {
+            currency: { type: 'string', pattern: /^[a-z]{3}$/ }, // ISO 4217, lowercase as Stripe expects
+            successPath: { type: 'string', pattern: /^\// },
+            cancelPath: { type: 'string', pattern: /^\// }
+          }
+        },
+        consent: {
+          type: 'object',
+          required: ['version'],
+          properties: {
+            version: { type: 'number', integer: true, min: 1 }
+          }
+        },
+        api: {
+          type: 'object',
+          required: ['baseUrl', 'endpoints'],
+          properties: {
+            baseUrl: { type: 'string' },
+            endpoints: {
+              type: 'object',
+              values: { type: 'string', pattern: /^\// }
+            }
+          }
+        },
+        features: {
+          type: 'object',
+          properties: {
+            stripeEnabled: flagSchema,
+            emailServiceEnabled: flagSchema,
+            contactServiceEnabled: flagSchema,
+            inventoryServiceEnabled: flagSchema,
+            instagramFeedEnabled: flagSchema,
+            analyticsEnabled: flagSchema,
+            scrollToTopEnabled: flagSchema
+          }
+        }
+      }
+    },
+
+    themeManager: {
+      type: 'object',
+      additionalProperties: true, // ThemeManager also carries its methods
+      required: ['themes', 'defaultTheme'],
+      properties: {
+        themes: {
+          type: 'object',
+          values: {
+            type: 'object',
+            required: ['name', 'displayName', 'bodyClass'],
+            properties: {
+              name: nonEmptyString,
+              displayName: nonEmptyString,
+              bodyClass: { type: 'string', pattern: /^theme-[a-z0-9-]+$/ },
+              description: { type: 'string' }
+            }
+          },
+          check(themes) {
+            return Object.entries(themes)
+              .filter(([key, theme]) => theme && theme.name !== key)
+              .map(([key]) => ({ path: `${key}.name`, message: `must match its key '${key}'` }));
+          }
+        },
+        defaultTheme: nonEmptyString
+      },
+      check(manager) {
+        if (manager.themes && typeof manager.defaultTheme === 'string' && !manager.themes[manager.defaultTheme]) {
+          return [{ path: 'defaultTheme', message: `unknown theme '${manager.defaultTheme}'` }];
+        }
+        return [];
+      }
+    }
+  };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConfigSchema;
+} else {
+  window.ConfigSchema = ConfigSchema;
+}
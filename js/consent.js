@@ -0,0 +1,264 @@
+/**
+ * Privacy consent for Elevate Roasting
+ *
+ * Asks visitors what we may store and share, by category:
+ * - essential: the cart, checkout, subscription signup, email signups,
+ *   theme, offline outbox and feature flag overrides. The site doesn't
+ *   work without them, so they're always on. Flag overrides count because
+ *   they're only saved when someone opens a ?ff= link to preview a
+ *   feature, and they hold that choice and nothing about the visitor.
+ * - analytics: tracked events (js/analytics.js) and the visitor id they
+ *   and feature flag rollouts use
+ * - marketing: third-party embeds that set their own cookies, like the
+ *   home page's Instagram feed
+ *
+ * Design decisions:
+ * - Nothing optional happens until the visitor says yes. A banner asks on
+ *   the first visit, and "Privacy settings" in the footer reopens the
+ *   choice at any time in a dialog.
+ * - The choice is saved with siteConfig.consent.version. Bumping the
+ *   version when we start storing or sharing something new asks everyone
+ *   again.
+ * - A browser sending Global Privacy Control or Do Not Track has already
+ *   answered: analytics and marketing stay off and the banner isn't shown.
+ *   The visitor can still turn them on in Privacy settings.
+ * - Other modules ask allows(category) before acting, and utils.storage
+ *   won't write a key in storageCategories without its category.
+ *   Withdrawing consent deletes those keys.
+ * - Changes are broadcast as a 'consentChanged' event on the document,
+ *   the same pattern as 'cartChanged' and 'themeChanged'.
+ *
+ * Usage:
+ * - app.consent.allows('marketing')
+ * - app.consent.openPreferences()
+ * - document.addEventListener('consentChanged', (e) => e.detail.categories)
+ */
+
+const ConsentManager = {
+  storageKey: 'elevate-roasting-consent',
+
+  // Shown in the preferences dialog, in this order
+  categories: {
+    essential: {
+      label: 'Essential',
+      description: 'Your cart, checkout, subscription signup and settings like the theme or a feature preview. The site needs these to work.'
+    },
+    analytics: {
+      label: 'Analytics',
+      description: 'Visit statistics sent to us, with a random visitor id and nothing personal, so we know what to improve.'
+    },
+    marketing: {
+      label: 'Marketing',
+      description: 'Posts embedded from Instagram, which sets its own cookies.'
+    }
+  },
+
+  // localStorage keys that need a category other than essential; anything
+  // not listed (including FeatureFlags.overridesKey) is essential. That
+  // includes 'subscribers': an email is only kept there because its owner
+  // just signed up to be emailed, while the email service is off
+  storageCategories: {
+    'elevate-roasting-visitor': 'analytics'
+  },
+
+  app: null,
+  choice: null,
+  banner: null,
+  closePreferences: null,
+
+  /**
+   * Load the saved choice and ask for one if there isn't one
+   * @param {ElevateRoastingApp} app
+   */
+  init(app) {
+    this.app = app;
+    this.choice = this.readChoice();
+
+    document.addEventListener('click', (event) => {
+      if (event.target.closest('[data-consent-preferences]')) {
+        event.preventDefault();
+        this.openPreferences();
+      }
+    });
+
+    if (!this.choice && !this.hasOptOutSignal()) {
+      this.showBanner();
+    }
+  },
+
+  /**
+   * Whether the visitor has agreed to a category
+   * @param {'essential'|'analytics'|'marketing'} category
+   */
+  allows(category) {
+    if (category === 'essential') {
+      return true;
+    }
+    return Boolean(this.choice && this.choice.categories[category]);
+  },
+
+  /**
+   * Whether utils.storage may write a key
+   */
+  allowsStorage(key) {
+    const category = Object.prototype.hasOwnProperty.call(this.storageCategories, key)
+      ? this.storageCategories[key]
+      : 'essential';
+    return this.allows(category);
+  },
+
+  /**
+   * Global Privacy Control, or the older Do Not Track
+   */
+  hasOptOutSignal() {
+    return navigator.globalPrivacyControl === true
+      || [navigator.doNotTrack, window.doNotTrack].some(value => value === '1' || value === 'yes');
+  },
+
+  /**
+   * The saved choice, or null when there's none for the current version
+   */
+  readChoice() {
+    const saved = this.app.utils.storage.get(this.storageKey, null);
+    if (!saved || !saved.categories || saved.version !== this.app.config.consent.version) {
+      return null;
+    }
+    return saved;
+  },
+
+  /**
+   * Save a choice, delete storage it no longer allows and tell the page
+   * @param {{analytics: boolean, marketing: boolean}} categories
+   */
+  save(categories) {
+    const { storage } = this.app.utils;
+    const previous = this.getCategories();
+    this.choice = {
+      version: this.app.config.consent.version,
+      categories: {
+        analytics: Boolean(categories.analytics),
+        marketing: Boolean(categories.marketing)
+      },
+      savedAt: new Date().toISOString()
+    };
+    storage.set(this.storageKey, this.choice);
+
+    Object.keys(this.storageCategories)
+      .filter(key => !this.allowsStorage(key))
+      .forEach(key => storage.remove(key));
+
+    this.hideBanner();
+    document.dispatchEvent(new CustomEvent('consentChanged', {
+      detail: { categories: this.getCategories(), previous }
+    }));
+  },
+
+  /**
+   * Every category and whether it's allowed right now
+   * @returns {Object<string, boolean>}
+   */
+  getCategories() {
+    return Object.fromEntries(Object.keys(this.categories).map(name => [name, this.allows(name)]));
+  },
+
+  showBanner() {
+    const { html, dom } = this.app.utils;
+    this.banner = dom.createElement('section', {
+      className: 'consent-banner',
+      'aria-label': 'Privacy choices',
+      innerHTML: html`
+        <p class="text-sm">
+          We store what the site needs to work, like your cart. With your OK we'd
+          also collect visit statistics and show posts from Instagram, which sets
+          its own cookies.
+        </p>
+        <div class="consent-actions">
+          <button class="btn btn-secondary btn-small" type="button" data-consent-preferences>Choose</button>
+          <button class="btn btn-primary btn-small" type="button" data-consent-reject>Essential only</button>
+          <button class="btn btn-primary btn-small" type="button" data-consent-accept>Accept all</button>
+        </div>
+      `
+    });
+
+    this.banner.addEventListener('click', (event) => {
+      if (event.target.closest('[data-consent-accept]')) {
+        this.save({ analytics: true, marketing: true });
+      } else if (event.target.closest('[data-consent-reject]')) {
+        this.save({ analytics: false, marketing: false });
+      }
+    });
+    document.body.appendChild(this.banner);
+  },
+
+  hideBanner() {
+    if (this.banner) {
+      this.banner.remove();
+      this.banner = null;
+    }
+  },
+
+  /**
+   * The preferences dialog, with the current choice ticked
+   */
+  openPreferences() {
+    if (this.closePreferences) {
+      return;
+    }
+
+    this.closePreferences = this.app.utils.dialog.open({
+      content: this.createPreferencesHTML(),
+      labelledBy: 'consent-preferences-title',
+      className: 'consent-preferences',
+      onClose: () => {
+        this.closePreferences = null;
+      }
+    });
+
+    const form = document.querySelector('[data-consent-form]');
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.save({ analytics: form.elements.analytics.checked, marketing: form.elements.marketing.checked });
+      this.closePreferences();
+      this.app.showNotification('Your privacy choices are saved.', 'success');
+    });
+  },
+
+  createPreferencesHTML() {
+    const { html } = this.app.utils;
+    const checked = (isChecked) => isChecked && html.raw(' checked');
+
+    return html`
+      <form class="modal-content" data-consent-form>
+        <div class="modal-header">
+          <h2 class="text-2xl text-heading" id="consent-preferences-title">Privacy settings</h2>
+          <button class="nav-link" type="button" data-dialog-close aria-label="Close privacy settings">✕</button>
+        </div>
+        ${!this.choice && this.hasOptOutSignal() && html`
+          <p class="text-sm text-muted">
+            Your browser asks sites not to track you, so analytics and marketing
+            stay off unless you turn them on here.
+          </p>
+        `}
+        <fieldset class="wizard-fieldset">
+          <legend class="wizard-legend">What we may store and share</legend>
+          ${Object.entries(this.categories).map(([name, category]) => html`
+            <label class="wizard-option">
+              <input type="checkbox" name="${name}"${checked(this.allows(name))}${name === 'essential' && html.raw(' disabled')} />
+              <span><strong>${category.label}</strong> <span class="text-muted">${category.description}</span></span>
+            </label>
+          `)}
+        </fieldset>
+        <div class="wizard-actions">
+          <button class="btn btn-primary" type="submit">Save choices</button>
+        </div>
+      </form>
+    `;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConsentManager;
+} else {
+  window.ConsentManager = ConsentManager;
+}
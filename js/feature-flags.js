@@ -0,0 +1,222 @@
+/**
+ * Feature flags for Elevate Roasting
+ *
+ * Flags are declared in siteConfig.features, and everything that can be
+ * switched on or off asks here (app.flags) instead of reading the config
+ * directly. Each flag is one of:
+ * - true / false: on or off for everyone
+ * - { rollout: 25 }: on for 25% of visitors
+ * - { variants: { control: 50, compact: 50 } }: an experiment; each
+ *   visitor sees one variant, picked by weight
+ *
+ * Design decisions:
+ * - Visitors are bucketed by a hash of the flag name and a random visitor
+ *   id kept in storage, so a visitor sees the same thing on every page and
+ *   visit, and being in one rollout says nothing about being in the next.
+ *   Raising a rollout only adds visitors: everyone in at 10% is still in
+ *   at 25%.
+ * - QA can force flags with ?ff=scrollToTopEnabled:on (several separated
+ *   by commas, or a variant name for experiments). Overrides are saved to
+ *   storage so they stick while clicking around; ?ff=reset clears them.
+ * - The first time a page asks for a rollout or experiment flag, a
+ *   'flag_exposure' event is tracked with the visitor's variant, so
+ *   results only count visitors who actually reached the feature. Fixed
+ *   on/off flags and QA overrides aren't tracked.
+ * - The visitor id is analytics storage (js/consent.js). Without analytics
+ *   consent, visitors aren't bucketed: rollouts are off and experiments
+ *   show their first variant, the same on every page.
+ *
+ * Usage:
+ * - app.flags.isEnabled('scrollToTopEnabled')
+ * - app.flags.getVariant('someExperiment') // e.g. 'control'
+ */
+
+const FeatureFlags = {
+  visitorKey: 'elevate-roasting-visitor',
+  overridesKey: 'elevate-roasting-flag-overrides',
+  queryParam: 'ff',
+
+  app: null,
+  overrides: {},
+  exposed: new Set(),
+  visitorId: null,
+
+  /**
+   * Read the flags for this page, applying any ?ff= overrides
+   * @param {ElevateRoastingApp} app
+   */
+  init(app) {
+    this.app = app;
+    this.exposed = new Set();
+    this.visitorId = null;
+    this.overrides = this.applyQueryOverrides(window.location.search);
+  },
+
+  isEnabled(name) {
+    return this.getVariant(name) !== 'off';
+  },
+
+  /**
+   * The variant this visitor sees: 'on' or 'off' for plain flags and
+   * rollouts, or one of an experiment's variant names
+   */
+  getVariant(name) {
+    const { variant, source } = this.evaluate(name);
+    if ((source === 'rollout' || source === 'experiment') && !this.exposed.has(name)) {
+      this.exposed.add(name);
+      this.app.trackEvent('flag_exposure', { flag: name, variant, source });
+    }
+    return variant;
+  },
+
+  /**
+   * Work out a flag without tracking exposure
+   * @returns {{variant: string, source: 'override'|'config'|'default'|'rollout'|'experiment'}}
+   */
+  evaluate(name) {
+    const definition = this.app.config.features[name];
+    if (Object.prototype.hasOwnProperty.call(this.overrides, name)) {
+      return { variant: this.overrides[name], source: 'override' };
+    }
+
+    // No visitor id to bucket by without consent, so everyone gets the default
+    if (definition && typeof definition === 'object' && !this.app.consent.allows('analytics')) {
+      if (definition.variants) {
+        return { variant: Object.keys(definition.variants)[0], source: 'default' };
+      }
+      return { variant: definition.rollout >= 100 ? 'on' : 'off', source: 'default' };
+    }
+
+    if (definition && typeof definition === 'object' && definition.variants) {
+      return { variant: this.pickVariant(definition.variants, this.getBucket(name)), source: 'experiment' };
+    }
+    if (definition && typeof definition === 'object') {
+      return { variant: this.getBucket(name) < definition.rollout ? 'on' : 'off', source: 'rollout' };
+    }
+    return { variant: definition === true ? 'on' : 'off', source: 'config' };
+  },
+
+  /**
+   * Every flag's current variant, for debugging from the console
+   */
+  getAll() {
+    return Object.fromEntries(Object.keys(this.app.config.features)
+      .map(name => [name, this.evaluate(name).variant]));
+  },
+
+  /**
+   * Pick a variant by weight for a bucket in [0, 100)
+   * @param {Object<string, number>} variants - Variant name -> weight
+   */
+  pickVariant(variants, bucket) {
+    const entries = Object.entries(variants);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    let point = (bucket / 100) * total;
+    const match = entries.find(([, weight]) => {
+      point -= weight;
+      return point < 0;
+    });
+    return (match || entries[entries.length - 1])[0];
+  },
+
+  /**
+   * This visitor's position in [0, 100) for a flag, to two decimal places
+   */
+  getBucket(name) {
+    return (this.hash(`${name}:${this.getVisitorId()}`) % 10000) / 100;
+  },
+
+  /**
+   * 32-bit FNV-1a, then MurmurHash3's finalizer so strings that differ by
+   * a character (flag names, visitor ids) still land far apart
+   */
+  hash(value) {
+    let hash = 0x811c9dc5;
+    for (let index = 0; index < value.length; index++) {
+      hash ^= value.charCodeAt(index);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xc2b2ae35);
+    hash ^= hash >>> 16;
+    return hash >>> 0;
+  },
+
+  getVisitorId() {
+    if (!this.visitorId) {
+      const { storage, outbox } = this.app.utils;
+      this.visitorId = storage.get(this.visitorKey, null);
+      if (!this.visitorId) {
+        this.visitorId = outbox.createKey();
+        storage.set(this.visitorKey, this.visitorId);
+      }
+    }
+    return this.visitorId;
+  },
+
+  /**
+   * Merge ?ff= overrides into the saved ones
+   *
+   * 'name:on', 'name:off', 'name:<variant>' or just 'name' (on);
+   * 'reset' forgets them all. Unknown flags and variants are ignored.
+   * @returns {Object<string, string>} Flag name -> forced variant
+   */
+  applyQueryOverrides(search) {
+    const { storage, debug } = this.app.utils;
+    const values = new URLSearchParams(search).getAll(this.queryParam)
+      .flatMap(value => value.split(','))
+      .map(value => value.trim())
+      .filter(Boolean);
+
+    let overrides = storage.get(this.overridesKey, {});
+    if (values.length === 0) {
+      return overrides;
+    }
+
+    values.forEach(value => {
+      if (value === 'reset') {
+        overrides = {};
+        return;
+      }
+      const [name, requested = 'on'] = value.split(':');
+      const variant = this.normalizeOverride(name, requested);
+      if (variant) {
+        overrides[name] = variant;
+      } else {
+        debug.log(`Ignoring flag override '${value}'`);
+      }
+    });
+
+    storage.set(this.overridesKey, overrides);
+    return overrides;
+  },
+
+  /**
+   * The variant an override forces, or null if the flag or variant doesn't exist
+   */
+  normalizeOverride(name, requested) {
+    const definition = this.app.config.features[name];
+    if (definition === undefined) {
+      return null;
+    }
+    if (definition && typeof definition === 'object' && definition.variants) {
+      return Object.prototype.hasOwnProperty.call(definition.variants, requested) ? requested : null;
+    }
+    if (['on', 'true', '1'].includes(requested)) {
+      return 'on';
+    }
+    if (['off', 'false', '0'].includes(requested)) {
+      return 'off';
+    }
+    return null;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FeatureFlags;
+} else {
+  window.FeatureFlags = FeatureFlags;
+}
@@ -0,0 +1,72 @@
+/**
+ * Checkout cancel page module (checkout/cancel.html, data-page="checkout-cancel")
+ *
+ * Stripe sends the customer here when they back out of paying. Nothing was
+ * charged, and the cart or the signup wizard's draft is still as they left
+ * it (see js/checkout.js), so the page just offers the way back to it.
+ */
+
+const CheckoutCancelPage = {
+  app: null,
+  container: null,
+  handleClick: null,
+
+  init(app) {
+    this.app = app;
+    this.container = app.utils.dom.getElement('checkout-result');
+    if (!this.container) {
+      return;
+    }
+
+    this.handleClick = (event) => {
+      if (event.target.closest('[data-open-cart]')) {
+        this.app.openCart();
+      }
+    };
+    this.container.addEventListener('click', this.handleClick);
+
+    const pending = window.Checkout.getPending(app);
+    app.trackEvent('checkout_cancelled', { mode: pending ? pending.mode : null });
+    this.render(pending);
+  },
+
+  destroy() {
+    if (this.container) {
+      this.container.removeEventListener('click', this.handleClick);
+    }
+    this.app = null;
+    this.container = null;
+    this.handleClick = null;
+  },
+
+  /**
+   * @param {Object|null} pending - The checkout this browser started (Checkout.getPending)
+   */
+  render(pending) {
+    const { html } = this.app.utils;
+    const mode = pending ? pending.mode : null;
+
+    this.container.innerHTML = html`
+      <div class="checkout-summary">
+        <p class="text-body">
+          ${mode === 'subscription'
+            ? 'Your subscription hasn\'t been set up. Your choices are saved, so you can pick up where you left off.'
+            : 'Your coffee is still in your cart whenever you\'re ready.'}
+        </p>
+        <div class="wizard-actions">
+          ${mode === 'subscription'
+            ? html`<a class="btn btn-primary" href="../subscriptions.html">Back to your subscription</a>`
+            : html`<button class="btn btn-primary" type="button" data-open-cart>View cart</button>`}
+          <a class="btn btn-secondary" href="/">Keep browsing</a>
+        </div>
+      </div>
+    `;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CheckoutCancelPage;
+} else {
+  window.ElevateRoastingApp.registerPage('checkout-cancel', CheckoutCancelPage);
+}
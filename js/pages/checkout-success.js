@@ -0,0 +1,166 @@
+/**
+ * Checkout success page module (checkout/success.html, data-page="checkout-success")
+ *
+ * Stripe sends the customer here after paying, with the Checkout Session
+ * id in ?session_id (see js/checkout.js). The page reads the session back
+ * and shows the paid order or the new subscription.
+ *
+ * The backend creates the order or subscription from Stripe's webhook,
+ * which can land a moment after the customer does, so a paid session
+ * without either is asked for again a few times before the page settles
+ * on "we're confirming your payment".
+ */
+
+const CheckoutSuccessPage = {
+  pollIntervalMs: 2000,
+  maxAttempts: 5,
+
+  app: null,
+  container: null,
+  sessionId: null,
+  attempts: 0,
+  pollTimer: null,
+
+  init(app) {
+    this.app = app;
+    this.container = app.utils.dom.getElement('checkout-result');
+    if (!this.container) {
+      return;
+    }
+
+    this.sessionId = new URLSearchParams(window.location.search).get('session_id');
+    if (!this.sessionId) {
+      this.renderMissing();
+      return;
+    }
+
+    this.container.innerHTML = app.utils.html`<p class="text-body">Confirming your payment...</p>`;
+    this.load();
+  },
+
+  destroy() {
+    clearTimeout(this.pollTimer);
+    this.app = null;
+    this.container = null;
+    this.pollTimer = null;
+    this.attempts = 0;
+  },
+
+  /**
+   * Read the session, asking again while the webhook is still on its way
+   */
+  async load() {
+    const { utils } = this.app;
+    this.attempts += 1;
+
+    let session;
+    try {
+      session = await window.Checkout.getSession(this.app, this.sessionId);
+    } catch (error) {
+      utils.debug.error('Could not load checkout session', error);
+      if (!this.app) {
+        return;
+      }
+      if (error && error.status === 404) {
+        this.renderMissing();
+      } else {
+        this.renderPending();
+      }
+      return;
+    }
+
+    if (!this.app) {
+      return;
+    }
+
+    const isSettled = session.order || session.subscription || session.problem;
+    if (!isSettled && this.attempts < this.maxAttempts) {
+      this.pollTimer = setTimeout(() => this.load(), this.pollIntervalMs);
+      return;
+    }
+
+    if (!isSettled) {
+      this.renderPending();
+      return;
+    }
+
+    if (!session.problem) {
+      window.Checkout.complete(this.app, session);
+    }
+    this.render(session);
+  },
+
+  render(session) {
+    const { html, string } = this.app.utils;
+    const { config } = this.app;
+    const formatAmount = (cents) => string.formatPrice(cents, { currency: session.currency.toUpperCase() });
+
+    this.container.innerHTML = html`
+      <div class="checkout-summary">
+        ${session.problem && html`<div class="form-status form-status-error" role="alert">${session.problem}</div>`}
+        ${session.order && html`
+          <p class="text-body">
+            ${session.problem ? 'Order' : 'Your order'} <strong>${session.order.id}</strong>
+            ${session.problem ? ' has been cancelled.' : html` is paid. Pick it up at ${config.pickup.location}; we'll email you when it's roasted and ready.`}
+          </p>
+        `}
+        ${session.subscription && html`
+          <p class="text-body">
+            Your subscription is set up. A confirmation is on its way to ${session.subscription.email},
+            with a link to skip, pause or change your pickups.
+          </p>
+        `}
+        <dl class="detail-list">
+          ${session.lineItems.map(item => html`
+            <dt>${item.quantity} × ${item.name}</dt><dd>${formatAmount(item.amountCents)}</dd>
+          `)}
+          <dt>Total paid</dt><dd><strong>${formatAmount(session.amountTotalCents)}</strong></dd>
+        </dl>
+        <div class="wizard-actions">
+          ${session.mode === 'subscription' && !session.problem && html`<a class="btn btn-secondary" href="../my-subscription.html">Manage subscription</a>`}
+          <a class="btn btn-primary" href="/">Back to coffee</a>
+        </div>
+      </div>
+    `;
+  },
+
+  /**
+   * Paid, as far as the customer knows, but not confirmed yet
+   */
+  renderPending() {
+    const { html } = this.app.utils;
+    this.container.innerHTML = html`
+      <div class="checkout-summary">
+        <p class="text-body">
+          We're still confirming your payment. You'll get an email as soon as it's through,
+          and you don't need to pay again. Questions? Email
+          <a class="underline" href="mailto:hello@elevateroasting.com">hello@elevateroasting.com</a>.
+        </p>
+        <div class="wizard-actions">
+          <a class="btn btn-primary" href="/">Back to coffee</a>
+        </div>
+      </div>
+    `;
+  },
+
+  renderMissing() {
+    const { html } = this.app.utils;
+    this.container.innerHTML = html`
+      <div class="checkout-summary">
+        <p class="text-body">
+          We couldn't find that checkout. If you've paid, a confirmation email is on its way.
+        </p>
+        <div class="wizard-actions">
+          <a class="btn btn-primary" href="/">Back to coffee</a>
+        </div>
+      </div>
+    `;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CheckoutSuccessPage;
+} else {
+  window.ElevateRoastingApp.registerPage('checkout-success', CheckoutSuccessPage);
+}
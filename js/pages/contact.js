@@ -0,0 +1,228 @@
+/**
+ * Contact page module (about/contact.html, data-page="contact")
+ *
+ * Validates the contact form inline (rules and messages are declared on
+ * the fields in the markup, see utils.form.attach), screens out bots,
+ * and sends the message to endpoints.contact through utils.api. When the contact service
+ * is switched off (features.contactServiceEnabled) or can't be reached,
+ * the customer's email app is opened with the message pre-filled instead,
+ * so a message is never lost to a server outage.
+ *
+ * Spam protection, without a captcha:
+ * - A honeypot field hidden from people; bots that fill in every input
+ *   get a normal-looking success and nothing is sent.
+ * - A minimum time between the page loading and the form being sent.
+ *   People can't write a message in under a few seconds; scripts can.
+ * Both values are also sent to the API so the server can check them too.
+ */
+
+const ContactPage = {
+  // Hidden input that only bots fill in
+  honeypotField: 'website',
+
+  minFillTimeMs: 3000,
+
+  app: null,
+  form: null,
+  validation: null,
+  status: null,
+  startedAt: 0,
+  submissionKey: null,
+
+  init(app) {
+    this.app = app;
+    this.form = document.getElementById('contact-form');
+    if (!this.form) {
+      return;
+    }
+
+    this.status = this.form.querySelector('[data-form-status]');
+    this.startedAt = Date.now();
+
+    this.validation = app.utils.form.attach(this.form, {
+      onSubmit: (values) => this.submit(values),
+      onInvalid: () => this.showStatus('error', 'Please fix the highlighted fields.')
+    });
+  },
+
+  destroy() {
+    if (this.validation) {
+      this.validation.detach();
+    }
+    this.app = null;
+    this.form = null;
+    this.validation = null;
+    this.status = null;
+  },
+
+  /**
+   * Screen and send a form that passed validation
+   * @param {Object} data - Form values from utils.form
+   */
+  async submit(data) {
+    const { utils } = this.app;
+
+    if (data[this.honeypotField]) {
+      // Looks like a bot: act as if it worked so it doesn't try harder
+      utils.debug.log('Contact form honeypot filled; message discarded');
+      this.showSuccess();
+      return;
+    }
+
+    const elapsedMs = Date.now() - this.startedAt;
+    if (elapsedMs < this.minFillTimeMs) {
+      this.showStatus('error', 'That was quick! Please check your message and send it again.');
+      return;
+    }
+
+    const message = {
+      name: data.name.trim(),
+      email: data.email.trim(),
+      subject: data.subject,
+      message: data.message.trim()
+    };
+
+    const submitButton = this.form.querySelector('button[type="submit"]');
+    const originalText = submitButton.textContent;
+    submitButton.textContent = 'Sending...';
+    submitButton.disabled = true;
+    this.hideStatus();
+
+    try {
+      const result = await this.send(message, elapsedMs);
+      this.app.trackEvent('contact_submitted', { subject: message.subject, mode: result.mode });
+
+      if (result.mode === 'mailto') {
+        this.showStatus('info', utils.html`
+          Your email app should open with your message ready to send.
+          If it doesn't, email us at <a href="${result.url}">${this.app.config.site.email}</a>.
+        `);
+      } else {
+        this.showSuccess();
+      }
+    } catch (error) {
+      utils.debug.error('Contact form submission failed', error);
+      const fields = error && error.body && error.body.error ? error.body.error.fields : null;
+      this.validation.setErrors(fields || {});
+      this.showStatus('error', this.getErrorMessage(error));
+    } finally {
+      submitButton.textContent = originalText;
+      submitButton.disabled = false;
+    }
+  },
+
+  /**
+   * POST the message, or fall back to a pre-filled email
+   *
+   * One idempotency key is kept per message, so retries (ours or a double
+   * click) can't deliver it twice. Server outages fall back to mailto:;
+   * 4xx answers are the customer's to fix and are re-thrown, with a new
+   * key next time so the corrected message isn't answered with the
+   * replayed error.
+   * @returns {Promise<{mode: 'api'|'mailto', url?: string}>}
+   */
+  async send(message, elapsedMs) {
+    const { config, utils } = this.app;
+    if (!this.app.flags.isEnabled('contactServiceEnabled')) {
+      return this.openMailto(message);
+    }
+
+    this.submissionKey = this.submissionKey || utils.outbox.createKey();
+    try {
+      await utils.api.post(config.api.endpoints.contact, {
+        ...message,
+        [this.honeypotField]: '',
+        elapsedMs
+      }, {
+        headers: { 'Idempotency-Key': this.submissionKey }
+      });
+      this.submissionKey = null;
+      return { mode: 'api' };
+    } catch (error) {
+      if (utils.outbox.shouldQueue(error)) {
+        utils.debug.log('Contact service unavailable; falling back to email', error);
+        return this.openMailto(message);
+      }
+      if (error.status > 0 && error.status < 500) {
+        this.submissionKey = null;
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Open the customer's email app with the message filled in
+   */
+  openMailto(message) {
+    const url = this.createMailtoUrl(message);
+    window.location.href = url;
+    return { mode: 'mailto', url };
+  },
+
+  /**
+   * Build a mailto: link to site.email with the subject and message
+   */
+  createMailtoUrl(message) {
+    const subjectSelect = this.form.elements.subject;
+    const option = subjectSelect ? subjectSelect.querySelector(`option[value="${message.subject}"]`) : null;
+    const subject = `${option ? option.textContent.trim() : 'Message'} from ${message.name}`;
+    const body = `${message.message}\n\n${message.name} <${message.email}>`;
+    return `mailto:${this.app.config.site.email}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+  },
+
+  /**
+   * Turn a failed request into a message the customer can act on
+   */
+  getErrorMessage(error) {
+    const code = error && error.body && error.body.error ? error.body.error.code : null;
+    const status = error ? error.status : null;
+
+    if (code === 'too_fast') {
+      return 'That was quick! Please check your message and send it again.';
+    }
+    if (code === 'invalid_fields' || status === 400 || status === 422) {
+      return 'Please fix the highlighted fields.';
+    }
+    if (code === 'rate_limited' || status === 429) {
+      return 'You\'ve sent a few messages already. Please wait a minute and try again.';
+    }
+    return `Something went wrong. Please try again, or email us at ${this.app.config.site.email}.`;
+  },
+
+  /**
+   * Confirm the message was sent and start a fresh form
+   */
+  showSuccess() {
+    this.showStatus('success', 'Thanks for your message! We\'ll get back to you within a couple of days.');
+    this.app.utils.form.clearForm(this.form);
+    this.validation.clear();
+    this.startedAt = Date.now();
+  },
+
+  /**
+   * Show the inline status message under the form fields
+   * @param {'success'|'error'|'info'} type
+   * @param {string|SafeHtml} content - Text, or markup from utils.html
+   */
+  showStatus(type, content) {
+    if (!this.status) {
+      return;
+    }
+    this.status.className = `form-status form-status-${type}`;
+    this.status.innerHTML = this.app.utils.html`${content}`;
+    this.status.hidden = false;
+  },
+
+  hideStatus() {
+    if (this.status) {
+      this.status.hidden = true;
+    }
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ContactPage;
+} else {
+  window.ElevateRoastingApp.registerPage('contact', ContactPage);
+}
@@ -0,0 +1,21 @@
+/**
+ * Espresso page module (coffee/espresso.html, data-page="espresso")
+ *
+ * Espresso roasts come from siteConfig.coffeeDrops (category 'espresso')
+ * and use the same cards, cart and detail dialog as single origins. Cards
+ * show roast level, body and acidity; the dialog adds the blend and a
+ * starting recipe.
+ */
+
+const EspressoPage = {
+  init(app) {
+    app.populateDrops('espresso-grid', { showSpecs: true, category: 'espresso', archiveId: 'past-drops-grid' });
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EspressoPage;
+} else {
+  window.ElevateRoastingApp.registerPage('espresso', EspressoPage);
+}
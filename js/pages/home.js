@@ -0,0 +1,81 @@
+/**
+ * Home page module (index.html, data-page="home")
+ *
+ * The latest coffee drops, with filters, in the #drops section grid, and
+ * our latest Instagram posts when features.instagramFeedEnabled is on.
+ * The subscribe form and header are wired by the app on every page.
+ */
+
+const HomePage = {
+  instagramScriptUrl: 'https://www.instagram.com/embed.js',
+
+  handleConsentChange: null,
+
+  init(app) {
+    app.populateDrops('drops-grid', { archiveId: 'past-drops-grid' });
+    this.showInstagramFeed(app);
+  },
+
+  destroy() {
+    document.removeEventListener('consentChanged', this.handleConsentChange);
+    this.handleConsentChange = null;
+  },
+
+  /**
+   * Embed the posts in config.instagramFeed with Instagram's own widget
+   *
+   * Each post is a plain link until Instagram's script turns it into the
+   * embed, so the section still works if the script is blocked. The
+   * script sets Instagram's cookies, so it only loads with marketing
+   * consent; until then a note points to Privacy settings, and the posts
+   * turn into embeds as soon as it's given. The flag is checked last so
+   * visitors only count as exposed when there's something to show.
+   */
+  showInstagramFeed(app) {
+    const section = app.utils.dom.getElement('instagram-feed');
+    const container = app.utils.dom.getElement('instagram-feed-posts');
+    const consentNote = app.utils.dom.getElement('instagram-feed-consent');
+    const posts = app.config.instagramFeed ? app.config.instagramFeed.posts : [];
+    if (!section || !container || posts.length === 0 || !app.flags.isEnabled('instagramFeedEnabled')) {
+      return;
+    }
+
+    const { html } = app.utils;
+    container.innerHTML = html`${posts.map(url => html`
+      <blockquote class="instagram-media" data-instgrm-permalink="${url}" data-instgrm-version="14">
+        <a href="${url}" target="_blank" rel="noopener">View this post on Instagram</a>
+      </blockquote>
+    `)}`;
+    section.hidden = false;
+
+    const update = () => {
+      const isAllowed = app.consent.allows('marketing');
+      if (consentNote) {
+        consentNote.hidden = isAllowed;
+      }
+      if (isAllowed) {
+        this.loadInstagramScript(app);
+      }
+    };
+    this.handleConsentChange = update;
+    document.addEventListener('consentChanged', this.handleConsentChange);
+    update();
+  },
+
+  loadInstagramScript(app) {
+    if (window.instgrm) {
+      window.instgrm.Embeds.process();
+    } else if (!document.querySelector(`script[src="${this.instagramScriptUrl}"]`)) {
+      const script = app.utils.dom.createElement('script', { src: this.instagramScriptUrl });
+      script.async = true;
+      document.body.appendChild(script);
+    }
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HomePage;
+} else {
+  window.ElevateRoastingApp.registerPage('home', HomePage);
+}
@@ -0,0 +1,513 @@
+/**
+ * My subscription page module (my-subscription.html, data-page="my-subscription")
+ *
+ * Lets a subscriber see their upcoming pickups and manage their own
+ * subscription: skip a pickup, pause until a date, change frequency,
+ * switch coffee or cancel. The rules for each change, and the pickup
+ * dates that follow from them, come from the shared Subscriptions module
+ * (js/subscriptions.js).
+ *
+ * Where the subscription comes from:
+ * - A magic link (my-subscription.html?token=...) emailed by the API. The
+ *   token is sent as a bearer token to endpoints.subscriptions + '/me'.
+ * - Without a token, when payments are live (features.stripeEnabled),
+ *   the page offers to email a new link.
+ * - Otherwise, demo mode: the subscription the signup wizard saved on this
+ *   device is loaded from, and changes are saved back to, utils.storage.
+ */
+
+const MySubscriptionPage = {
+  // Where the signup wizard keeps subscriptions in demo mode (SubscriptionWizard.savedKey)
+  storageKey: 'elevate-roasting-subscriptions',
+
+  // Value used for roaster's choice in the coffee select
+  roastersChoice: 'roasters-choice',
+
+  app: null,
+  container: null,
+  mode: null, // 'api' | 'local'
+  token: null,
+  subscription: null,
+  linkForm: null,
+  closeDialog: null,
+  handleClick: null,
+  handleSubmit: null,
+
+  init(app) {
+    this.app = app;
+    this.container = app.utils.dom.getElement('my-subscription');
+    if (!this.container) {
+      return;
+    }
+
+    this.handleClick = (event) => {
+      const button = event.target.closest('[data-subscription-action]');
+      if (!button) {
+        return;
+      }
+      const { subscriptionAction: action, date } = button.dataset;
+      if (action === 'cancel') {
+        this.confirmCancel();
+      } else if (action === 'calendar') {
+        this.downloadCalendar();
+      } else {
+        this.change({ action, date });
+      }
+    };
+
+    // One listener serves the pause, frequency and coffee forms
+    this.handleSubmit = (event) => {
+      const form = event.target.closest('[data-subscription-change]');
+      if (form) {
+        event.preventDefault();
+        this.change(this.getChange(form));
+      }
+    };
+
+    this.container.addEventListener('click', this.handleClick);
+    this.container.addEventListener('submit', this.handleSubmit);
+    this.load();
+  },
+
+  destroy() {
+    if (this.closeDialog) {
+      this.closeDialog();
+    }
+    if (this.linkForm) {
+      this.linkForm.detach();
+    }
+    if (this.container) {
+      this.container.removeEventListener('click', this.handleClick);
+      this.container.removeEventListener('submit', this.handleSubmit);
+    }
+    this.app = null;
+    this.container = null;
+    this.subscription = null;
+    this.linkForm = null;
+  },
+
+  /**
+   * Find the subscription to show, from a magic link or this device
+   */
+  async load() {
+    const { utils } = this.app;
+    this.token = new URLSearchParams(window.location.search).get('token');
+
+    if (this.token) {
+      this.mode = 'api';
+      this.container.innerHTML = utils.html`<p class="text-body">Loading your subscription...</p>`;
+      try {
+        const response = await utils.api.get(this.getEndpoint('/me'), { headers: this.getAuthHeaders() });
+        this.subscription = response.subscription;
+        this.render();
+      } catch (error) {
+        utils.debug.error('Could not load subscription', error);
+        this.renderLinkForm(error && error.status === 401
+          ? 'That link has expired or isn\'t valid. Enter your email and we\'ll send a new one.'
+          : 'We couldn\'t load your subscription. Please try again, or request a new link.');
+      }
+      return;
+    }
+
+    if (this.app.flags.isEnabled('stripeEnabled')) {
+      this.renderLinkForm();
+      return;
+    }
+
+    this.mode = 'local';
+    this.subscription = this.loadLocal();
+    if (this.subscription) {
+      this.render();
+    } else {
+      this.renderEmpty();
+    }
+  },
+
+  getEndpoint(path = '') {
+    return `${this.app.config.api.endpoints.subscriptions}${path}`;
+  },
+
+  getAuthHeaders() {
+    return { Authorization: `Bearer ${this.token}` };
+  },
+
+  /**
+   * Latest subscription saved on this device, preferring ones still running
+   */
+  loadLocal() {
+    const saved = this.app.utils.storage.get(this.storageKey, []);
+    const running = saved.filter(subscription => subscription.status !== 'cancelled');
+    return (running.length > 0 ? running : saved).slice(-1)[0] || null;
+  },
+
+  saveLocal(subscription) {
+    const { storage } = this.app.utils;
+    const saved = storage.get(this.storageKey, []);
+    storage.set(this.storageKey, saved.map(existing => (existing.id === subscription.id ? subscription : existing)));
+  },
+
+  /**
+   * Turn one of the change forms into a Subscriptions change
+   */
+  getChange(form) {
+    const action = form.dataset.subscriptionChange;
+    const values = this.app.utils.form.getFormData(form);
+    switch (action) {
+      case 'pause':
+        return { action, until: values.until };
+      case 'changePlan':
+        return { action, planId: values.planId };
+      case 'changeCoffee':
+        return { action, dropId: values.dropId === this.roastersChoice ? null : Number(values.dropId) };
+      default:
+        return { action };
+    }
+  },
+
+  /**
+   * Apply a change through the API, or locally in demo mode
+   * @param {Object} change - See Subscriptions.applyChange
+   */
+  async change(change) {
+    const { utils } = this.app;
+    const buttons = this.container.querySelectorAll('button');
+    buttons.forEach(button => { button.disabled = true; });
+
+    try {
+      const result = this.mode === 'api' ? await this.sendChange(change) : this.applyLocalChange(change);
+      if (result.error) {
+        buttons.forEach(button => { button.disabled = false; });
+        this.showStatus('error', result.error);
+        return;
+      }
+
+      this.subscription = result.subscription;
+      this.app.trackEvent('subscription_changed', { action: change.action, mode: this.mode });
+      this.render();
+      this.showStatus('success', this.getSuccessMessage(change));
+    } catch (error) {
+      utils.debug.error('Subscription change failed', error);
+      buttons.forEach(button => { button.disabled = false; });
+      this.showStatus('error', 'Something went wrong saving your change. Please try again.');
+    }
+  },
+
+  /**
+   * PATCH the change; a 422 is a change that isn't allowed, with a
+   * message for the customer, and anything else is re-thrown
+   * @returns {Promise<{subscription: Object}|{error: string}>}
+   */
+  async sendChange(change) {
+    try {
+      const response = await this.app.utils.api.patch(this.getEndpoint('/me'), change, { headers: this.getAuthHeaders() });
+      return { subscription: response.subscription };
+    } catch (error) {
+      const message = error && error.body && error.body.error ? error.body.error.message : null;
+      if (error && error.status === 422 && message) {
+        return { error: message };
+      }
+      throw error;
+    }
+  },
+
+  applyLocalChange(change) {
+    const result = window.Subscriptions.applyChange(this.subscription, change, this.app.config);
+    if (result.subscription) {
+      this.saveLocal(result.subscription);
+    }
+    return result;
+  },
+
+  getSuccessMessage(change) {
+    const plan = window.Subscriptions.getPlan(this.subscription, this.app.config);
+    switch (change.action) {
+      case 'skip':
+        return `Skipped your ${this.formatDate(change.date)} pickup.`;
+      case 'unskip':
+        return `Your ${this.formatDate(change.date)} pickup is back on.`;
+      case 'pause':
+        return `Paused until ${this.formatDate(change.until)}.`;
+      case 'resume':
+        return 'Your pickups have resumed.';
+      case 'changePlan':
+        return `You're now on the ${plan ? plan.name : change.planId} plan.`;
+      case 'changeCoffee':
+        return 'Your coffee has been updated.';
+      case 'cancel':
+        return 'Your subscription has been cancelled. Sorry to see you go!';
+      default:
+        return 'Saved.';
+    }
+  },
+
+  /**
+   * Ask before cancelling; it can't be undone from this page
+   */
+  confirmCancel() {
+    const { html, dialog } = this.app.utils;
+    this.closeDialog = dialog.open({
+      labelledBy: 'cancel-subscription-title',
+      content: html`
+        <div class="modal-content">
+          <div class="modal-header">
+            <h2 class="text-2xl text-heading" id="cancel-subscription-title">Cancel your subscription?</h2>
+            <button class="nav-link" type="button" data-dialog-close aria-label="Close">✕</button>
+          </div>
+          <p class="text-body">
+            Your upcoming pickups will be cancelled. If you just need a break,
+            you can pause or skip a pickup instead.
+          </p>
+          <div class="modal-footer wizard-actions">
+            <button class="btn btn-secondary" type="button" data-dialog-close>Keep subscription</button>
+            <button class="btn btn-primary" type="button" data-confirm-cancel>Cancel subscription</button>
+          </div>
+        </div>
+      `,
+      onClose: () => {
+        this.closeDialog = null;
+      }
+    });
+
+    document.querySelector('[data-confirm-cancel]').addEventListener('click', () => {
+      this.closeDialog();
+      this.change({ action: 'cancel' });
+    });
+  },
+
+  /**
+   * Date-only string as e.g. 'Thursday, October 22'
+   */
+  formatDate(dateString) {
+    return this.app.utils.date.formatDay(dateString, { weekday: 'long', month: 'long' });
+  },
+
+  /**
+   * Download the upcoming pickups as an .ics file for the customer's calendar
+   */
+  downloadCalendar() {
+    const { config } = this.app;
+    const pickups = window.Subscriptions.getUpcomingPickups(this.subscription, config, { count: 12 })
+      .filter(pickup => !pickup.skipped && !pickup.closed)
+      .map(pickup => pickup.pickup);
+    const calendar = window.RoastSchedule.toICS(config, pickups, {
+      id: this.subscription.id,
+      description: `Your ${config.site.name} subscription. Skip or pause: ${config.site.url}/my-subscription.html`
+    });
+
+    const url = URL.createObjectURL(new Blob([calendar], { type: 'text/calendar' }));
+    const link = this.app.utils.dom.createElement('a', { href: url, download: 'elevate-roasting-pickups.ics' });
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    this.app.trackEvent('subscription_calendar_exported', { pickups: pickups.length });
+  },
+
+  render() {
+    const { config, utils, catalog } = this.app;
+    const { html } = utils;
+    const Subscriptions = window.Subscriptions;
+    const subscription = this.subscription;
+    const status = Subscriptions.getStatus(subscription, config);
+    const plan = Subscriptions.getPlan(subscription, config);
+    const drop = config.coffeeDrops.find(item => item.id === subscription.dropId);
+    const pickupDay = config.pickup.days.find(day => day.id === subscription.pickupDay);
+    const pickups = Subscriptions.getUpcomingPickups(subscription, config);
+
+    const statusText = {
+      active: 'Active',
+      paused: `Paused until ${this.formatDate(subscription.pausedUntil)}`,
+      cancelled: 'Cancelled'
+    }[status];
+
+    this.container.innerHTML = html`
+      <div class="subscription-manage">
+        <div class="form-status" data-form-status role="status" aria-live="polite" tabindex="-1" hidden></div>
+        ${this.mode === 'local' && html`<p class="text-muted text-sm">Demo mode: this subscription is saved on this device only.</p>`}
+        <dl class="detail-list">
+          <dt>Status</dt><dd>${statusText}</dd>
+          <dt>Frequency</dt><dd>${plan ? plan.name : subscription.planId}</dd>
+          <dt>Coffee</dt><dd>${drop ? drop.name : 'Roaster\'s choice'}</dd>
+          <dt>Bags</dt><dd>${subscription.bagCount} × ${catalog.formatWeight(subscription.weightGrams)}</dd>
+          <dt>Pickup</dt><dd>${pickupDay ? `${pickupDay.label}${pickupDay.hours ? `, ${pickupDay.hours}` : ''}` : subscription.pickupDay} at ${config.pickup.location}</dd>
+        </dl>
+        ${status === 'cancelled'
+          ? html`<p class="text-body">This subscription has been cancelled. <a class="underline" href="subscriptions.html">Start a new subscription</a></p>`
+          : html`
+            <div class="flex items-end justify-between mt-6">
+              <h2 class="text-xl font-semibold text-heading">Upcoming pickups</h2>
+              <button class="btn btn-secondary btn-small" type="button" data-subscription-action="calendar">Add to calendar</button>
+            </div>
+            <ol class="pickup-list">
+              ${pickups.map(pickup => this.renderPickup(pickup))}
+            </ol>
+            ${this.renderChangeForms(status)}
+            <div class="mt-6">
+              <button class="btn btn-secondary" type="button" data-subscription-action="cancel">Cancel subscription</button>
+            </div>
+          `}
+      </div>
+    `;
+  },
+
+  /**
+   * One upcoming pickup, with a skip button while it can still be changed
+   */
+  renderPickup(pickup) {
+    const { html, date } = this.app.utils;
+    const { cutoff } = pickup.pickup;
+    let note = false;
+    if (pickup.closed) {
+      note = html`<span class="text-muted">No pickup: ${pickup.closed}</span>`;
+    } else if (pickup.skipped) {
+      note = html`<span class="text-muted">(skipped)</span>`;
+    } else if (pickup.locked) {
+      note = html`<span class="text-muted">Roasting now</span>`;
+    } else if (cutoff) {
+      note = html`<span class="text-muted text-sm">Change by ${date.formatDay(cutoff.date)}</span>`;
+    }
+
+    return html`
+      <li class="${pickup.skipped || pickup.closed ? 'is-skipped' : ''}">
+        <span>${this.formatDate(pickup.date)} ${note}</span>
+        ${!pickup.closed && !pickup.locked && html`
+          <button class="btn btn-secondary btn-small" type="button" data-subscription-action="${pickup.skipped ? 'unskip' : 'skip'}" data-date="${pickup.date}">
+            ${pickup.skipped ? 'Undo skip' : 'Skip'}
+          </button>
+        `}
+      </li>
+    `;
+  },
+
+  /**
+   * Pause, frequency and coffee forms for a running subscription
+   */
+  renderChangeForms(status) {
+    const { config, utils } = this.app;
+    const { html } = utils;
+    const Subscriptions = window.Subscriptions;
+    const subscription = this.subscription;
+    const today = window.RoastSchedule.getToday(config);
+    const selected = (isSelected) => isSelected && html.raw(' selected');
+    // Coffees that come in the subscriber's bag size
+    const drops = config.coffeeDrops.filter(drop => this.app.catalog.isAvailable(drop)
+      && this.app.catalog.getVariants(drop).some(variant => variant.weightGrams === subscription.weightGrams));
+
+    return html`
+      <div class="grid grid-3 mt-6 subscription-changes">
+        <form data-subscription-change="pause" novalidate>
+          <label for="pause-until" class="block text-sm font-medium mb-2">Pause until</label>
+          <input type="date" id="pause-until" name="until" class="input-field"
+            min="${utils.date.addDays(today, 1)}" max="${utils.date.addDays(today, Subscriptions.maxPauseDays)}"
+            value="${subscription.pausedUntil || ''}" />
+          <div class="wizard-actions mt-2">
+            ${status === 'paused' && html`<button class="btn btn-secondary btn-small" type="button" data-subscription-action="resume">Resume now</button>`}
+            <button class="btn btn-primary btn-small" type="submit">${status === 'paused' ? 'Change date' : 'Pause'}</button>
+          </div>
+        </form>
+        <form data-subscription-change="changePlan" novalidate>
+          <label for="change-plan" class="block text-sm font-medium mb-2">Frequency</label>
+          <select id="change-plan" name="planId" class="input-field">
+            ${config.subscriptionOptions.map(plan => html`
+              <option value="${plan.id}"${selected(plan.id === subscription.planId)}>${plan.name}</option>
+            `)}
+          </select>
+          <div class="wizard-actions mt-2">
+            <button class="btn btn-primary btn-small" type="submit">Change frequency</button>
+          </div>
+        </form>
+        <form data-subscription-change="changeCoffee" novalidate>
+          <label for="change-coffee" class="block text-sm font-medium mb-2">Coffee</label>
+          <select id="change-coffee" name="dropId" class="input-field">
+            <option value="${this.roastersChoice}"${selected(subscription.dropId === null)}>Roaster's choice</option>
+            ${drops.map(drop => html`
+              <option value="${drop.id}"${selected(drop.id === subscription.dropId)}>${drop.name}</option>
+            `)}
+          </select>
+          <div class="wizard-actions mt-2">
+            <button class="btn btn-primary btn-small" type="submit">Switch coffee</button>
+          </div>
+        </form>
+      </div>
+    `;
+  },
+
+  /**
+   * Ask for an email address and send a fresh magic link to it
+   * @param {string} message - Why the form is shown, if not the usual reason
+   */
+  renderLinkForm(message) {
+    const { config, utils } = this.app;
+    const { html } = utils;
+
+    this.container.innerHTML = html`
+      <div class="subscription-manage">
+        <p class="text-body mb-4">${message || 'Enter the email you subscribed with and we\'ll send you a link to manage your subscription.'}</p>
+        <form class="max-w-md space-y-4" id="manage-link-form" novalidate>
+          <div>
+            <label for="manage-email" class="block text-sm font-medium mb-2">Email</label>
+            <input type="email" id="manage-email" name="email" class="input-field" autocomplete="email" required data-error-required="Please enter your email." />
+          </div>
+          <div class="form-status" data-form-status role="status" aria-live="polite" tabindex="-1" hidden></div>
+          <button type="submit" class="btn btn-primary">Email me a link</button>
+        </form>
+      </div>
+    `;
+
+    const form = this.container.querySelector('form');
+    this.linkForm = utils.form.attach(form, {
+      onSubmit: async (values) => {
+        const submitButton = form.querySelector('button[type="submit"]');
+        submitButton.disabled = true;
+        try {
+          await utils.api.post(this.getEndpoint('/links'), { email: values.email.trim() });
+          // Same answer whether or not the address has a subscription
+          this.showStatus('success', `If ${values.email.trim()} has a subscription, a link is on its way. It may take a minute to arrive.`);
+        } catch (error) {
+          utils.debug.error('Could not send manage link', error);
+          const fields = error && error.body && error.body.error ? error.body.error.fields : null;
+          this.linkForm.setErrors(fields || {});
+          this.showStatus('error', `We couldn't send a link right now. Please try again, or email us at ${config.site.email}.`);
+        } finally {
+          submitButton.disabled = false;
+        }
+      }
+    });
+  },
+
+  renderEmpty() {
+    const { html } = this.app.utils;
+    this.container.innerHTML = html`
+      <div class="subscription-manage">
+        <p class="text-body">
+          There's no subscription saved on this device yet.
+          <a class="underline" href="subscriptions.html">Choose a plan</a> to start one.
+        </p>
+      </div>
+    `;
+  },
+
+  /**
+   * Show the status message and move focus to it, since the button that
+   * was used has usually just been re-rendered away
+   * @param {'success'|'error'} type
+   * @param {string} message
+   */
+  showStatus(type, message) {
+    const status = this.container.querySelector('[data-form-status]');
+    if (!status) {
+      return;
+    }
+    status.className = `form-status form-status-${type}`;
+    status.textContent = message;
+    status.hidden = false;
+    status.focus();
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MySubscriptionPage;
+} else {
+  window.ElevateRoastingApp.registerPage('my-subscription', MySubscriptionPage);
+}
@@ -0,0 +1,19 @@
+/**
+ * Single origin page module (coffee/single-origin.html, data-page="single-origin")
+ *
+ * Single-origin drops with the same cards, filters and detail dialog as the
+ * home page, plus the origin, process and elevation on each card.
+ */
+
+const SingleOriginPage = {
+  init(app) {
+    app.populateDrops('coffee-grid', { showSpecs: true, category: 'single-origin', archiveId: 'past-drops-grid' });
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SingleOriginPage;
+} else {
+  window.ElevateRoastingApp.registerPage('single-origin', SingleOriginPage);
+}
@@ -0,0 +1,87 @@
+/**
+ * Subscriptions page module (subscriptions.html, data-page="subscriptions")
+ *
+ * Renders the plan cards with the shared Templates renderer, unless the
+ * static build already did, and starts the signup wizard (see
+ * js/subscription-wizard.js) from their Subscribe buttons.
+ *
+ * The next pickup date on each card is filled in here rather than by the
+ * build, since a prerendered date would go stale.
+ */
+
+const SubscriptionsPage = {
+  grid: null,
+  wizard: null,
+  handleClick: null,
+
+  init(app) {
+    this.grid = app.utils.dom.getElement('subscription-grid');
+    if (!this.grid) {
+      return;
+    }
+
+    if (!this.grid.hasAttribute('data-prerendered')) {
+      const { subscriptionOptions, coffeeDrops } = app.config;
+      this.grid.innerHTML = app.utils.html`${subscriptionOptions
+        .map(plan => app.templates.createSubscriptionCardHTML(plan, coffeeDrops))}`;
+    }
+    this.showNextPickup(app);
+
+    // One listener on the grid serves every plan's data-subscribe-plan button
+    this.handleClick = (event) => {
+      const button = event.target.closest('[data-subscribe-plan]');
+      if (button) {
+        this.subscribe(app, button.dataset.subscribePlan);
+      }
+    };
+    this.grid.addEventListener('click', this.handleClick);
+
+    // Resumes an unfinished signup saved from an earlier visit
+    const wizardContainer = app.utils.dom.getElement('subscription-wizard');
+    if (wizardContainer && window.SubscriptionWizard) {
+      this.wizard = window.SubscriptionWizard;
+      this.wizard.init(app, wizardContainer);
+    }
+  },
+
+  destroy() {
+    if (this.grid && this.handleClick) {
+      this.grid.removeEventListener('click', this.handleClick);
+    }
+    if (this.wizard) {
+      this.wizard.destroy();
+    }
+    this.grid = null;
+    this.wizard = null;
+    this.handleClick = null;
+  },
+
+  /**
+   * 'Next pickup: Thu, Oct 22' on every plan card
+   */
+  showNextPickup(app) {
+    const next = window.RoastSchedule ? window.RoastSchedule.getNextPickup(app.config) : null;
+    if (!next) {
+      return;
+    }
+    this.grid.querySelectorAll('[data-next-pickup]').forEach(element => {
+      element.textContent = `Next pickup: ${app.utils.date.formatDay(next.date)}`;
+      element.hidden = false;
+    });
+  },
+
+  subscribe(app, planId) {
+    app.trackEvent('subscription_plan_selected', { planId });
+    if (this.wizard) {
+      // The wizard moves focus, and so the page, to its first step
+      this.wizard.start(planId);
+    }
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SubscriptionsPage;
+} else {
+  window.ElevateRoastingApp.registerPage('subscriptions', SubscriptionsPage);
+}
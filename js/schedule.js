@@ -0,0 +1,298 @@
+/**
+ * Roast and pickup schedule for Elevate Roasting
+ *
+ * Turns siteConfig.schedule and siteConfig.pickup into dates: when the
+ * next pickup is, which days its coffee is roasted on, when orders for it
+ * close, and which pickups a blackout (holiday, travel) cancels. It also
+ * exports pickups as an .ics calendar file.
+ *
+ * Design decisions:
+ * - Everything is in the roastery's timezone (schedule.timezone), not the
+ *   visitor's: the cutoff is 8pm Sunday in San Francisco even for someone
+ *   browsing from New York. Dates are 'YYYY-MM-DD' strings (see
+ *   utils.date), and only the cutoff and calendar times become instants.
+ * - A pickup's roast window is the roast days in the six days before it,
+ *   so with Monday-Wednesday roasting both Thursday and Saturday pickups
+ *   get that week's roast. Its order cutoff is the last orderCutoff
+ *   before the first of those roast days.
+ * - A pickup is closed when it falls on a blackout date, or when every
+ *   roast day in its window does. Closed pickups are still returned (with
+ *   the reason) so pages can explain the gap instead of hiding it.
+ * - Like templates.js and subscriptions.js, nothing here touches the DOM,
+ *   so the mock API can share it.
+ */
+
+const RoastSchedule = {
+  // Used for any setting siteConfig.schedule leaves out
+  defaults: {
+    timezone: 'America/Los_Angeles',
+    roastDays: [],
+    orderCutoff: null,
+    blackoutDates: []
+  },
+
+  // Days between pickups for each subscriptionOptions interval. Monthly is
+  // every four weeks, so pickups always land on the subscriber's day.
+  intervalDays: {
+    week: 7,
+    '2 weeks': 14,
+    month: 28
+  },
+
+  // How far ahead to look for an open pickup, e.g. past a long blackout
+  searchDays: 12 * 7,
+
+  calendarDomain: 'elevateroasting.com',
+
+  getSettings(config) {
+    return { ...this.defaults, ...config.schedule };
+  },
+
+  /**
+   * Today's date at the roastery
+   * @param {Object} config - siteConfig
+   * @param {Date} now - Defaults to the current time
+   */
+  getToday(config, now = new Date()) {
+    return getScheduleUtils().date.today(this.getSettings(config).timezone, now);
+  },
+
+  /**
+   * Days between pickups for a plan (or an interval like '2 weeks'),
+   * defaulting to weekly
+   */
+  getIntervalDays(planOrInterval) {
+    const interval = planOrInterval && typeof planOrInterval === 'object' ? planOrInterval.interval : planOrInterval;
+    return this.intervalDays[interval] || 7;
+  },
+
+  /**
+   * The blackout covering a date, or null
+   */
+  getBlackout(config, dateString) {
+    return this.getSettings(config).blackoutDates
+      .find(range => dateString >= range.from && dateString <= (range.to || range.from)) || null;
+  },
+
+  /**
+   * Roast days for the pickup on a date
+   * @returns {{days: Array<string>, openDays: Array<string>, start: string|null, end: string|null}}
+   */
+  getRoastWindow(config, pickupDate) {
+    const { date } = getScheduleUtils();
+    const { roastDays } = this.getSettings(config);
+    const days = [];
+    for (let offset = 6; offset >= 1; offset--) {
+      const day = date.addDays(pickupDate, -offset);
+      if (roastDays.includes(date.getWeekday(day))) {
+        days.push(day);
+      }
+    }
+    const openDays = days.filter(day => !this.getBlackout(config, day));
+    return {
+      days,
+      openDays,
+      start: openDays[0] || null,
+      end: openDays[openDays.length - 1] || null
+    };
+  },
+
+  /**
+   * When orders for the pickup on a date close, or null with no cutoff set
+   * @returns {{date: string, time: string, at: Date}|null}
+   */
+  getCutoff(config, pickupDate) {
+    const { date } = getScheduleUtils();
+    const { orderCutoff, timezone } = this.getSettings(config);
+    if (!orderCutoff) {
+      return null;
+    }
+    const firstRoastDay = this.getRoastWindow(config, pickupDate).days[0] || pickupDate;
+    // The cutoff weekday in the week before the first roast day
+    const cutoffDate = date.nextWeekday(date.addDays(firstRoastDay, -7), orderCutoff.weekday);
+    return {
+      date: cutoffDate,
+      time: orderCutoff.time,
+      at: date.zonedTimeToUtc(cutoffDate, orderCutoff.time, timezone)
+    };
+  },
+
+  /**
+   * Everything about the pickup on a date
+   * @returns {{date: string, pickupDay: Object|null, roastWindow: Object, cutoff: Object|null, closed: string|null}}
+   *   closed is the reason there's no pickup that day, or null
+   */
+  getPickup(config, pickupDate) {
+    const weekday = getScheduleUtils().date.getWeekday(pickupDate);
+    const roastWindow = this.getRoastWindow(config, pickupDate);
+    const blackout = this.getBlackout(config, pickupDate)
+      || (roastWindow.days.length > 0 && roastWindow.openDays.length === 0 ? this.getBlackout(config, roastWindow.days[0]) : null);
+
+    return {
+      date: pickupDate,
+      pickupDay: (config.pickup ? config.pickup.days : []).find(day => day.id === weekday) || null,
+      roastWindow,
+      cutoff: this.getCutoff(config, pickupDate),
+      closed: blackout ? blackout.reason : null
+    };
+  },
+
+  /**
+   * Whether a pickup can still be ordered for, skipped or changed
+   */
+  isOpenForChanges(config, pickup, now = new Date()) {
+    return !pickup.closed && (!pickup.cutoff || now < pickup.cutoff.at);
+  },
+
+  /**
+   * The next pickup that can still be ordered for
+   * @param {Object} config - siteConfig
+   * @param {Object} options - { pickupDay: id to limit to one day, now }
+   * @returns {Object|null} Pickup (see getPickup)
+   */
+  getNextPickup(config, options = {}) {
+    const { date } = getScheduleUtils();
+    const now = options.now || new Date();
+    const dayIds = options.pickupDay ? [options.pickupDay] : (config.pickup ? config.pickup.days.map(day => day.id) : []);
+    const today = this.getToday(config, now);
+
+    for (let offset = 0; offset <= this.searchDays; offset++) {
+      const day = date.addDays(today, offset);
+      if (dayIds.includes(date.getWeekday(day))) {
+        const pickup = this.getPickup(config, day);
+        if (this.isOpenForChanges(config, pickup, now)) {
+          return pickup;
+        }
+      }
+    }
+    return null;
+  },
+
+  /**
+   * A series of pickups every intervalDays from an anchor date
+   * @param {Object} config - siteConfig
+   * @param {Object} options - { anchor, intervalDays, from, count }
+   *   from is the earliest date to return (defaults to the anchor)
+   * @returns {Array<Object>} Pickups (see getPickup), closed ones included
+   */
+  getPickupDates(config, options) {
+    const { date } = getScheduleUtils();
+    const { anchor, intervalDays = 7, count = 6 } = options;
+    const from = options.from && options.from > anchor ? options.from : anchor;
+
+    // Jump straight to the first pickup on or after 'from'
+    const periods = Math.ceil(date.daysBetween(anchor, from) / intervalDays);
+    const pickups = [];
+    for (let day = date.addDays(anchor, periods * intervalDays); pickups.length < count; day = date.addDays(day, intervalDays)) {
+      pickups.push(this.getPickup(config, day));
+    }
+    return pickups;
+  },
+
+  /**
+   * An .ics calendar (RFC 5545) with one event per pickup
+   *
+   * Times are written in UTC so every calendar app agrees on them without
+   * needing timezone definitions. Event UIDs are stable per date, so
+   * importing an updated file updates events instead of duplicating them.
+   * @param {Object} config - siteConfig
+   * @param {Array<Object>} pickups - From getPickup/getPickupDates; closed ones are left out
+   * @param {Object} options - { id, title, description }; id namespaces
+   *   the event UIDs, e.g. a subscription id
+   * @returns {string}
+   */
+  toICS(config, pickups, options = {}) {
+    const { date } = getScheduleUtils();
+    const { timezone } = this.getSettings(config);
+    const title = options.title || `Coffee pickup – ${config.site.name}`;
+    const stamp = this.formatICSDate(new Date());
+
+    const events = pickups.filter(pickup => !pickup.closed).map(pickup => {
+      const day = pickup.pickupDay || {};
+      const start = date.zonedTimeToUtc(pickup.date, day.startTime || '12:00', timezone);
+      const end = day.endTime ? date.zonedTimeToUtc(pickup.date, day.endTime, timezone) : new Date(start.getTime() + 60 * 60 * 1000);
+      return [
+        'BEGIN:VEVENT',
+        `UID:${options.id || 'pickup'}-${pickup.date}@${this.calendarDomain}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${this.formatICSDate(start)}`,
+        `DTEND:${this.formatICSDate(end)}`,
+        `SUMMARY:${this.escapeICSText(title)}`,
+        config.pickup && `LOCATION:${this.escapeICSText(config.pickup.location)}`,
+        options.description && `DESCRIPTION:${this.escapeICSText(options.description)}`,
+        'END:VEVENT'
+      ].filter(Boolean);
+    });
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:-//${config.site.name}//Pickups//EN`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      ...events.flat(),
+      'END:VCALENDAR'
+    ];
+    return `${lines.map(line => this.foldICSLine(line)).join('\r\n')}\r\n`;
+  },
+
+  /**
+   * '20261022T230000Z'
+   */
+  formatICSDate(instant) {
+    return instant.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  },
+
+  escapeICSText(text) {
+    return String(text)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  },
+
+  /**
+   * Split lines longer than 75 octets, continuing with a space
+   *
+   * RFC 5545 counts UTF-8 octets, not characters, so a dash or accented
+   * name takes more room than it looks; lines are split between
+   * characters, never inside one.
+   */
+  foldICSLine(line) {
+    const chunks = [];
+    let chunk = '';
+    let octets = 0;
+    for (const character of line) {
+      const codePoint = character.codePointAt(0);
+      const size = codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+      // Continuation lines start with a space, which counts too
+      const limit = chunks.length === 0 ? 75 : 74;
+      if (octets + size > limit) {
+        chunks.push(chunk);
+        chunk = '';
+        octets = 0;
+      }
+      chunk += character;
+      octets += size;
+    }
+    chunks.push(chunk);
+    return chunks.join('\r\n ');
+  }
+};
+
+/**
+ * Resolve the shared utils in either environment (see templates.js)
+ */
+function getScheduleUtils() {
+  if (typeof window !== 'undefined' && window.utils) {
+    return window.utils;
+  }
+  return require('./utils.js');
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RoastSchedule;
+} else {
+  window.RoastSchedule = RoastSchedule;
+}
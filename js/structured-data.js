@@ -0,0 +1,198 @@
+/**
+ * Schema.org structured data for Elevate Roasting
+ *
+ * Builds JSON-LD from siteConfig so search engines can understand the
+ * business and its coffees: a LocalBusiness (which is also an
+ * Organization) from siteConfig.site and siteConfig.social, and a Product
+ * with one Offer per bag size for every entry in siteConfig.coffeeDrops.
+ * The same builder runs in the browser (app.js injects it on load) and in
+ * scripts/build.js, which bakes it into the static HTML.
+ *
+ * Design decisions:
+ * - Everything is derived from config, so a price change or a sold-out
+ *   drop updates the rich results data without touching any HTML.
+ * - URLs are made absolute against site.url; crawlers resolve relative
+ *   URLs inconsistently inside JSON-LD.
+ * - One <script id="structured-data"> per page. If the build already
+ *   baked one in, the runtime replaces it so live config wins.
+ */
+
+const StructuredData = {
+  scriptId: 'structured-data',
+
+  // Prices in config are US cents; see CoffeeCatalog
+  currency: 'USD',
+
+  /**
+   * Build the full JSON-LD document for a page
+   * @param {Object} config - siteConfig
+   * @returns {Object} JSON-LD with an @graph of the business and products
+   */
+  build(config) {
+    const business = this.buildBusiness(config);
+    // Unreleased and retired drops have no offer to show yet (or any more)
+    const products = (config.coffeeDrops || [])
+      .filter(drop => getStructuredDataCatalog().getReleaseStatus(drop) === 'released')
+      .map(drop => this.buildProduct(drop, config, business['@id']));
+
+    return {
+      '@context': 'https://schema.org',
+      '@graph': [business, ...products]
+    };
+  },
+
+  /**
+   * LocalBusiness entity from siteConfig.site and siteConfig.social
+   *
+   * A 'City, ST' location becomes a PostalAddress; null social links
+   * (platforms we haven't joined yet) are left out of sameAs.
+   */
+  buildBusiness(config) {
+    const site = config.site || {};
+    const [locality, region] = (site.location || '').split(',').map(part => part.trim());
+    const sameAs = Object.values(config.social || {}).filter(Boolean);
+
+    const business = {
+      '@type': 'LocalBusiness',
+      '@id': this.toAbsoluteUrl('/#business', site.url),
+      name: site.name,
+      description: site.description,
+      url: this.toAbsoluteUrl('/', site.url),
+      logo: this.toAbsoluteUrl('/assets/logos/logo_black.svg', site.url),
+      email: site.email
+    };
+
+    if (locality) {
+      business.address = {
+        '@type': 'PostalAddress',
+        addressLocality: locality,
+        ...(region ? { addressRegion: region } : {}),
+        addressCountry: 'US'
+      };
+    }
+
+    if (sameAs.length > 0) {
+      business.sameAs = sameAs;
+    }
+
+    return business;
+  },
+
+  /**
+   * Product entity for a coffee drop, with an Offer per bag size
+   * @param {Object} drop - Coffee drop from config
+   * @param {Object} config - siteConfig, for the site URL
+   * @param {string} businessId - @id of the business that sells it
+   */
+  buildProduct(drop, config, businessId) {
+    const catalog = getStructuredDataCatalog();
+    const siteUrl = config.site ? config.site.url : '';
+    const productUrl = this.toAbsoluteUrl(`/#coffee/${getStructuredDataUtils().string.slugify(drop.name)}`, siteUrl);
+    const availability = {
+      'in-stock': 'https://schema.org/InStock',
+      'low-stock': 'https://schema.org/LimitedAvailability',
+      'sold-out': 'https://schema.org/SoldOut'
+    }[catalog.getStockStatus(drop, config.inventory ? config.inventory.lowStockThreshold : undefined).status];
+
+    const properties = [
+      ['Origin', drop.origin],
+      ['Blend', catalog.formatComponents(drop.components)],
+      ['Process', drop.process],
+      ['Roast level', drop.roastLevel],
+      ['Elevation', drop.elevation],
+      ['Varietal', drop.varietal],
+      ['Body', drop.body],
+      ['Acidity', drop.acidity]
+    ].filter(([, value]) => value);
+    const category = catalog.categories.find(option => option.value === catalog.getCategory(drop));
+
+    return {
+      '@type': 'Product',
+      '@id': productUrl,
+      name: drop.name,
+      description: drop.description,
+      sku: `drop-${drop.id}`,
+      category: category ? `Coffee > ${category.label}` : 'Coffee',
+      image: drop.image ? this.toAbsoluteUrl(drop.image, siteUrl) : undefined,
+      url: productUrl,
+      brand: { '@id': businessId },
+      additionalProperty: properties.map(([name, value]) => ({ '@type': 'PropertyValue', name, value })),
+      offers: catalog.getVariants(drop).map(variant => ({
+        '@type': 'Offer',
+        sku: `drop-${drop.id}-${variant.id}`,
+        name: catalog.formatWeight(variant.weightGrams) || drop.name,
+        price: (variant.priceCents / 100).toFixed(2),
+        priceCurrency: this.currency,
+        availability,
+        url: productUrl,
+        seller: { '@id': businessId }
+      }))
+    };
+  },
+
+  /**
+   * Serialize JSON-LD into a script tag for static HTML
+   *
+   * '<' is escaped so a description containing '</script>' can't end the
+   * tag early.
+   */
+  createScriptHTML(data) {
+    const json = JSON.stringify(data, null, 2).replace(/</g, '\\u003c');
+    return `<script type="application/ld+json" id="${this.scriptId}">\n${json}\n</script>`;
+  },
+
+  /**
+   * Add or refresh the JSON-LD script in the current document's head
+   * @param {Object} config - siteConfig
+   */
+  inject(config) {
+    const existing = document.getElementById(this.scriptId);
+    const script = existing || document.createElement('script');
+    script.type = 'application/ld+json';
+    script.id = this.scriptId;
+    script.textContent = JSON.stringify(this.build(config));
+
+    if (!existing) {
+      document.head.appendChild(script);
+    }
+  },
+
+  /**
+   * Resolve a root-absolute or relative path against the site URL
+   *
+   * Absolute URLs (e.g. Unsplash images) pass through unchanged.
+   */
+  toAbsoluteUrl(url, siteUrl) {
+    if (!siteUrl || /^https?:\/\//i.test(url)) {
+      return url;
+    }
+    return new URL(url, siteUrl).href;
+  }
+};
+
+/**
+ * Resolve the shared utils and catalog in either environment
+ *
+ * Browser scripts share one global scope, so this module reads the globals
+ * instead of declaring its own 'utils' or 'CoffeeCatalog' bindings.
+ */
+function getStructuredDataUtils() {
+  if (typeof window !== 'undefined' && window.utils) {
+    return window.utils;
+  }
+  return require('./utils.js');
+}
+
+function getStructuredDataCatalog() {
+  if (typeof window !== 'undefined' && window.CoffeeCatalog) {
+    return window.CoffeeCatalog;
+  }
+  return require('./catalog.js');
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StructuredData;
+} else {
+  window.StructuredData = StructuredData;
+}
@@ -0,0 +1,656 @@
+/**
+ * Subscription signup wizard for Elevate Roasting
+ *
+ * Walks a customer through setting up a subscription from one of the
+ * siteConfig.subscriptionOptions plans: how often, which coffee (a specific
+ * drop or roaster's choice), how many bags and what size, which pickup
+ * day, their contact details, then a review before confirming.
+ *
+ * Design decisions:
+ * - Each step is its own small form validated by utils.form, so the
+ *   customer can't move on with a step half done, and Back never validates.
+ * - The draft is saved to utils.storage after every step. Closing the tab
+ *   and coming back (within draftMaxAgeMs) resumes at the same step.
+ * - Prices are estimates derived from the drop variants (see
+ *   CoffeeCatalog), so they always match the coffee menu. Roaster's choice
+ *   shows the range across the coffees currently available.
+ * - When payments are live (features.stripeEnabled), confirming sends the
+ *   customer to Stripe Checkout to pay for the first pickup (see
+ *   js/checkout.js); the backend creates the subscription once that
+ *   payment goes through, and the draft is kept until then. Until payments
+ *   are live it's kept on this device and confirmed by email, like the
+ *   email signup's local mode, under an id from the draft's key so a
+ *   repeated confirm can't save it twice.
+ *
+ * Usage (see js/pages/subscriptions.js):
+ * - SubscriptionWizard.init(app, container) resumes a saved draft, if any
+ * - SubscriptionWizard.start(planId) begins a new signup for a plan
+ */
+
+const SubscriptionWizard = {
+  draftKey: 'elevate-roasting-subscription-draft',
+
+  // Subscriptions confirmed while payments are off, kept on this device
+  savedKey: 'elevate-roasting-subscriptions',
+
+  draftMaxAgeMs: 14 * 24 * 60 * 60 * 1000,
+
+  // Value of the coffee choice that lets the roaster pick each time
+  roastersChoice: 'roasters-choice',
+
+  // Small-batch roasting: cap bags per pickup, like the cart's per-item cap
+  maxBags: 4,
+
+  steps: [
+    { id: 'frequency', title: 'Frequency' },
+    { id: 'coffee', title: 'Coffee' },
+    { id: 'bags', title: 'Bags' },
+    { id: 'pickup', title: 'Pickup' },
+    { id: 'contact', title: 'Your details' },
+    { id: 'review', title: 'Review' }
+  ],
+
+  app: null,
+  container: null,
+  draft: null,
+  validation: null,
+  isResumed: false,
+  handleClick: null,
+  handlePageShow: null,
+  // Idempotency-Key for the current Checkout Session request; a new one
+  // whenever an answer changes, so the backend never replays an old session
+  checkoutKey: null,
+
+  /**
+   * Attach to the wizard container and resume any saved draft
+   * @param {ElevateRoastingApp} app - Running app, for config and utils
+   * @param {HTMLElement} container - Element the wizard renders into
+   */
+  init(app, container) {
+    this.app = app;
+    this.container = container;
+
+    this.handleClick = (event) => {
+      if (event.target.closest('[data-wizard-back]')) {
+        this.goTo(this.getStepIndex() - 1);
+      } else if (event.target.closest('[data-wizard-restart]')) {
+        this.close();
+      } else if (event.target.closest('[data-wizard-edit]')) {
+        // Editing from the review step comes straight back to it
+        this.draft.isEditing = true;
+        this.goTo(this.steps.findIndex(step => step.id === event.target.closest('[data-wizard-edit]').dataset.wizardEdit));
+      } else if (event.target.closest('[data-wizard-done]')) {
+        this.close();
+      }
+    };
+    container.addEventListener('click', this.handleClick);
+
+    // Back from Stripe's checkout page can restore the review step as it
+    // was left, mid-confirm with its button disabled
+    this.handlePageShow = (event) => {
+      if (event.persisted && this.draft) {
+        this.render();
+      }
+    };
+    window.addEventListener('pageshow', this.handlePageShow);
+
+    const draft = this.loadDraft();
+    if (draft) {
+      this.draft = draft;
+      this.isResumed = true;
+      this.render();
+    }
+  },
+
+  destroy() {
+    if (this.validation) {
+      this.validation.detach();
+    }
+    if (this.container) {
+      this.container.removeEventListener('click', this.handleClick);
+    }
+    window.removeEventListener('pageshow', this.handlePageShow);
+    this.app = null;
+    this.container = null;
+    this.validation = null;
+  },
+
+  /**
+   * Begin a signup for a plan, replacing any unfinished draft
+   * @param {string} planId - Id from siteConfig.subscriptionOptions
+   */
+  start(planId) {
+    const { config, utils } = this.app;
+    const plan = config.subscriptionOptions.find(option => option.id === planId);
+    if (!plan) {
+      utils.debug.error('Unknown subscription plan', { planId });
+      return;
+    }
+
+    this.draft = {
+      key: utils.outbox.createKey(),
+      step: 'coffee', // The plan card already answered 'how often'
+      planId,
+      coffee: this.roastersChoice,
+      bagCount: 1,
+      weightGrams: null,
+      pickupDay: config.pickup ? config.pickup.days[0].id : null,
+      name: '',
+      email: '',
+      phone: '',
+      isEditing: false
+    };
+    this.draft.weightGrams = this.getDefaultWeight(this.draft);
+    this.isResumed = false;
+    this.saveDraft();
+    this.render();
+    this.app.trackEvent('subscription_wizard_started', { planId });
+  },
+
+  /**
+   * Hide the wizard and forget the draft
+   */
+  close() {
+    this.clearDraft();
+    this.draft = null;
+    if (this.validation) {
+      this.validation.detach();
+      this.validation = null;
+    }
+    this.container.innerHTML = '';
+    this.setVisible(false);
+  },
+
+  getStepIndex() {
+    return Math.max(0, this.steps.findIndex(step => step.id === this.draft.step));
+  },
+
+  goTo(index) {
+    const step = this.steps[Math.min(Math.max(index, 0), this.steps.length - 1)];
+    this.draft.step = step.id;
+    this.isResumed = false;
+    this.saveDraft();
+    this.render();
+  },
+
+  /**
+   * Show or hide the section holding the wizard
+   */
+  setVisible(isVisible) {
+    const section = this.container.closest('section') || this.container;
+    section.hidden = !isVisible;
+  },
+
+  /**
+   * Render the current step and wire its form to the validation engine
+   */
+  render() {
+    const { html } = this.app.utils;
+    const index = this.getStepIndex();
+    const step = this.steps[index];
+    const plan = this.getPlan(this.draft);
+
+    if (this.validation) {
+      this.validation.detach();
+    }
+
+    this.container.innerHTML = html`
+      <div class="wizard">
+        <div class="wizard-header">
+          <h2 class="text-2xl font-semibold tracking-tight text-heading">
+            Subscribe${plan ? html`: ${plan.name}` : ''}
+          </h2>
+          <button type="button" class="btn btn-secondary btn-small" data-wizard-restart>Cancel</button>
+        </div>
+        <ol class="wizard-progress">
+          ${this.steps.map((item, itemIndex) => html`
+            <li class="${itemIndex < index ? 'is-complete' : ''}"${itemIndex === index && html.raw(' aria-current="step"')}>${item.title}</li>
+          `)}
+        </ol>
+        ${this.isResumed && html`<p class="text-muted text-sm">Picking up where you left off.</p>`}
+        <form class="wizard-step" data-wizard-step="${step.id}">
+          <h3 class="wizard-step-title" tabindex="-1">Step ${index + 1} of ${this.steps.length}: ${step.title}</h3>
+          ${this.renderStep(step.id)}
+          <div class="form-status" data-form-status role="status" aria-live="polite" hidden></div>
+          <div class="wizard-actions">
+            ${index > 0 && html`<button type="button" class="btn btn-secondary" data-wizard-back>Back</button>`}
+            <button type="submit" class="btn btn-primary">${this.getSubmitLabel(step)}</button>
+          </div>
+        </form>
+      </div>
+    `;
+
+    const form = this.container.querySelector('form');
+    this.validation = this.app.utils.form.attach(form, {
+      onSubmit: (values) => this.handleStepSubmit(step.id, values)
+    });
+
+    this.setVisible(true);
+    this.container.querySelector('.wizard-step-title').focus();
+  },
+
+  /**
+   * Fields for one step
+   * @returns {SafeHtml}
+   */
+  renderStep(stepId) {
+    const { config, utils, catalog } = this.app;
+    const { html } = utils;
+    const draft = this.draft;
+    const checked = (isChecked) => isChecked && html.raw(' checked');
+
+    switch (stepId) {
+      case 'frequency':
+        return html`
+          <fieldset class="wizard-fieldset">
+            <legend class="wizard-legend">How often would you like coffee?</legend>
+            ${config.subscriptionOptions.map(plan => html`
+              <label class="wizard-option">
+                <input type="radio" name="planId" id="wizard-plan-${plan.id}" value="${plan.id}" required data-error-required="Please choose how often."${checked(draft.planId === plan.id)} />
+                <span><strong>${plan.name}</strong> <span class="text-muted">${plan.description}</span></span>
+              </label>
+            `)}
+          </fieldset>
+        `;
+
+      case 'coffee':
+        return html`
+          <fieldset class="wizard-fieldset">
+            <legend class="wizard-legend">Which coffee?</legend>
+            <label class="wizard-option">
+              <input type="radio" name="coffee" id="wizard-coffee-choice" value="${this.roastersChoice}" required data-error-required="Please choose a coffee."${checked(draft.coffee === this.roastersChoice)} />
+              <span><strong>Roaster's choice</strong> <span class="text-muted">Whatever we're most excited about that week</span></span>
+            </label>
+            ${this.getAvailableDrops().map(drop => html`
+              <label class="wizard-option">
+                <input type="radio" name="coffee" id="wizard-coffee-${drop.id}" value="${drop.id}"${checked(String(draft.coffee) === String(drop.id))} />
+                <span><strong>${drop.name}</strong> <span class="text-muted">${drop.description}</span></span>
+              </label>
+            `)}
+          </fieldset>
+        `;
+
+      case 'bags':
+        return html`
+          <div>
+            <label for="wizard-bag-count" class="block text-sm font-medium mb-2">Bags per pickup</label>
+            <select id="wizard-bag-count" name="bagCount" class="input-field" required>
+              ${Array.from({ length: this.maxBags }, (_, i) => i + 1).map(count => html`
+                <option value="${count}"${count === draft.bagCount && html.raw(' selected')}>${count}</option>
+              `)}
+            </select>
+          </div>
+          <fieldset class="wizard-fieldset">
+            <legend class="wizard-legend">Bag size</legend>
+            ${this.getSizeOptions(draft).map(weightGrams => html`
+              <label class="wizard-option">
+                <input type="radio" name="weightGrams" id="wizard-size-${weightGrams}" value="${weightGrams}" required data-error-required="Please choose a bag size."${checked(draft.weightGrams === weightGrams)} />
+                <span><strong>${catalog.formatWeight(weightGrams)}</strong> <span class="text-muted">${this.formatEstimate({ ...draft, weightGrams, bagCount: 1 })} per bag</span></span>
+              </label>
+            `)}
+          </fieldset>
+        `;
+
+      case 'pickup':
+        return html`
+          <fieldset class="wizard-fieldset">
+            <legend class="wizard-legend">Pickup day at ${config.pickup.location}</legend>
+            ${config.pickup.days.map(day => {
+              const first = window.RoastSchedule.getNextPickup(config, { pickupDay: day.id });
+              return html`
+                <label class="wizard-option">
+                  <input type="radio" name="pickupDay" id="wizard-pickup-${day.id}" value="${day.id}" required data-error-required="Please choose a pickup day."${checked(draft.pickupDay === day.id)} />
+                  <span>
+                    <strong>${day.label}</strong> <span class="text-muted">${day.hours}</span>
+                    ${first && html`<span class="block text-sm text-muted">First pickup ${this.app.utils.date.formatDay(first.date)}</span>`}
+                  </span>
+                </label>
+              `;
+            })}
+          </fieldset>
+        `;
+
+      case 'contact':
+        return html`
+          <div>
+            <label for="wizard-name" class="block text-sm font-medium mb-2">Name</label>
+            <input type="text" id="wizard-name" name="name" class="input-field" autocomplete="name" required data-error-required="Please tell us your name." value="${draft.name}" />
+          </div>
+          <div>
+            <label for="wizard-email" class="block text-sm font-medium mb-2">Email</label>
+            <input type="email" id="wizard-email" name="email" class="input-field" autocomplete="email" required data-error-required="We need an email to confirm your pickups." value="${draft.email}" />
+          </div>
+          <div>
+            <label for="wizard-phone" class="block text-sm font-medium mb-2">Phone (optional, for pickup reminders)</label>
+            <input type="tel" id="wizard-phone" name="phone" class="input-field" autocomplete="tel" pattern="[0-9()+\\-. ]{7,20}" data-error-pattern="Please enter a phone number, or leave it blank." value="${draft.phone}" />
+          </div>
+        `;
+
+      case 'review':
+        return html`
+          <dl class="detail-list">
+            ${this.getSummary(draft).map(([label, value, stepId]) => html`
+              <dt>${label}</dt>
+              <dd>${value}${stepId && html` <button type="button" class="wizard-edit" data-wizard-edit="${stepId}" aria-label="Change ${label.toLowerCase()}">Change</button>`}</dd>
+            `)}
+          </dl>
+          <p class="text-body">
+            ${this.paysOnline()
+              ? 'Next you\'ll pay for your first pickup on Stripe\'s secure checkout page. After that you\'re charged for each pickup; skip, pause or cancel any time.'
+              : 'No payment is taken now. We\'ll email you to confirm before your first pickup, and you pay when you collect.'}
+          </p>
+        `;
+
+      default:
+        return html``;
+    }
+  },
+
+  /**
+   * Store a completed step's answers and move on (or confirm on review)
+   */
+  async handleStepSubmit(stepId, values) {
+    const draft = this.draft;
+    if (stepId !== 'review') {
+      this.checkoutKey = null;
+      // Each step in the signup funnel; edits from the review step count again
+      this.app.trackEvent('subscription_step_completed', { step: stepId, planId: values.planId || draft.planId });
+    }
+
+    switch (stepId) {
+      case 'frequency':
+        draft.planId = values.planId;
+        break;
+      case 'coffee':
+        draft.coffee = values.coffee === this.roastersChoice ? this.roastersChoice : Number(values.coffee);
+        // A different coffee may not come in the size picked earlier; if
+        // not, show the sizes it does come in, even when editing
+        if (!this.getSizeOptions(draft).includes(draft.weightGrams)) {
+          draft.weightGrams = this.getDefaultWeight(draft);
+          this.goTo(this.getStepIndex() + 1);
+          return;
+        }
+        break;
+      case 'bags':
+        draft.bagCount = Number(values.bagCount);
+        draft.weightGrams = Number(values.weightGrams);
+        break;
+      case 'pickup':
+        draft.pickupDay = values.pickupDay;
+        break;
+      case 'contact':
+        draft.name = values.name.trim();
+        draft.email = values.email.trim();
+        draft.phone = (values.phone || '').trim();
+        break;
+      case 'review':
+        await this.confirm();
+        return;
+      default:
+        break;
+    }
+
+    if (draft.isEditing) {
+      draft.isEditing = false;
+      this.goTo(this.steps.length - 1);
+    } else {
+      this.goTo(this.getStepIndex() + 1);
+    }
+  },
+
+  /**
+   * Send (or save) the subscription and show the confirmation
+   */
+  async confirm() {
+    const { utils } = this.app;
+    const form = this.container.querySelector('form');
+    const submitButton = form.querySelector('button[type="submit"]');
+    const originalText = submitButton.textContent;
+    submitButton.textContent = 'Confirming...';
+    submitButton.disabled = true;
+
+    try {
+      const result = await this.submit(this.createPayload(this.draft));
+      if (result.mode === 'checkout') {
+        // On its way to Stripe; the success page confirms and clears the draft
+        return;
+      }
+      this.app.trackEvent('subscription_confirmed', { planId: this.draft.planId, mode: result.mode });
+      this.clearDraft();
+      this.renderConfirmation(result);
+    } catch (error) {
+      utils.debug.error('Subscription signup failed', error);
+      if (error.status > 0 && error.status < 500) {
+        this.checkoutKey = null;
+      }
+      submitButton.textContent = originalText;
+      submitButton.disabled = false;
+      this.showStatus(this.getErrorMessage(error));
+    }
+  },
+
+  /**
+   * Pay through Stripe Checkout when payments are live, otherwise keep it locally
+   * @returns {Promise<{mode: 'checkout'|'local', subscription: Object}>}
+   */
+  async submit(payload) {
+    const { utils } = this.app;
+
+    if (this.paysOnline()) {
+      this.checkoutKey = this.checkoutKey || utils.outbox.createKey();
+      await window.Checkout.start(this.app, { mode: 'subscription', subscription: payload }, {
+        idempotencyKey: this.checkoutKey,
+        draftKey: this.draftKey
+      });
+      return { mode: 'checkout', subscription: payload };
+    }
+
+    const subscription = {
+      ...payload,
+      id: `local-${this.draft.key}`,
+      status: 'active',
+      createdAt: new Date().toISOString()
+    };
+    const saved = utils.storage.get(this.savedKey, []);
+    if (!saved.some(existing => existing.id === subscription.id)) {
+      saved.push(subscription);
+      utils.storage.set(this.savedKey, saved);
+    }
+    return { mode: 'local', subscription };
+  },
+
+  /**
+   * Subscription as sent to the API: ids and numbers, no display text
+   */
+  createPayload(draft) {
+    return {
+      planId: draft.planId,
+      dropId: draft.coffee === this.roastersChoice ? null : draft.coffee,
+      bagCount: draft.bagCount,
+      weightGrams: draft.weightGrams,
+      pickupDay: draft.pickupDay,
+      name: draft.name,
+      email: draft.email,
+      phone: draft.phone || null
+    };
+  },
+
+  renderConfirmation(result) {
+    const { html, date } = this.app.utils;
+    const { email } = result.subscription;
+    const firstPickup = window.Subscriptions
+      ? window.Subscriptions.getNextPickup(result.subscription, this.app.config)
+      : null;
+
+    if (this.validation) {
+      this.validation.detach();
+      this.validation = null;
+    }
+
+    this.container.innerHTML = html`
+      <div class="wizard" role="status">
+        <h2 class="text-2xl font-semibold tracking-tight text-heading wizard-step-title" tabindex="-1">You're subscribed!</h2>
+        <dl class="detail-list">
+          ${this.getSummary(this.draft).map(([label, value]) => html`<dt>${label}</dt><dd>${value}</dd>`)}
+          ${firstPickup && html`<dt>First pickup</dt><dd>${date.formatDay(firstPickup, { weekday: 'long', month: 'long' })}</dd>`}
+        </dl>
+        <p class="text-body">
+          We've saved your subscription and will email ${email} to confirm before your first pickup.
+        </p>
+        <div class="wizard-actions">
+          <a class="btn btn-secondary" href="my-subscription.html">Manage subscription</a>
+          <button type="button" class="btn btn-secondary" data-wizard-done>Done</button>
+        </div>
+      </div>
+    `;
+    this.draft = null;
+    this.container.querySelector('.wizard-step-title').focus();
+  },
+
+  /**
+   * 'Continue', or on the review step what confirming will do
+   */
+  getSubmitLabel(step) {
+    if (step.id !== 'review') {
+      return 'Continue';
+    }
+    return this.paysOnline() ? 'Continue to payment' : 'Confirm subscription';
+  },
+
+  /**
+   * Whether confirming goes to Stripe Checkout (features.stripeEnabled)
+   */
+  paysOnline() {
+    return Boolean(window.Checkout && window.Checkout.isEnabled(this.app));
+  },
+
+  showStatus(message) {
+    const status = this.container.querySelector('[data-form-status]');
+    if (status) {
+      status.className = 'form-status form-status-error';
+      status.textContent = message;
+      status.hidden = false;
+    }
+  },
+
+  /**
+   * Turn a failed confirmation into a message the customer can act on
+   */
+  getErrorMessage(error) {
+    const apiError = error && error.body && error.body.error ? error.body.error : {};
+    const code = apiError.code || null;
+    // Running out of stock is the one the customer can fix by choosing fewer bags
+    if (apiError.fields && apiError.fields.coffee) {
+      return apiError.fields.coffee;
+    }
+    if (code === 'invalid_fields' || (error && error.status === 422)) {
+      return 'Some of your choices are no longer available. Please review them and try again.';
+    }
+    if (error && (error.code === 'network_error' || error.code === 'timeout')) {
+      return 'We couldn\'t reach our server. Your choices are saved; please try again in a moment.';
+    }
+    return 'Something went wrong confirming your subscription. Please try again.';
+  },
+
+  /**
+   * Label/value rows describing a draft, with the step that edits each
+   * (null for rows that follow from other answers, like the price)
+   * @returns {Array<[string, string, string|null]>}
+   */
+  getSummary(draft) {
+    const { config, catalog } = this.app;
+    const plan = this.getPlan(draft);
+    const drop = this.getDrop(draft);
+    const pickupDay = config.pickup ? config.pickup.days.find(day => day.id === draft.pickupDay) : null;
+
+    return [
+      ['Frequency', plan ? plan.name : draft.planId, 'frequency'],
+      ['Coffee', drop ? drop.name : 'Roaster\'s choice', 'coffee'],
+      ['Bags', `${draft.bagCount} × ${catalog.formatWeight(draft.weightGrams)}`, 'bags'],
+      ['Pickup', pickupDay ? `${pickupDay.label}${pickupDay.hours ? `, ${pickupDay.hours}` : ''}` : draft.pickupDay, 'pickup'],
+      ['Contact', [draft.name, draft.email, draft.phone].filter(Boolean).join(' · '), 'contact'],
+      ['Price per pickup', this.formatEstimate(draft), null]
+    ];
+  },
+
+  getPlan(draft) {
+    return this.app.config.subscriptionOptions.find(plan => plan.id === draft.planId) || null;
+  },
+
+  /**
+   * The chosen drop, or null for roaster's choice
+   */
+  getDrop(draft) {
+    if (draft.coffee === this.roastersChoice) {
+      return null;
+    }
+    return this.app.config.coffeeDrops.find(drop => drop.id === Number(draft.coffee)) || null;
+  },
+
+  getAvailableDrops() {
+    return this.app.config.coffeeDrops.filter(drop => this.app.catalog.isAvailable(drop));
+  },
+
+  /**
+   * Bag weights on offer for the chosen coffee (or any available coffee
+   * for roaster's choice), smallest first
+   */
+  getSizeOptions(draft) {
+    const drop = this.getDrop(draft);
+    const drops = drop ? [drop] : this.getAvailableDrops();
+    const weights = drops.flatMap(item => this.app.catalog.getVariants(item).map(variant => variant.weightGrams));
+    return Array.from(new Set(weights.filter(Boolean))).sort((a, b) => a - b);
+  },
+
+  /**
+   * The plan's usual bag size when offered, otherwise the smallest
+   */
+  getDefaultWeight(draft) {
+    const sizes = this.getSizeOptions(draft);
+    const plan = this.getPlan(draft);
+    return plan && sizes.includes(plan.bagWeightGrams) ? plan.bagWeightGrams : (sizes[0] || null);
+  },
+
+  /**
+   * Price per pickup, e.g. '$32.00' or '$32.00–$36.00' for roaster's choice
+   */
+  formatEstimate(draft) {
+    const { catalog } = this.app;
+    const drop = this.getDrop(draft);
+    const range = catalog.getPriceRange(drop ? [drop] : this.getAvailableDrops(), draft.weightGrams);
+    if (!range) {
+      return '';
+    }
+    return catalog.formatPriceRange({
+      minCents: range.minCents * draft.bagCount,
+      maxCents: range.maxCents * draft.bagCount
+    });
+  },
+
+  saveDraft() {
+    this.app.utils.storage.set(this.draftKey, { ...this.draft, updatedAt: Date.now() });
+  },
+
+  /**
+   * Saved draft, unless it's stale or its plan no longer exists
+   */
+  loadDraft() {
+    const draft = this.app.utils.storage.get(this.draftKey, null);
+    if (!draft || !draft.key || Date.now() - (draft.updatedAt || 0) > this.draftMaxAgeMs || !this.getPlan(draft)) {
+      this.clearDraft();
+      return null;
+    }
+    return draft;
+  },
+
+  clearDraft() {
+    this.app.utils.storage.remove(this.draftKey);
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SubscriptionWizard;
+} else {
+  window.SubscriptionWizard = SubscriptionWizard;
+}
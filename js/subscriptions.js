@@ -0,0 +1,254 @@
+/**
+ * Shared subscription rules for Elevate Roasting
+ *
+ * Works out a subscription's upcoming pickups and applies the changes a
+ * subscriber can make themselves (skip, pause, change frequency, switch
+ * coffee, cancel). Both the My subscription page and the mock API use it,
+ * so a change made in demo mode (kept in localStorage) behaves exactly
+ * like one made through the API. Like templates.js, nothing here reads
+ * the DOM or window state.
+ *
+ * Design decisions:
+ * - Dates, cutoffs and blackouts come from RoastSchedule (js/schedule.js).
+ *   Pickups repeat every interval from an anchor date on the
+ *   subscription's pickup day.
+ * - A pickup whose order cutoff has passed is being roasted: it can't be
+ *   skipped, and a pause set after its cutoff doesn't remove it.
+ * - Paused is derived from pausedUntil rather than stored, so a pause ends
+ *   by itself without anything having to run on that date. Only
+ *   'cancelled' is stored in status.
+ * - Changes never mutate the subscription passed in; applyChange returns
+ *   an updated copy or an error message for the customer.
+ *
+ * Subscription fields used here (as saved by the signup wizard):
+ *   { planId, dropId, bagCount, weightGrams, pickupDay, status, createdAt,
+ *     anchorDate?, skippedDates?, pausedUntil?, pausedAt?, cancelledAt? }
+ */
+
+const Subscriptions = {
+  // Longest pause a subscriber can set themselves; beyond that, cancel
+  maxPauseDays: 90,
+
+  getPlan(subscription, config) {
+    return config.subscriptionOptions.find(plan => plan.id === subscription.planId) || null;
+  },
+
+  /**
+   * Date the pickup series counts from: set when the frequency changes,
+   * otherwise the first pickup that was still open when they signed up
+   */
+  getAnchorDate(subscription, config) {
+    if (subscription.anchorDate) {
+      return subscription.anchorDate;
+    }
+    const schedule = getSubscriptionSchedule();
+    const signedUpAt = subscription.createdAt ? new Date(subscription.createdAt) : new Date();
+    const first = schedule.getNextPickup(config, { pickupDay: subscription.pickupDay, now: signedUpAt });
+    return first
+      ? first.date
+      : getSubscriptionUtils().date.nextWeekday(schedule.getToday(config, signedUpAt), subscription.pickupDay);
+  },
+
+  /**
+   * 'active', 'paused' or 'cancelled' at a point in time
+   */
+  getStatus(subscription, config, now = new Date()) {
+    if (subscription.status === 'cancelled') {
+      return 'cancelled';
+    }
+    const today = getSubscriptionSchedule().getToday(config, now);
+    return subscription.pausedUntil && subscription.pausedUntil > today ? 'paused' : 'active';
+  },
+
+  /**
+   * The next pickups, leaving out any during a pause
+   *
+   * Skipped and closed (blackout) pickups are included so they can be
+   * shown and explained; a cancelled subscription has none.
+   * @param {Object} subscription
+   * @param {Object} config - siteConfig
+   * @param {Object} options - { now, count }
+   * @returns {Array<{date: string, skipped: boolean, closed: string|null, locked: boolean, pickup: Object}>}
+   *   locked pickups are past their order cutoff and can't be changed
+   */
+  getUpcomingPickups(subscription, config, options = {}) {
+    const schedule = getSubscriptionSchedule();
+    const now = options.now || new Date();
+    const count = options.count || 6;
+    if (this.getStatus(subscription, config, now) === 'cancelled') {
+      return [];
+    }
+
+    const skipped = subscription.skippedDates || [];
+    const pausedAt = subscription.pausedAt ? new Date(subscription.pausedAt) : null;
+    const isPaused = (pickup) => subscription.pausedUntil && pickup.date < subscription.pausedUntil
+      // Already being roasted when the pause was set
+      && !(pausedAt && pickup.cutoff && pickup.cutoff.at <= pausedAt);
+
+    const series = schedule.getPickupDates(config, {
+      anchor: this.getAnchorDate(subscription, config),
+      intervalDays: schedule.getIntervalDays(this.getPlan(subscription, config)),
+      from: schedule.getToday(config, now),
+      // Enough to fill the list even when a long pause hides some
+      count: count + Math.ceil(this.maxPauseDays / 7)
+    });
+
+    return series
+      .filter(pickup => !isPaused(pickup))
+      .slice(0, count)
+      .map(pickup => ({
+        date: pickup.date,
+        skipped: skipped.includes(pickup.date),
+        closed: pickup.closed,
+        locked: !schedule.isOpenForChanges(config, pickup, now),
+        pickup
+      }));
+  },
+
+  /**
+   * The next pickup that will actually happen, or null
+   */
+  getNextPickup(subscription, config, options = {}) {
+    const next = this.getUpcomingPickups(subscription, config, options)
+      .find(pickup => !pickup.skipped && !pickup.closed);
+    return next ? next.date : null;
+  },
+
+  /**
+   * Apply a subscriber's change
+   *
+   * Changes:
+   *   { action: 'skip' | 'unskip', date }
+   *   { action: 'pause', until }        resumes with the first pickup on or after 'until'
+   *   { action: 'resume' }
+   *   { action: 'changePlan', planId }  new cadence starts from the next pickup
+   *   { action: 'changeCoffee', dropId } null for roaster's choice
+   *   { action: 'cancel' }
+   *
+   * @param {Object} subscription - Current subscription (not modified)
+   * @param {Object} change - One of the changes above
+   * @param {Object} config - siteConfig, for plans, coffees and the schedule
+   * @param {Date} now - Defaults to the current time
+   * @returns {{subscription: Object}|{error: string}}
+   */
+  applyChange(subscription, change, config, now = new Date()) {
+    const { date } = getSubscriptionUtils();
+    const today = getSubscriptionSchedule().getToday(config, now);
+    if (this.getStatus(subscription, config, now) === 'cancelled') {
+      return { error: 'This subscription has been cancelled.' };
+    }
+
+    const next = {
+      ...subscription,
+      // Skips in the past no longer matter
+      skippedDates: (subscription.skippedDates || []).filter(day => day >= today)
+    };
+    const upcoming = () => this.getUpcomingPickups(next, config, { now, count: 12 });
+    const findPickup = (day) => upcoming().find(pickup => pickup.date === day);
+
+    switch (change && change.action) {
+      case 'skip':
+      case 'unskip': {
+        const pickup = findPickup(change.date);
+        if (!pickup || pickup.closed) {
+          return { error: 'That isn\'t one of your upcoming pickups.' };
+        }
+        if (pickup.locked) {
+          return { error: 'That pickup is already being roasted, so it can\'t be changed.' };
+        }
+        next.skippedDates = change.action === 'skip'
+          ? Array.from(new Set([...next.skippedDates, change.date])).sort()
+          : next.skippedDates.filter(day => day !== change.date);
+        break;
+      }
+
+      case 'pause':
+        if (!date.isDateString(change.until) || change.until <= today) {
+          return { error: 'Please choose a date in the future.' };
+        }
+        if (date.daysBetween(today, change.until) > this.maxPauseDays) {
+          return { error: `Pauses can be up to ${this.maxPauseDays} days. To stop for longer, cancel instead.` };
+        }
+        next.pausedUntil = change.until;
+        next.pausedAt = now.toISOString();
+        break;
+
+      case 'resume':
+        next.pausedUntil = null;
+        next.pausedAt = null;
+        break;
+
+      case 'changePlan': {
+        const plan = config.subscriptionOptions.find(option => option.id === change.planId);
+        if (!plan) {
+          return { error: 'Please choose how often.' };
+        }
+        // Keep the next pickup date (skipped or not); the new frequency
+        // counts on from it, and skips that still fall on a pickup stay
+        const first = upcoming()[0];
+        next.anchorDate = first ? first.date : this.getAnchorDate(next, config);
+        next.planId = plan.id;
+        break;
+      }
+
+      case 'changeCoffee': {
+        const dropId = change.dropId === null || change.dropId === undefined ? null : Number(change.dropId);
+        const drops = config.coffeeDrops.filter(drop => getSubscriptionCatalog().isAvailable(drop) && (dropId === null || drop.id === dropId));
+        if (drops.length === 0) {
+          return { error: 'That coffee is no longer available.' };
+        }
+        if (!drops.some(drop => getSubscriptionCatalog().getVariants(drop).some(variant => variant.weightGrams === next.weightGrams))) {
+          return { error: 'That coffee doesn\'t come in your bag size.' };
+        }
+        next.dropId = dropId;
+        break;
+      }
+
+      case 'cancel':
+        next.status = 'cancelled';
+        next.cancelledAt = now.toISOString();
+        next.pausedUntil = null;
+        next.pausedAt = null;
+        next.skippedDates = [];
+        break;
+
+      default:
+        return { error: 'Unknown change.' };
+    }
+
+    next.updatedAt = now.toISOString();
+    return { subscription: next };
+  }
+};
+
+/**
+ * Resolve the shared utils, CoffeeCatalog and RoastSchedule in either
+ * environment (see templates.js)
+ */
+function getSubscriptionUtils() {
+  if (typeof window !== 'undefined' && window.utils) {
+    return window.utils;
+  }
+  return require('./utils.js');
+}
+
+function getSubscriptionCatalog() {
+  if (typeof window !== 'undefined' && window.CoffeeCatalog) {
+    return window.CoffeeCatalog;
+  }
+  return require('./catalog.js');
+}
+
+function getSubscriptionSchedule() {
+  if (typeof window !== 'undefined' && window.RoastSchedule) {
+    return window.RoastSchedule;
+  }
+  return require('./schedule.js');
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Subscriptions;
+} else {
+  window.Subscriptions = Subscriptions;
+}
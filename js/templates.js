@@ -0,0 +1,305 @@
+/**
+ * Shared HTML renderers for Elevate Roasting
+ *
+ * The markup for the navigation, coffee drop cards and subscription plan
+ * cards lives here so the browser (app.js) and the static build
+ * (scripts/build.js) produce exactly the same HTML. Each function takes
+ * plain data and returns markup; nothing here reads the DOM or window
+ * state, which is what lets it run under Node.
+ *
+ * Design decisions:
+ * - Renderers take everything they need as arguments (e.g. whether the
+ *   cart is available) instead of reaching for globals, so the build can
+ *   describe the page it's rendering for.
+ * - Event handling never lives in the markup: cards carry data attributes
+ *   (data-drop-details, data-cart-add, data-subscribe-plan) that page
+ *   scripts handle with delegated listeners, so pre-rendered HTML works as
+ *   soon as the app hydrates it and nothing depends on a global 'app'.
+ * - Everything is built with the escaping utils.html tag and URLs go
+ *   through utils.url, so product data from an API or admin editor can't
+ *   inject markup or script. Renderers return SafeHtml, which nests in
+ *   other templates and assigns straight to innerHTML.
+ */
+
+const Templates = {
+  /**
+   * Render the main navigation from siteConfig.navigation.items
+   * @param {Array<Object>} items - Navigation items (buttons and dropdowns)
+   * @returns {SafeHtml} HTML for the #main-nav container
+   */
+  createNavigationHTML(items) {
+    const { html } = getTemplateUtils();
+    return html`${items.map(item => (
+      item.type === 'dropdown' ? this.createDropdownHTML(item) : this.createNavButtonHTML(item)
+    ))}`;
+  },
+
+  /**
+   * Create HTML for navigation buttons
+   */
+  createNavButtonHTML(item) {
+    const { html, url } = getTemplateUtils();
+    if (item.href) {
+      return html`<a class="nav-link" href="${url.sanitize(item.href)}">${item.label}</a>`;
+    }
+    return html`<button class="nav-link">${item.label}</button>`;
+  },
+
+  /**
+   * Create HTML for dropdown navigation
+   */
+  createDropdownHTML(item) {
+    const { html, url } = getTemplateUtils();
+    const dropdownItems = item.items.map(dropdownItem =>
+      html`<a class="nav-dropdown-item" href="${url.sanitize(dropdownItem.href)}">${dropdownItem.label}</a>`
+    );
+
+    return html`
+      <div class="nav-dropdown" data-dropdown="${item.id}">
+        <button class="nav-dropdown-toggle">${item.label}</button>
+        <div class="nav-dropdown-menu">
+          ${dropdownItems}
+        </div>
+      </div>
+    `;
+  },
+
+  /**
+   * Create HTML for an individual coffee drop card
+   *
+   * @param {Object} drop - Coffee drop from configuration
+   * @param {Object} options
+   * @param {boolean} options.showSpecs - Add the category's key specs (see CoffeeCatalog.getCardSpecs)
+   * @param {boolean} options.cartEnabled - Render size, quantity and add-to-cart controls
+   * @param {number} options.maxQuantity - Upper bound for the quantity input
+   * @param {number} options.lowStockThreshold - siteConfig.inventory.lowStockThreshold
+   * @param {Date} options.now - Time to judge the release window at (default: now)
+   */
+  createDropCardHTML(drop, options = {}) {
+    const { html, url } = getTemplateUtils();
+    const catalog = getTemplateCatalog();
+    const stock = catalog.getStockStatus(drop, options.lowStockThreshold);
+    const isUpcoming = catalog.getReleaseStatus(drop, options.now) === 'upcoming';
+    let actions = options.cartEnabled && this.createAddToCartHTML(drop, options);
+    if (isUpcoming) {
+      actions = this.createReleaseTeaserHTML(drop);
+    } else if (stock.status === 'sold-out') {
+      actions = html`<button class="btn btn-small btn-sold-out" type="button" disabled>Sold out</button>`;
+    }
+    const specs = options.showSpecs && html`
+          <div class="mt-3 text-sm text-muted">
+            ${catalog.getCardSpecs(drop).map(([label, value]) => html`<div><strong>${label}:</strong> ${value}</div>`)}
+          </div>`;
+
+    return html`
+      <article class="card fade-in ${isUpcoming ? 'is-upcoming' : ''} ${!isUpcoming && stock.status === 'sold-out' ? 'is-sold-out' : ''}" data-drop-id="${drop.id}">
+        <div class="card-image" style="background-image: ${url.cssUrl(drop.image)}"></div>
+        <div class="card-content">
+          <h3 class="card-title">${drop.name}</h3>
+          <p class="card-description">${drop.description}</p>${specs}
+          ${Boolean(drop.roastedOn) && html`<p class="freshness" data-freshness="${drop.id}" hidden></p>`}
+          ${!isUpcoming && this.createStockHTML(stock)}
+          <div class="card-footer">
+            <span class="card-price" data-variant-price>${this.createVariantPriceHTML(catalog.getDefaultVariant(drop))}</span>
+            <button class="btn btn-small" type="button" data-drop-details="${drop.id}">Details</button>
+          </div>
+          ${actions}
+        </div>
+      </article>
+    `;
+  },
+
+  /**
+   * Create the 'Coming Friday' line and countdown for an unreleased drop
+   *
+   * Rendered as a placeholder: the app fills in the label and countdown in
+   * the roastery's timezone and keeps them ticking (see startReleaseClock).
+   */
+  createReleaseTeaserHTML(drop) {
+    const { html } = getTemplateUtils();
+    return html`
+      <p class="release-teaser" data-release="${drop.id}">
+        <span class="release-label" data-release-label>Coming soon</span>
+        <span class="release-countdown" data-release-countdown></span>
+      </p>
+    `;
+  },
+
+  /**
+   * Create a card for the past drops archive
+   *
+   * Retired coffees can't be bought, so there's no price or cart; the
+   * details dialog still opens for tasting notes.
+   * @param {Object} drop - Retired coffee drop
+   * @param {Object} options - { timeZone } for the release dates
+   */
+  createPastDropCardHTML(drop, options = {}) {
+    const { html, url } = getTemplateUtils();
+    return html`
+      <article class="card past-drop" data-drop-id="${drop.id}">
+        <div class="card-image" style="background-image: ${url.cssUrl(drop.image)}"></div>
+        <div class="card-content">
+          <h3 class="card-title">${drop.name}</h3>
+          <p class="card-description">${drop.description}</p>
+          <div class="card-footer">
+            <span class="text-sm text-muted">${getTemplateCatalog().formatReleaseDates(drop, options.timeZone)}</span>
+            <button class="btn btn-small" type="button" data-drop-details="${drop.id}">Details</button>
+          </div>
+        </div>
+      </article>
+    `;
+  },
+
+  /**
+   * Create the 'Only 3 bags left' badge, or nothing unless stock is low
+   * @param {Object} stock - From CoffeeCatalog.getStockStatus
+   */
+  createStockHTML(stock) {
+    const { html } = getTemplateUtils();
+    if (stock.status !== 'low-stock') {
+      return html``;
+    }
+    return html`<p class="stock-badge">Only ${stock.bagsRemaining} ${stock.bagsRemaining === 1 ? 'bag' : 'bags'} left</p>`;
+  },
+
+  /**
+   * Create the freshness badge and roast age, e.g. 'At peak · Roasted 9 days ago'
+   *
+   * Cards carry an empty, hidden data-freshness placeholder that the app
+   * fills with this, since the static build can't know the day a page is
+   * viewed.
+   * @param {Object} freshness - From CoffeeCatalog.getFreshness
+   * @param {string} today - 'YYYY-MM-DD' the freshness was worked out for
+   */
+  createFreshnessHTML(freshness, today) {
+    const { html, date } = getTemplateUtils();
+    const verb = freshness.daysSinceRoast < 0 ? 'Roasting' : 'Roasted';
+    return html`
+      <span class="freshness-badge freshness-${freshness.stage}">${freshness.label}</span>
+      <span class="text-muted">${verb} ${date.formatRelative(freshness.roastedOn, today)}</span>
+    `;
+  },
+
+  /**
+   * Create the price and per-100g unit price for a bag size
+   *
+   * The unit price is what makes a 1kg bag comparable to a 200g one,
+   * so it's shown wherever a price is.
+   */
+  createVariantPriceHTML(variant) {
+    if (!variant) {
+      return getTemplateUtils().html``;
+    }
+
+    const { html } = getTemplateUtils();
+    const catalog = getTemplateCatalog();
+    const unitPrice = catalog.formatUnitPrice(variant);
+    return html`
+      ${catalog.formatVariantPrice(variant)}
+      ${Boolean(unitPrice) && html`<span class="unit-price">${unitPrice}</span>`}
+    `;
+  },
+
+  /**
+   * Create the bag size selector, quantity input and add-to-cart button
+   *
+   * The button carries the drop id in a data attribute so a single delegated
+   * listener (see app.handleCartClick) serves every card, including cards
+   * that were pre-rendered or re-rendered later. The size selector is
+   * skipped for drops that only come in one size.
+   * @param {Object} drop - Coffee drop from configuration
+   * @param {Object} options - { maxQuantity }
+   */
+  createAddToCartHTML(drop, options = {}) {
+    const { html } = getTemplateUtils();
+    const catalog = getTemplateCatalog();
+    const variants = catalog.getVariants(drop);
+    const sizeSelect = variants.length > 1 && html`
+        <select class="input-field variant-select" aria-label="Bag size for ${drop.name}" data-variant-select="${drop.id}">
+          ${variants.map(variant => html`
+            <option value="${variant.id}">${catalog.formatWeight(variant.weightGrams)}</option>
+          `)}
+        </select>`;
+
+    return html`
+      <div class="card-cart-actions">${sizeSelect}
+        <input
+          type="number"
+          class="input-field cart-quantity-input"
+          min="1"
+          max="${options.maxQuantity || 10}"
+          value="1"
+          aria-label="Quantity of ${drop.name}"
+          data-cart-quantity-for="${drop.id}"
+        />
+        <button class="btn btn-primary btn-small" data-cart-add="${drop.id}">
+          Add to cart
+        </button>
+      </div>
+    `;
+  },
+
+  /**
+   * Create the per-bag price range for a subscription plan
+   *
+   * The range comes from the current drops, so it always matches the
+   * coffee menu.
+   */
+  createPlanPriceHTML(plan, drops) {
+    const { html } = getTemplateUtils();
+    const catalog = getTemplateCatalog();
+    const range = catalog.getPlanPriceRange(plan, drops);
+    const bagSize = catalog.formatWeight(plan.bagWeightGrams);
+    return html`${catalog.formatPriceRange(range)}<span class="unit-price">per ${bagSize} bag</span>`;
+  },
+
+  /**
+   * Create a subscription plan card
+   * @param {Object} plan - Entry from siteConfig.subscriptionOptions
+   * @param {Array<Object>} drops - Coffee drops, used for the price range
+   */
+  createSubscriptionCardHTML(plan, drops) {
+    const { html } = getTemplateUtils();
+    return html`
+      <div class="card text-center">
+        <div class="card-content">
+          <h3 class="card-title">${plan.name}</h3>
+          <div class="text-3xl font-semibold mb-2">${this.createPlanPriceHTML(plan, drops)}</div>
+          <p class="card-description">${plan.description}</p>
+          <p class="text-sm text-muted mt-2" data-next-pickup hidden></p>
+          <button class="btn btn-primary mt-4" type="button" data-subscribe-plan="${plan.id}">
+            Subscribe Now
+          </button>
+        </div>
+      </div>
+    `;
+  }
+};
+
+/**
+ * Resolve the shared utils and CoffeeCatalog in either environment
+ *
+ * Browser scripts share one global scope, so this module can't declare
+ * its own top-level 'utils' or 'CoffeeCatalog' bindings without clashing
+ * with utils.js and catalog.js.
+ */
+function getTemplateUtils() {
+  if (typeof window !== 'undefined' && window.utils) {
+    return window.utils;
+  }
+  return require('./utils.js');
+}
+
+function getTemplateCatalog() {
+  if (typeof window !== 'undefined' && window.CoffeeCatalog) {
+    return window.CoffeeCatalog;
+  }
+  return require('./catalog.js');
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Templates;
+} else {
+  window.Templates = Templates;
+}
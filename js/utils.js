@@ -11,6 +11,51 @@
  * - Modular: Each utility group can be used independently
  */
 
+/**
+ * Error thrown by utils.api for any failed request
+ * 
+ * status is the HTTP status, or 0 when no response arrived at all.
+ * code distinguishes the failure kind:
+ * - 'http_error': the server answered with a non-2xx status
+ * - 'timeout': no response within the request's timeout
+ * - 'network_error': offline, DNS failure, CORS rejection, etc.
+ * - 'invalid_response': a success status with an unparseable JSON body
+ * body holds the parsed error response, e.g. { error: { code, message } }.
+ */
+class ApiError extends Error {
+  constructor(message, { status = 0, code = 'http_error', body = null, url = '', method = 'GET', cause } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.body = body;
+    this.url = url;
+    this.method = method;
+    if (cause) {
+      this.cause = cause;
+    }
+  }
+}
+
+/**
+ * Markup that is known to be safe to insert as HTML
+ * 
+ * Produced by utils.html (which escapes every interpolated value) or by
+ * utils.html.raw for trusted, hand-written markup. utils.html inserts a
+ * SafeHtml value as-is instead of escaping it again, which is what lets
+ * templates be nested. toString() returns the markup, so a SafeHtml can be
+ * assigned straight to innerHTML.
+ */
+class SafeHtml {
+  constructor(markup) {
+    this.markup = String(markup);
+  }
+
+  toString() {
+    return this.markup;
+  }
+}
+
 const utils = {
   /**
    * DOM manipulation utilities with error handling
@@ -158,22 +203,26 @@ const utils = {
      * 
      * Creates error messages that are accessible and visually clear.
      * Removes existing errors before showing new ones to prevent
-     * duplicate messages. Adds visual styling to indicate error state.
+     * duplicate messages. The message gets an id that the field points
+     * to with aria-describedby, and the field is marked aria-invalid, so
+     * screen readers announce the error along with the field.
      */
     showError: (element, message) => {
       // Remove existing error to prevent duplicates
-      const existingError = element.parentNode.querySelector('.error-message');
-      if (existingError) {
-        existingError.remove();
-      }
+      utils.form.clearError(element);
       
       // Create new error element with consistent styling
       const errorElement = utils.dom.createElement('div', {
-        className: 'error-message text-red-500 text-sm mt-1'
+        className: 'error-message text-red-500 text-sm mt-1',
+        id: utils.form.getErrorId(element)
       }, [message]);
       
-      element.parentNode.appendChild(errorElement);
+      // A radio group's error belongs under the whole group, not one option
+      const container = (element.type === 'radio' && element.closest('fieldset')) || element.parentNode;
+      container.appendChild(errorElement);
       element.classList.add('border-red-500');
+      element.setAttribute('aria-invalid', 'true');
+      utils.form.setDescribedBy(element, errorElement.id, true);
     },
 
     /**
@@ -183,11 +232,307 @@ const utils = {
      * passes or user starts typing. Ensures clean state for next validation.
      */
     clearError: (element) => {
-      const errorElement = element.parentNode.querySelector('.error-message');
+      const errorElement = document.getElementById(utils.form.getErrorId(element));
       if (errorElement) {
+        utils.form.setDescribedBy(element, errorElement.id, false);
         errorElement.remove();
       }
       element.classList.remove('border-red-500');
+      element.removeAttribute('aria-invalid');
+    },
+
+    /**
+     * Id of the error message element for a field, e.g. 'email-input-error'
+     */
+    getErrorId: (element) => `${element.id || element.name || 'field'}-error`,
+
+    /**
+     * Add or remove one id in a field's aria-describedby, keeping any
+     * others (such as a hint) that the markup already set
+     */
+    setDescribedBy: (element, id, isDescribed) => {
+      if (!id) {
+        return;
+      }
+      const ids = (element.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+      const next = isDescribed
+        ? Array.from(new Set([...ids, id]))
+        : ids.filter(existing => existing !== id);
+
+      if (next.length > 0) {
+        element.setAttribute('aria-describedby', next.join(' '));
+      } else {
+        element.removeAttribute('aria-describedby');
+      }
+    },
+
+    /**
+     * Built-in validation rules
+     * 
+     * Each rule takes the field's value (see getFieldValue) and the rule's parameter, and
+     * returns true when the value passes. Empty values pass everything
+     * except 'required', so an optional email field can be left blank.
+     */
+    rules: {
+      required: (value) => value !== '',
+      email: (value) => value === '' || utils.form.isValidEmail(value),
+      minLength: (value, min) => value === '' || value.length >= min,
+      maxLength: (value, max) => value.length <= max,
+      pattern: (value, pattern) => value === '' || new RegExp(`^(?:${pattern})$`).test(value)
+    },
+
+    /**
+     * Default messages, overridable per field (see getRules)
+     */
+    messages: {
+      required: 'This field is required.',
+      email: 'Please enter a valid email address.',
+      minLength: (min) => `Please enter at least ${min} characters.`,
+      maxLength: (max) => `Please keep it to ${max} characters or fewer.`,
+      pattern: 'Please match the requested format.'
+    },
+
+    /**
+     * Collect the rules for a field from its attributes and a schema entry
+     * 
+     * Attributes are the same ones the browser understands (required,
+     * type="email", minlength, maxlength, pattern), so markup stays the
+     * single place most rules live. Messages come from data-error-<rule>
+     * attributes (e.g. data-error-required) or the schema's messages.
+     * The schema can add or override rules and adds async validators:
+     *   { required: true, minLength: 10, messages: { required: '...' },
+     *     validate: async (value, { field, values }) => message or null }
+     * 
+     * @param {HTMLElement} field - Input, select or textarea
+     * @param {Object} schema - Schema entry for this field, if any
+     * @returns {{rules: Object, messages: Object, validators: Array<Function>}}
+     */
+    getRules: (field, schema = {}) => {
+      const rules = {};
+      if (field.hasAttribute('required')) rules.required = true;
+      if (field.type === 'email') rules.email = true;
+      if (field.hasAttribute('minlength')) rules.minLength = Number(field.getAttribute('minlength'));
+      if (field.hasAttribute('maxlength')) rules.maxLength = Number(field.getAttribute('maxlength'));
+      if (field.hasAttribute('pattern')) rules.pattern = field.getAttribute('pattern');
+
+      const { messages = {}, validate, ...schemaRules } = schema;
+      Object.assign(rules, schemaRules);
+
+      const attributeMessages = {};
+      Object.keys(utils.form.rules).forEach(rule => {
+        const attribute = `data-error-${rule.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+        if (field.hasAttribute(attribute)) {
+          attributeMessages[rule] = field.getAttribute(attribute);
+        }
+      });
+
+      return {
+        rules,
+        messages: { ...attributeMessages, ...messages },
+        validators: [].concat(validate || [])
+      };
+    },
+
+    /**
+     * Check one field's value against its rules
+     * 
+     * Built-in rules run first, in order, and stop at the first failure;
+     * async validators only run once those pass, so a server lookup is
+     * never made for a value that's obviously wrong.
+     * @param {HTMLElement} field - Field to check
+     * @param {Object} schema - Schema entry for the field
+     * @param {Object} values - All form values, for cross-field validators
+     * @returns {Promise<string|null>} Error message, or null when valid
+     */
+    checkField: async (field, schema = {}, values = {}) => {
+      const { rules, messages, validators } = utils.form.getRules(field, schema);
+      const value = utils.form.getFieldValue(field);
+
+      for (const [rule, param] of Object.entries(rules)) {
+        const check = utils.form.rules[rule];
+        if (!check || param === false || param === undefined) {
+          continue;
+        }
+        if (!check(value, param, field)) {
+          const message = messages[rule] || utils.form.messages[rule];
+          return typeof message === 'function' ? message(param) : message;
+        }
+      }
+
+      for (const validator of validators) {
+        const message = await validator(value, { field, values, form: field.form });
+        if (message) {
+          return message;
+        }
+      }
+
+      return null;
+    },
+
+    /**
+     * Value to validate: trimmed text, '' for an unticked checkbox, and
+     * the checked option's value for a radio group
+     */
+    getFieldValue: (field) => {
+      if (field.type === 'checkbox') {
+        return field.checked ? field.value : '';
+      }
+      if (field.type === 'radio') {
+        const checked = Array.from(field.form.elements).find(other => other.name === field.name && other.checked);
+        return checked ? checked.value : '';
+      }
+      return typeof field.value === 'string' ? field.value.trim() : field.value;
+    },
+
+    /**
+     * Fields that take part in validation: named, enabled, not buttons.
+     * A radio group is represented by its first radio.
+     */
+    getFields: (form) => {
+      const seenRadios = new Set();
+      return Array.from(form.elements).filter(field => {
+        if (!field.name || field.disabled || ['submit', 'button', 'reset', 'fieldset'].includes(field.type)) {
+          return false;
+        }
+        if (field.type === 'radio') {
+          if (seenRadios.has(field.name)) {
+            return false;
+          }
+          seenRadios.add(field.name);
+        }
+        return true;
+      });
+    },
+
+    /**
+     * Validate a whole form and show the results inline
+     * 
+     * @param {HTMLFormElement} form - Form to validate
+     * @param {Object} schema - Optional rules keyed by field name
+     * @param {Object} options - { focus: false } to leave focus alone
+     * @returns {Promise<{valid: boolean, values: Object, errors: Object<string, string>, firstInvalid: HTMLElement|null}>}
+     */
+    validate: async (form, schema = {}, options = {}) => {
+      const values = utils.form.getFormData(form);
+      const errors = {};
+      let firstInvalid = null;
+
+      for (const field of utils.form.getFields(form)) {
+        const message = await utils.form.checkField(field, schema[field.name], values);
+        if (message) {
+          errors[field.name] = message;
+          firstInvalid = firstInvalid || field;
+          utils.form.showError(field, message);
+        } else {
+          utils.form.clearError(field);
+        }
+      }
+
+      if (firstInvalid && options.focus !== false) {
+        firstInvalid.focus();
+      }
+
+      return { valid: !firstInvalid, values, errors, firstInvalid };
+    },
+
+    /**
+     * Wire a form up to the validation engine
+     * 
+     * Fields are checked when the customer leaves them (once they've typed
+     * something, so tabbing through an empty form isn't met with errors),
+     * errors clear as soon as they start typing again, and the whole form
+     * is checked on submit. onSubmit only runs for a valid form and gets
+     * the values plus the submit event. Native browser bubbles are turned
+     * off (novalidate) so every message comes from here.
+     * 
+     * Returns a controller for the caller:
+     * - validate() re-checks the whole form
+     * - setErrors({ field: message }) shows errors from a server response
+     * - clear() removes every error, e.g. after a reset
+     * - detach() removes the listeners
+     * 
+     * @param {HTMLFormElement} form - Form to manage
+     * @param {Object} options - { schema, onSubmit(values, event) }
+     */
+    attach: (form, options = {}) => {
+      const schema = options.schema || {};
+      const touched = new Set();
+      // Latest blur check per field, so a slow async result can't
+      // overwrite a newer one
+      const checks = new Map();
+
+      const validateField = async (field) => {
+        const token = (checks.get(field.name) || 0) + 1;
+        checks.set(field.name, token);
+        const message = await utils.form.checkField(field, schema[field.name], utils.form.getFormData(form));
+        if (checks.get(field.name) !== token) {
+          return message === null;
+        }
+        if (message) {
+          utils.form.showError(field, message);
+        } else {
+          utils.form.clearError(field);
+        }
+        return message === null;
+      };
+
+      const handleInput = (event) => {
+        if (event.target.name) {
+          touched.add(event.target.name);
+          utils.form.clearError(event.target);
+        }
+      };
+
+      const handleBlur = (event) => {
+        const field = event.target;
+        if (field.name && (touched.has(field.name) || field.getAttribute('aria-invalid') === 'true')) {
+          validateField(field);
+        }
+      };
+
+      const handleSubmit = async (event) => {
+        event.preventDefault();
+        const result = await utils.form.validate(form, schema);
+        if (result.valid && typeof options.onSubmit === 'function') {
+          await options.onSubmit(result.values, event);
+        } else if (!result.valid && typeof options.onInvalid === 'function') {
+          options.onInvalid(result);
+        }
+      };
+
+      form.noValidate = true;
+      form.addEventListener('input', handleInput);
+      form.addEventListener('change', handleInput);
+      form.addEventListener('focusout', handleBlur);
+      form.addEventListener('submit', handleSubmit);
+
+      return {
+        validate: (validateOptions) => utils.form.validate(form, schema, validateOptions),
+        validateField: (name) => (form.elements[name] ? validateField(form.elements[name]) : Promise.resolve(true)),
+        setErrors: (errors = {}) => {
+          let first = null;
+          Object.entries(errors).forEach(([name, message]) => {
+            const field = form.elements[name];
+            if (field && message) {
+              utils.form.showError(field, message);
+              first = first || field;
+            }
+          });
+          if (first) {
+            first.focus();
+          }
+        },
+        clear: () => {
+          touched.clear();
+          utils.form.getFields(form).forEach(field => utils.form.clearError(field));
+        },
+        detach: () => {
+          form.removeEventListener('input', handleInput);
+          form.removeEventListener('change', handleInput);
+          form.removeEventListener('focusout', handleBlur);
+          form.removeEventListener('submit', handleSubmit);
+        }
+      };
     }
   },
 
@@ -198,6 +543,24 @@ const utils = {
    * Ensures consistent formatting and handling of user-generated content.
    */
   string: {
+    /**
+     * Escape text for use in HTML content or quoted attribute values
+     * 
+     * null and undefined become an empty string rather than the words
+     * 'null' or 'undefined' showing up on the page.
+     */
+    escapeHtml: (value) => {
+      if (value === null || value === undefined) {
+        return '';
+      }
+      return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+    },
+
     /**
      * Capitalize first letter of string
      * 
@@ -209,13 +572,50 @@ const utils = {
     },
 
     /**
-     * Format currency amounts with consistent decimal places
-     * 
-     * Ensures prices are always displayed with two decimal places
-     * for professional appearance. Supports different currency symbols.
+     * Format a price in cents as a localized currency string
+     *
+     * Prices are stored as integer cents so totals never suffer from
+     * floating point drift (0.1 + 0.2). Intl.NumberFormat handles the
+     * currency symbol, grouping and decimals, so switching currency or
+     * locale is a config change rather than a string-building exercise.
      */
-    formatPrice: (amount, currency = '$') => {
-      return `${currency}${parseFloat(amount).toFixed(2)}`;
+    formatPrice: (cents, { currency = 'USD', locale = 'en-US' } = {}) => {
+      const amount = (Number(cents) || 0) / 100;
+      return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(amount);
+    },
+
+    /**
+     * Parse a legacy display price like '$18 / 200g' or '$16-18/bag'
+     *
+     * Older config entries carry human-written prices, so we keep reading
+     * them: the first amount becomes priceCents, a second amount (a range)
+     * becomes maxPriceCents, and a gram or kilogram weight is picked up when
+     * present. Returns null when no amount can be found, so callers can tell
+     * "free" apart from "unparseable".
+     */
+    parsePrice: (price) => {
+      if (typeof price === 'number') {
+        return { priceCents: Math.round(price * 100), maxPriceCents: Math.round(price * 100), weightGrams: null };
+      }
+
+      const text = String(price || '');
+      const weightPattern = /(\d+(?:\.\d+)?)\s*(kg|g)\b/i;
+
+      // Strip the weight first so '200g' isn't mistaken for a $200 amount
+      const amounts = (text.replace(new RegExp(weightPattern.source, 'gi'), '').match(/\d+(?:\.\d+)?/g) || [])
+        .map(parseFloat);
+      if (amounts.length === 0) return null;
+
+      const weightMatch = text.match(weightPattern);
+      const weightGrams = weightMatch
+        ? Math.round(parseFloat(weightMatch[1]) * (weightMatch[2].toLowerCase() === 'kg' ? 1000 : 1))
+        : null;
+
+      return {
+        priceCents: Math.round(amounts[0] * 100),
+        maxPriceCents: Math.round(amounts[amounts.length - 1] * 100),
+        weightGrams
+      };
     },
 
     /**
@@ -292,6 +692,257 @@ const utils = {
       const checkDate = new Date(date);
       
       return today.toDateString() === checkDate.toDateString();
+    },
+
+    /**
+     * Relative time like '3 days ago', 'yesterday' or 'in 2 weeks'
+     *
+     * Date-only strings ('YYYY-MM-DD') compare whole calendar days, so a
+     * coffee roasted yesterday evening reads 'yesterday' rather than
+     * '14 hours ago'. Pass a date-only string as 'now' to compare against
+     * a particular day, e.g. today at the roastery.
+     * @param {string|Date} date - Date-only string, ISO timestamp or Date
+     * @param {string|Date} now - Defaults to the current time
+     */
+    formatRelative: (date, now = new Date()) => {
+      const formatter = new Intl.RelativeTimeFormat('en-US', { numeric: 'auto' });
+      // [unit, size in days, shown from]: days up to two weeks, weeks up to two months, ...
+      const dayUnits = [['year', 365, 365], ['month', 30, 60], ['week', 7, 14], ['day', 1, 0]];
+      const pick = (units, value) => units.find(([, , from]) => Math.abs(value) >= from);
+
+      if (utils.date.isDateString(date)) {
+        const today = utils.date.isDateString(now) ? now : utils.date.today(undefined, now);
+        const days = utils.date.daysBetween(today, date);
+        const [unit, size] = pick(dayUnits, days);
+        return formatter.format(Math.round(days / size), unit);
+      }
+
+      const day = 24 * 60 * 60;
+      const seconds = (new Date(date) - new Date(now)) / 1000;
+      const [unit, size] = pick([
+        ...dayUnits.slice(0, -1).map(([name, days, from]) => [name, days * day, from * day]),
+        ['day', day, day],
+        ['hour', 60 * 60, 60 * 60],
+        ['minute', 60, 60],
+        ['second', 1, 0]
+      ], seconds);
+      return formatter.format(Math.round(seconds / size), unit);
+    },
+
+    /**
+     * Time left as a short countdown: '2d 04h 10m', '4h 10m 05s' or '10m 05s'
+     * 
+     * Units below the largest are zero-padded so the text doesn't jump
+     * around as it ticks. Negative durations show as zero.
+     */
+    formatCountdown: (ms) => {
+      const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+      const days = Math.floor(totalSeconds / 86400);
+      const hours = Math.floor((totalSeconds % 86400) / 3600);
+      const minutes = Math.floor((totalSeconds % 3600) / 60);
+      const seconds = totalSeconds % 60;
+      const pad = (value) => String(value).padStart(2, '0');
+
+      if (days > 0) {
+        return `${days}d ${pad(hours)}h ${pad(minutes)}m`;
+      }
+      if (hours > 0) {
+        return `${hours}h ${pad(minutes)}m ${pad(seconds)}s`;
+      }
+      return `${minutes}m ${pad(seconds)}s`;
+    },
+
+    /**
+     * Calendar dates as 'YYYY-MM-DD' strings
+     * 
+     * Pickup and roast days are whole days in the roastery's timezone,
+     * not instants, so they're passed around as date-only strings and all
+     * arithmetic happens on UTC midnights. Daylight saving changes can
+     * then never move a date, whatever timezone the browser is in.
+     */
+    weekdays: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'],
+
+    isDateString: (value) => {
+      if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return false;
+      }
+      return new Date(`${value}T00:00:00Z`).toISOString().slice(0, 10) === value;
+    },
+
+    addDays: (dateString, days) => {
+      const date = new Date(`${dateString}T00:00:00Z`);
+      date.setUTCDate(date.getUTCDate() + days);
+      return date.toISOString().slice(0, 10);
+    },
+
+    daysBetween: (from, to) => {
+      return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+    },
+
+    /**
+     * Weekday name of a date, e.g. 'thursday'
+     */
+    getWeekday: (dateString) => {
+      return utils.date.weekdays[new Date(`${dateString}T00:00:00Z`).getUTCDay()];
+    },
+
+    /**
+     * First date on or after dateString that falls on a weekday
+     */
+    nextWeekday: (dateString, weekday) => {
+      const target = utils.date.weekdays.indexOf(weekday);
+      const current = new Date(`${dateString}T00:00:00Z`).getUTCDay();
+      return utils.date.addDays(dateString, (target - current + 7) % 7);
+    },
+
+    /**
+     * Wall-clock date and time of an instant in a timezone
+     * 
+     * @param {Date} date - Instant, e.g. new Date()
+     * @param {string} timeZone - IANA name, e.g. 'America/Los_Angeles'
+     * @returns {{date: string, time: string}} e.g. { date: '2026-10-22', time: '16:00' }
+     */
+    getZonedParts: (date, timeZone) => {
+      const parts = {};
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit'
+      }).formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = value;
+      });
+      return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+    },
+
+    /**
+     * Today's date in a timezone (the browser's own when omitted)
+     */
+    today: (timeZone, now = new Date()) => {
+      return utils.date.getZonedParts(now, timeZone).date;
+    },
+
+    /**
+     * The instant a wall-clock time happens in a timezone
+     * 
+     * '2026-10-22' at '16:00' in Los Angeles is 23:00 UTC; in March the
+     * same wall time is 23:00 or 00:00 depending on daylight saving, which
+     * is why the offset is measured for that date rather than assumed.
+     * @returns {Date}
+     */
+    zonedTimeToUtc: (dateString, time, timeZone) => {
+      const wallClock = Date.parse(`${dateString}T${time}:00Z`);
+      const offsetAt = (instant) => {
+        const { date, time: zonedTime } = utils.date.getZonedParts(new Date(instant), timeZone);
+        return Date.parse(`${date}T${zonedTime}:00Z`) - instant;
+      };
+      const guess = wallClock - offsetAt(wallClock);
+      return new Date(wallClock - offsetAt(guess));
+    },
+
+    /**
+     * Display a date-only string, e.g. 'Thu, Oct 22'
+     */
+    formatDay: (dateString, options = {}) => {
+      return utils.date.formatDate(`${dateString}T00:00:00Z`, {
+        weekday: 'short',
+        month: 'short',
+        year: undefined,
+        ...options,
+        timeZone: 'UTC' // The string is a UTC midnight; keep the local zone from shifting the day
+      });
+    }
+  },
+
+  /**
+   * Escaping tagged template for building HTML strings
+   * 
+   * Every interpolated value is HTML-escaped unless it's already SafeHtml
+   * (the result of another utils.html template or utils.html.raw). Arrays
+   * are rendered item by item, so lists of nested templates work without
+   * a .join(''). Config and API data can then never inject markup or
+   * event handler attributes.
+   * 
+   * Usage:
+   *   element.innerHTML = utils.html`<h3>${drop.name}</h3>`;
+   *   utils.html`<ul>${items.map(item => utils.html`<li>${item}</li>`)}</ul>`
+   */
+  html: Object.assign((strings, ...values) => {
+    const render = (value) => {
+      if (value instanceof SafeHtml) {
+        return value.markup;
+      }
+      if (Array.isArray(value)) {
+        return value.map(render).join('');
+      }
+      if (value === false) {
+        return ''; // Lets templates use `${condition && html`...`}`
+      }
+      return utils.string.escapeHtml(value);
+    };
+
+    return new SafeHtml(strings.reduce((markup, string, index) => (
+      markup + string + (index < values.length ? render(values[index]) : '')
+    ), ''));
+  }, {
+    SafeHtml,
+
+    /**
+     * Mark trusted markup as safe; never use with config or user data
+     */
+    raw: (markup) => new SafeHtml(markup)
+  }),
+
+  /**
+   * URL sanitization for links and CSS backgrounds built from data
+   * 
+   * Escaping alone doesn't stop a 'javascript:' href from running code,
+   * so URLs from config or an API go through an allowlist of schemes.
+   */
+  url: {
+    // Schemes that are safe to navigate to or load images from
+    allowedProtocols: ['http:', 'https:', 'mailto:', 'tel:'],
+
+    /**
+     * Return the URL if its scheme is allowed, otherwise the fallback
+     * 
+     * Relative URLs ('/coffee', '../img.jpg', '#drops', '?sort=name')
+     * are always allowed. Whitespace and control characters are ignored
+     * when detecting the scheme, since browsers ignore them too
+     * ('java\nscript:' still runs).
+     * @param {string} url - URL from config or an API
+     * @param {string} fallback - Returned for unsafe or empty URLs
+     * @returns {string}
+     */
+    sanitize: (url, fallback = '#') => {
+      if (typeof url !== 'string' || url.trim() === '') {
+        return fallback;
+      }
+
+      const normalized = url.replace(/[\u0000-\u0020\u007f-\u009f]/g, '');
+      const scheme = normalized.match(/^([a-z][a-z\d+.-]*):/i);
+      if (!scheme) {
+        return url.trim();
+      }
+      return utils.url.allowedProtocols.includes(`${scheme[1].toLowerCase()}:`) ? url.trim() : fallback;
+    },
+
+    /**
+     * Build a CSS url() value for inline background images
+     * 
+     * The URL is sanitized and quoted with its quotes and backslashes
+     * escaped, so it can't break out of the url() or the style attribute.
+     * Returns 'none' for unsafe URLs so the rest of the card still renders.
+     */
+    cssUrl: (url) => {
+      const safeUrl = utils.url.sanitize(url, '');
+      if (!safeUrl) {
+        return 'none';
+      }
+      return `url("${safeUrl.replace(/["\\\n\r]/g, character => `\\${character.charCodeAt(0).toString(16)} `)}")`;
     }
   },
 
@@ -308,9 +959,14 @@ const utils = {
      * 
      * Automatically converts objects to JSON strings and handles
      * storage errors gracefully. Returns success/failure status
-     * for error handling in calling code.
+     * for error handling in calling code. Keys the visitor hasn't
+     * consented to (ConsentManager.storageCategories) aren't written.
      */
     set: (key, value) => {
+      const consent = typeof window !== 'undefined' ? window.ConsentManager : null;
+      if (consent && !consent.allowsStorage(key)) {
+        return false;
+      }
       try {
         localStorage.setItem(key, JSON.stringify(value));
         return true;
@@ -447,68 +1103,609 @@ const utils = {
     }
   },
 
+  /**
+   * Dialog utilities for accessible overlays
+   *
+   * Native alert() can't be styled, shared or read comfortably on mobile,
+   * so overlays are built from regular markup instead. These helpers supply
+   * the behavior screen reader and keyboard users expect from a modal:
+   * focus stays inside while it's open, Escape and backdrop clicks close it,
+   * and focus returns to whatever opened it.
+   */
+  dialog: {
+    focusableSelector: [
+      'a[href]',
+      'button:not([disabled])',
+      'input:not([disabled])',
+      'select:not([disabled])',
+      'textarea:not([disabled])',
+      '[tabindex]:not([tabindex="-1"])'
+    ].join(', '),
+
+    /**
+     * Keep Tab and Shift+Tab cycling within a container
+     *
+     * Returns a release function so callers that manage their own markup
+     * (like the cart drawer) can trap focus without using open().
+     */
+    trapFocus: (container) => {
+      const handleKeydown = (event) => {
+        if (event.key !== 'Tab') return;
+
+        const focusable = Array.from(container.querySelectorAll(utils.dialog.focusableSelector));
+        if (focusable.length === 0) {
+          event.preventDefault();
+          container.focus();
+          return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (event.shiftKey && (document.activeElement === first || document.activeElement === container)) {
+          event.preventDefault();
+          last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+          event.preventDefault();
+          first.focus();
+        }
+      };
+
+      container.addEventListener('keydown', handleKeydown);
+      return () => container.removeEventListener('keydown', handleKeydown);
+    },
+
+    /**
+     * Open a modal dialog containing the given markup
+     *
+     * Builds the backdrop and dialog elements, traps focus, and wires up
+     * Escape and backdrop-click dismissal. Returns a close function; onClose
+     * runs exactly once however the dialog was dismissed, which lets callers
+     * clean up state such as the URL hash.
+     */
+    open: ({ content, labelledBy, className = '', onClose } = {}) => {
+      const previouslyFocused = document.activeElement;
+
+      const backdrop = utils.dom.createElement('div', { className: 'modal-backdrop' });
+      const dialogElement = utils.dom.createElement('div', {
+        className: `modal ${className}`.trim(),
+        role: 'dialog',
+        'aria-modal': 'true',
+        tabindex: '-1',
+        innerHTML: content
+      });
+      if (labelledBy) {
+        dialogElement.setAttribute('aria-labelledby', labelledBy);
+      }
+
+      backdrop.appendChild(dialogElement);
+      document.body.appendChild(backdrop);
+      document.body.classList.add('modal-open');
+
+      const releaseFocus = utils.dialog.trapFocus(dialogElement);
+      let isClosed = false;
+
+      const close = () => {
+        if (isClosed) return;
+        isClosed = true;
+
+        releaseFocus();
+        document.removeEventListener('keydown', handleEscape);
+        backdrop.remove();
+        document.body.classList.remove('modal-open');
+
+        if (previouslyFocused && typeof previouslyFocused.focus === 'function') {
+          previouslyFocused.focus();
+        }
+        if (typeof onClose === 'function') {
+          onClose();
+        }
+      };
+
+      const handleEscape = (event) => {
+        if (event.key === 'Escape') {
+          close();
+        }
+      };
+
+      document.addEventListener('keydown', handleEscape);
+      backdrop.addEventListener('click', (event) => {
+        // Only clicks on the backdrop itself dismiss; clicks inside the dialog bubble up here too
+        if (event.target === backdrop || event.target.closest('[data-dialog-close]')) {
+          close();
+        }
+      });
+
+      dialogElement.focus();
+      return close;
+    }
+  },
+
   /**
    * API utilities for consistent HTTP communication
    * 
    * Provides a standardized interface for making HTTP requests
    * with proper error handling and response processing.
-   * Designed for future backend integration.
+   * 
+   * Design decisions:
+   * - Relative paths resolve against siteConfig.api.baseUrl, so callers
+   *   pass endpoint paths straight from config ('/subscribe').
+   * - Every attempt has a timeout. A hung request on a slow connection
+   *   otherwise leaves buttons disabled forever.
+   * - Only idempotent methods are retried automatically; retrying a POST
+   *   could subscribe someone twice or place a duplicate order.
+   * - Failures are always ApiError instances, so callers branch on
+   *   status/code instead of parsing message strings.
    */
   api: {
+    ApiError,
+
+    // Per-request settings that callers can override in options
+    defaults: {
+      timeoutMs: 10000,
+      retries: 2,
+      retryDelayMs: 300
+    },
+
+    // Methods that are safe to repeat without side effects piling up
+    idempotentMethods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+
+    /**
+     * Hooks that run around every request, e.g. to attach auth headers
+     * 
+     * Request interceptors receive the request config ({ url, method,
+     * headers, body, ... }) and return it, possibly modified. Response
+     * interceptors receive the fetch Response and the config and return
+     * the Response. Both may be async. use() returns a function that
+     * removes the interceptor again.
+     */
+    interceptors: {
+      request: {
+        handlers: [],
+        use(handler) {
+          this.handlers.push(handler);
+          return () => {
+            this.handlers = this.handlers.filter(item => item !== handler);
+          };
+        }
+      },
+      response: {
+        handlers: [],
+        use(handler) {
+          this.handlers.push(handler);
+          return () => {
+            this.handlers = this.handlers.filter(item => item !== handler);
+          };
+        }
+      }
+    },
+
+    /**
+     * Resolve a request path against siteConfig.api.baseUrl
+     * 
+     * Absolute URLs and paths that already start with the base URL are
+     * left alone, so both '/subscribe' and '/api/subscribe' work.
+     */
+    resolveUrl: (url) => {
+      const config = typeof window !== 'undefined' ? window.siteConfig : null;
+      const baseUrl = config && config.api ? config.api.baseUrl || '' : '';
+
+      if (!baseUrl || /^([a-z][a-z\d+.-]*:)?\/\//i.test(url) || url.startsWith(baseUrl)) {
+        return url;
+      }
+      return `${baseUrl.replace(/\/$/, '')}/${url.replace(/^\//, '')}`;
+    },
+
     /**
      * Make HTTP requests with consistent error handling
      * 
-     * Provides a unified interface for all API calls with automatic
-     * JSON parsing and error handling. Supports all HTTP methods
-     * and custom headers for authentication.
+     * Options are passed through to fetch, plus:
+     * - timeoutMs: abort an attempt after this long (default 10s)
+     * - retries: extra attempts for idempotent requests (or any request
+     *   with an Idempotency-Key header) on network errors, timeouts and
+     *   5xx responses (default 2)
+     * - retryDelayMs: first backoff delay, doubled on each retry
+     * - signal: caller AbortSignal; aborting cancels without retrying
+     * 
+     * Plain object bodies are serialized to JSON. Responses are parsed by
+     * content type: JSON is decoded, other bodies come back as text, and
+     * 204 or empty responses resolve to null.
+     * 
+     * @returns {Promise<*>} Parsed response body
+     * @throws {ApiError} For HTTP errors, timeouts and network failures
      */
     request: async (url, options = {}) => {
-      const defaultOptions = {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json'
-        }
+      const { timeoutMs, retries, retryDelayMs, ...fetchOptions } = { ...utils.api.defaults, ...options };
+      let config = {
+        ...fetchOptions,
+        url: utils.api.resolveUrl(url),
+        method: (fetchOptions.method || 'GET').toUpperCase(),
+        headers: { Accept: 'application/json', ...fetchOptions.headers }
       };
-      
+
+      const isPlainObject = config.body && Object.getPrototypeOf(config.body) === Object.prototype;
+      if (isPlainObject || Array.isArray(config.body)) {
+        config.body = JSON.stringify(config.body);
+      }
+      if (typeof config.body === 'string' && !config.headers['Content-Type']) {
+        config.headers['Content-Type'] = 'application/json';
+      }
+
+      for (const handler of utils.api.interceptors.request.handlers) {
+        config = await handler(config);
+      }
+
+      // An Idempotency-Key makes even a POST safe to repeat (see utils.outbox)
+      const canRetry = utils.api.idempotentMethods.includes(config.method) || Boolean(config.headers['Idempotency-Key']);
+      const maxAttempts = canRetry ? retries + 1 : 1;
+
+      for (let attempt = 1; ; attempt++) {
+        try {
+          return await utils.api.attempt(config, timeoutMs);
+        } catch (error) {
+          // Caller cancellations are deliberate; pass them through untouched
+          if (error.name === 'AbortError') {
+            throw error;
+          }
+
+          const retryable = error.code !== 'http_error' || error.status >= 500;
+          if (attempt >= maxAttempts || !retryable) {
+            utils.debug.error(`API request failed: ${config.method} ${config.url}`, error);
+            throw error;
+          }
+
+          const delay = retryDelayMs * 2 ** (attempt - 1);
+          utils.debug.log(`Retrying ${config.method} ${config.url} in ${delay}ms`, { attempt, status: error.status });
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+      }
+    },
+
+    /**
+     * Run a single fetch attempt with its own timeout
+     * 
+     * Timeouts and network failures become ApiErrors with status 0 so the
+     * retry loop can treat them like any other failure.
+     */
+    attempt: async (config, timeoutMs) => {
+      const { url, signal, ...fetchOptions } = config;
+      const controller = new AbortController();
+      let timedOut = false;
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeoutMs);
+      const abortFromCaller = () => controller.abort();
+      if (signal) {
+        if (signal.aborted) {
+          controller.abort();
+        }
+        signal.addEventListener('abort', abortFromCaller);
+      }
+
+      let response;
       try {
-        const response = await fetch(url, {
-          ...defaultOptions,
-          ...options
-        });
-        
-        if (!response.ok) {
-          throw new Error(`HTTP error! status: ${response.status}`);
+        response = await fetch(url, { ...fetchOptions, signal: controller.signal });
+      } catch (error) {
+        if (timedOut) {
+          throw new ApiError(`Request timed out after ${timeoutMs}ms`, { code: 'timeout', url, method: config.method });
         }
-        
-        return await response.json();
+        if (error.name === 'AbortError') {
+          throw error;
+        }
+        throw new ApiError('Network request failed', { code: 'network_error', url, method: config.method, cause: error });
+      } finally {
+        clearTimeout(timer);
+        if (signal) {
+          signal.removeEventListener('abort', abortFromCaller);
+        }
+      }
+
+      for (const handler of utils.api.interceptors.response.handlers) {
+        response = await handler(response, config);
+      }
+
+      if (!response.ok) {
+        throw new ApiError(`HTTP error! status: ${response.status}`, {
+          status: response.status,
+          // Error bodies are best effort; an HTML error page is still an error
+          body: await utils.api.parseBody(response).catch(() => null),
+          url,
+          method: config.method
+        });
+      }
+
+      try {
+        return await utils.api.parseBody(response);
       } catch (error) {
-        console.error('API request failed:', error);
-        throw error;
+        throw new ApiError('Response was not valid JSON', {
+          status: response.status,
+          code: 'invalid_response',
+          url,
+          method: config.method,
+          cause: error
+        });
       }
     },
 
+    /**
+     * Decode a response body based on its status and content type
+     * @returns {Promise<Object|string|null>} JSON value, text, or null when empty
+     */
+    parseBody: async (response) => {
+      if (response.status === 204 || response.status === 205) {
+        return null;
+      }
+
+      const text = await response.text();
+      if (!text) {
+        return null;
+      }
+
+      const contentType = response.headers.get('Content-Type') || '';
+      return /[/+]json\b/i.test(contentType) ? JSON.parse(text) : text;
+    },
+
+    /**
+     * GET request shorthand for data retrieval
+     * 
+     * Simple interface for GET requests with automatic JSON parsing.
+     * Used for fetching data and configuration.
+     */
+    get: (url, options = {}) => {
+      return utils.api.request(url, { ...options, method: 'GET' });
+    },
+
     /**
      * POST request shorthand for form submissions
      * 
      * Automatically serializes data to JSON and sets appropriate
      * headers for POST requests. Used for form submissions and
-     * data creation operations.
+     * data creation operations. Not retried automatically.
+     */
+    post: (url, data, options = {}) => {
+      return utils.api.request(url, { ...options, method: 'POST', body: data });
+    },
+
+    /**
+     * PUT request shorthand for replacing a resource
+     */
+    put: (url, data, options = {}) => {
+      return utils.api.request(url, { ...options, method: 'PUT', body: data });
+    },
+
+    /**
+     * PATCH request shorthand for partial updates
+     */
+    patch: (url, data, options = {}) => {
+      return utils.api.request(url, { ...options, method: 'PATCH', body: data });
+    },
+
+    /**
+     * DELETE request shorthand
+     * 
+     * Named 'delete' for symmetry with the HTTP verb; call it as
+     * utils.api.delete(url).
+     */
+    delete: (url, options = {}) => {
+      return utils.api.request(url, { ...options, method: 'DELETE' });
+    }
+  },
+
+  /**
+   * Offline outbox for POST submissions
+   * 
+   * When a submission can't reach the server (offline, timeout, 5xx), its
+   * payload is kept in localStorage and replayed later instead of being
+   * lost behind an error toast. Replays happen when the browser fires
+   * 'online' and on the next page load.
+   * 
+   * Design decisions:
+   * - Every submission gets an Idempotency-Key that's sent on the first
+   *   attempt and every replay. If a request reached the server but the
+   *   response was lost, the server recognizes the key and doesn't
+   *   subscribe (or order) twice.
+   * - Entries are deduplicated by key and by identical url + payload, so
+   *   pressing submit repeatedly while offline queues one submission.
+   * - Client errors (4xx) are never queued or retried: resending an
+   *   invalid email won't make it valid. They're thrown to the caller.
+   * - Changes are announced with an 'outboxChanged' document event
+   *   carrying { reason, pending }, like 'cartChanged' for the cart.
+   */
+  outbox: {
+    storageKey: 'elevate-roasting-outbox',
+
+    // Submissions older than this are dropped instead of sent late
+    maxAgeMs: 7 * 24 * 60 * 60 * 1000,
+
+    isInitialized: false,
+    isFlushing: false,
+
+    /**
+     * Replay queued submissions now and whenever connectivity returns
      */
-    post: (url, data) => {
-      return utils.api.request(url, {
-        method: 'POST',
-        body: JSON.stringify(data)
+    init: () => {
+      if (utils.outbox.isInitialized) {
+        return;
+      }
+
+      window.addEventListener('online', () => utils.outbox.flush());
+      // Keep pending counts in sync when another tab queues or sends
+      window.addEventListener('storage', (event) => {
+        if (event.key === utils.outbox.storageKey) {
+          utils.outbox.notify('sync');
+        }
       });
+
+      utils.outbox.isInitialized = true;
+      utils.outbox.flush();
     },
 
     /**
-     * GET request shorthand for data retrieval
+     * Generate a unique idempotency key
+     */
+    createKey: () => {
+      if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+        return crypto.randomUUID();
+      }
+      return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+    },
+
+    /**
+     * POST a payload, queueing it for later if the server can't be reached
      * 
-     * Simple interface for GET requests with automatic JSON parsing.
-     * Used for fetching data and configuration.
+     * @param {string} url - Endpoint path or URL, as for utils.api.post
+     * @param {Object} data - JSON payload
+     * @param {Object} options - { key } to reuse an idempotency key
+     * @returns {Promise<{status: 'sent'|'queued', data?: *, key: string}>}
+     * @throws {ApiError} For errors that retrying can't fix (4xx)
+     */
+    send: async (url, data, options = {}) => {
+      const key = options.key || utils.outbox.createKey();
+
+      try {
+        const response = await utils.api.post(url, data, {
+          headers: { 'Idempotency-Key': key }
+        });
+        return { status: 'sent', data: response, key };
+      } catch (error) {
+        if (!utils.outbox.shouldQueue(error)) {
+          throw error;
+        }
+        utils.outbox.enqueue(url, data, key);
+        return { status: 'queued', key };
+      }
+    },
+
+    /**
+     * Whether a failed request is worth replaying later
+     */
+    shouldQueue: (error) => {
+      if (!error || error.name !== 'ApiError') {
+        return false;
+      }
+      return error.code === 'network_error' || error.code === 'timeout' || error.status >= 500;
+    },
+
+    /**
+     * Store a submission for later delivery
+     * @returns {boolean} False when an equivalent entry was already queued
+     */
+    enqueue: (url, data, key) => {
+      const entries = utils.outbox.getEntries();
+      const body = JSON.stringify(data);
+      const isDuplicate = entries.some(entry => entry.key === key || (entry.url === url && JSON.stringify(entry.data) === body));
+      if (isDuplicate) {
+        return false;
+      }
+
+      entries.push({ key, url, data, createdAt: Date.now(), attempts: 0 });
+      utils.outbox.save(entries, 'queued');
+      return true;
+    },
+
+    /**
+     * Queued entries that haven't expired
+     * @returns {Array<{key: string, url: string, data: Object, createdAt: number, attempts: number}>}
+     */
+    getEntries: () => {
+      const entries = utils.storage.get(utils.outbox.storageKey, []);
+      if (!Array.isArray(entries)) {
+        return [];
+      }
+      return entries.filter(entry => Date.now() - entry.createdAt < utils.outbox.maxAgeMs);
+    },
+
+    /**
+     * Number of submissions waiting to be sent
+     */
+    getPendingCount: () => {
+      return utils.outbox.getEntries().length;
+    },
+
+    /**
+     * Try to deliver every queued submission, oldest first
+     * 
+     * Stops at the first network failure, since the rest would fail the
+     * same way. Entries the server rejects with a 4xx are dropped.
+     * @returns {Promise<{sent: number, dropped: number, pending: number}>}
+     */
+    flush: async () => {
+      const result = { sent: 0, dropped: 0, pending: utils.outbox.getPendingCount() };
+      if (utils.outbox.isFlushing || result.pending === 0) {
+        return result;
+      }
+      if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+        return result;
+      }
+
+      utils.outbox.isFlushing = true;
+      try {
+        for (const entry of utils.outbox.getEntries()) {
+          try {
+            await utils.api.post(entry.url, entry.data, {
+              headers: { 'Idempotency-Key': entry.key }
+            });
+            utils.outbox.removeEntry(entry.key, 'sent');
+            result.sent++;
+          } catch (error) {
+            if (utils.outbox.shouldQueue(error)) {
+              utils.outbox.update(entry.key, { attempts: entry.attempts + 1 });
+              break;
+            }
+            utils.debug.error('Dropping queued submission rejected by server', { url: entry.url, error });
+            utils.outbox.removeEntry(entry.key, 'dropped');
+            result.dropped++;
+          }
+        }
+      } finally {
+        utils.outbox.isFlushing = false;
+      }
+
+      result.pending = utils.outbox.getPendingCount();
+      if (result.sent > 0 || result.dropped > 0) {
+        utils.outbox.notify('flushed', result);
+      }
+      return result;
+    },
+
+    /**
+     * Merge changes into a queued entry
      */
-    get: (url) => {
-      return utils.api.request(url);
+    update: (key, changes) => {
+      const entries = utils.outbox.getEntries().map(entry => (entry.key === key ? { ...entry, ...changes } : entry));
+      utils.outbox.save(entries, 'retry');
+    },
+
+    /**
+     * Remove a queued entry by idempotency key
+     */
+    removeEntry: (key, reason = 'removed') => {
+      const entries = utils.outbox.getEntries().filter(entry => entry.key !== key);
+      utils.outbox.save(entries, reason);
+    },
+
+    /**
+     * Persist entries and announce the change
+     */
+    save: (entries, reason) => {
+      const saved = utils.storage.set(utils.outbox.storageKey, entries);
+      utils.outbox.notify(reason);
+      return saved;
+    },
+
+    /**
+     * Dispatch 'outboxChanged' with the current pending count
+     * @param {string} reason - queued, sent, dropped, retry, flushed or sync
+     * @param {Object} detail - Extra detail, e.g. flush results
+     */
+    notify: (reason, detail = {}) => {
+      if (typeof document === 'undefined') {
+        return;
+      }
+      document.dispatchEvent(new CustomEvent('outboxChanged', {
+        detail: { ...detail, reason, pending: utils.outbox.getPendingCount() }
+      }));
     }
   },
 
@@ -541,6 +1738,20 @@ const utils = {
     error: (message, error = null) => {
       const timestamp = new Date().toISOString();
       console.error(`[${timestamp}] ERROR: ${message}`, error);
+    },
+
+    /**
+     * Whether the site is running on a developer's machine
+     * 
+     * Used to show diagnostics (like config errors) that customers on
+     * the live site should never see.
+     */
+    isDevelopment: () => {
+      if (typeof window === 'undefined') {
+        return false;
+      }
+      const { hostname, protocol } = window.location;
+      return protocol === 'file:' || ['localhost', '127.0.0.1', '[::1]', ''].includes(hostname);
     }
   }
 };
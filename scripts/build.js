@@ -0,0 +1,188 @@
+/**
+ * Static build for Elevate Roasting
+ *
+ * Copies the site into dist/ and pre-renders the config-driven sections
+ * (navigation, coffee drop cards, subscription plans) and the schema.org
+ * JSON-LD straight into the HTML. Crawlers, link previews and visitors
+ * without JavaScript then see real content instead of empty containers. In the browser, app.js spots
+ * the data-prerendered attribute and hydrates the existing markup rather
+ * than rendering it a second time.
+ *
+ * Design decisions:
+ * - The same Templates module renders in the browser and here, so the
+ *   baked HTML can't drift from what the app would produce.
+ * - No dependencies: containers are found by id with a small tag matcher
+ *   rather than a full HTML parser, which is plenty for our own pages.
+ * - Root-absolute links ('/coffee/espresso.html', '/assets/...') are
+ *   rewritten relative to each page, so dist/ works from any base path
+ *   and when opened straight from disk.
+ *
+ * Usage:
+ *   npm run build    # writes dist/
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const siteConfig = require('../config/site-config.js');
+const Templates = require('../js/templates.js');
+const CartManager = require('../js/cart.js');
+const CoffeeCatalog = require('../js/catalog.js');
+const StructuredData = require('../js/structured-data.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const DIST = path.join(ROOT, 'dist');
+
+// Everything the static site needs at runtime; tooling stays out of dist/
+const STATIC_ENTRIES = ['css', 'js', 'config', 'assets', 'CNAME'];
+const PAGE_DIRECTORIES = ['.', 'about', 'coffee', 'checkout'];
+
+// Containers filled from config, keyed by element id
+const PRERENDER_TARGETS = {
+  'main-nav': () => Templates.createNavigationHTML(siteConfig.navigation.items),
+  'drops-grid': () => renderDrops({ showSpecs: false }),
+  'coffee-grid': () => renderDrops({ showSpecs: true, category: 'single-origin' }),
+  'espresso-grid': () => renderDrops({ showSpecs: true, category: 'espresso' }),
+  'subscription-grid': () => siteConfig.subscriptionOptions
+    .map(plan => Templates.createSubscriptionCardHTML(plan, siteConfig.coffeeDrops))
+    .join('')
+};
+
+/**
+ * Render the drops in config order, matching the app's default view
+ *
+ * Retired drops are left out as of build time. Grids with scheduled drops
+ * are re-rendered by the app on load anyway, since the build goes stale.
+ * @param {Object} options - Card options, plus an optional category
+ */
+function renderDrops(options) {
+  const drops = CoffeeCatalog.filterByCategory(siteConfig.coffeeDrops, options.category);
+  return CoffeeCatalog.splitByRelease(drops).current
+    .map(drop => Templates.createDropCardHTML(drop, {
+      ...options,
+      cartEnabled: true,
+      maxQuantity: CartManager.maxQuantityPerItem,
+      lowStockThreshold: siteConfig.inventory ? siteConfig.inventory.lowStockThreshold : undefined
+    }))
+    .join('');
+}
+
+/**
+ * Replace the contents of the element with the given id
+ *
+ * Walks same-name tags to find the matching close tag, so nested divs
+ * inside a grid don't end the match early. The opening tag gains a
+ * data-prerendered attribute for app.js to detect.
+ * @returns {string|null} Updated HTML, or null when the id isn't present
+ */
+function replaceElementContent(html, id, content) {
+  const openMatch = new RegExp(`<([a-z][a-z0-9]*)\\b[^>]*\\bid="${id}"[^>]*>`, 'i').exec(html);
+  if (!openMatch) {
+    return null;
+  }
+
+  const tagName = openMatch[1];
+  const tagPattern = new RegExp(`<(/?)${tagName}\\b[^>]*>`, 'gi');
+  tagPattern.lastIndex = openMatch.index + openMatch[0].length;
+
+  let depth = 1;
+  let match;
+  while ((match = tagPattern.exec(html))) {
+    depth += match[1] ? -1 : 1;
+    if (depth === 0) {
+      const openTag = openMatch[0].replace(/>$/, ' data-prerendered>');
+      return html.slice(0, openMatch.index) + openTag + content + html.slice(match.index);
+    }
+  }
+
+  throw new Error(`Unclosed <${tagName} id="${id}">`);
+}
+
+/**
+ * Rewrite root-absolute href/src/url() values relative to a page
+ *
+ * '/' becomes the site's index.html so the home link also works when the
+ * folder is opened without a web server. Protocol-relative '//' URLs are
+ * external and left untouched.
+ * @param {string} html - Page HTML
+ * @param {string} pagePath - Page path relative to the site root, e.g. 'coffee/espresso.html'
+ */
+function relativizePaths(html, pagePath) {
+  const depth = pagePath.split('/').length - 1;
+  const prefix = depth === 0 ? '' : '../'.repeat(depth);
+  const toRelative = (url) => (url === '/' ? `${prefix}index.html` : `${prefix}${url.slice(1)}`);
+
+  return html
+    .replace(/\b(href|src)="(\/(?!\/)[^"]*)"/g, (match, attribute, url) => `${attribute}="${toRelative(url)}"`)
+    .replace(/url\((['"]?)(\/(?!\/)[^'")]*)\1\)/g, (match, quote, url) => `url(${quote}${toRelative(url)}${quote})`);
+}
+
+/**
+ * Pre-render one page and write it into dist/
+ * @returns {Array<string>} Ids of the containers that were rendered
+ */
+function buildPage(pagePath) {
+  let html = fs.readFileSync(path.join(ROOT, pagePath), 'utf8');
+  const rendered = [];
+
+  Object.entries(PRERENDER_TARGETS).forEach(([id, render]) => {
+    const updated = replaceElementContent(html, id, String(render()));
+    if (updated !== null) {
+      html = updated;
+      rendered.push(id);
+    }
+  });
+
+  // JSON-LD goes in the head so crawlers that don't run scripts still see it
+  html = html.replace('</head>', `  ${StructuredData.createScriptHTML(StructuredData.build(siteConfig))}\n</head>`);
+
+  const outputPath = path.join(DIST, pagePath);
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, relativizePaths(html, pagePath));
+  return rendered;
+}
+
+/**
+ * List the site's HTML pages relative to the repository root
+ */
+function findPages() {
+  return PAGE_DIRECTORIES.flatMap(directory => fs.readdirSync(path.join(ROOT, directory))
+    .filter(file => file.endsWith('.html'))
+    .map(file => path.posix.join(directory, file)));
+}
+
+/**
+ * Copy a file or folder into dist/
+ *
+ * By hand rather than fs.cpSync, which needs Node 16.7 and package.json
+ * allows any 16.
+ */
+function copyRecursive(source, target) {
+  if (fs.statSync(source).isDirectory()) {
+    fs.mkdirSync(target, { recursive: true });
+    fs.readdirSync(source).forEach(name => copyRecursive(path.join(source, name), path.join(target, name)));
+  } else {
+    fs.copyFileSync(source, target);
+  }
+}
+
+function build() {
+  fs.rmSync(DIST, { recursive: true, force: true });
+  fs.mkdirSync(DIST, { recursive: true });
+
+  STATIC_ENTRIES.forEach(entry => {
+    const source = path.join(ROOT, entry);
+    if (fs.existsSync(source)) {
+      copyRecursive(source, path.join(DIST, entry));
+    }
+  });
+
+  findPages().forEach(pagePath => {
+    const rendered = buildPage(pagePath);
+    console.log(`Built ${pagePath}${rendered.length ? ` (pre-rendered ${rendered.join(', ')})` : ''}`);
+  });
+
+  console.log(`Static site written to ${path.relative(ROOT, DIST)}/`);
+}
+
+build();
@@ -0,0 +1,24 @@
+/**
+ * Validate the site and theme configuration from the command line
+ *
+ * Runs the same ConfigSchema checks the browser runs on startup, so a
+ * broken config fails `npm run lint` (and CI) instead of a live page.
+ * Exits with status 1 and one line per problem when anything is wrong.
+ *
+ * Usage:
+ *   npm run validate:config
+ */
+
+const siteConfig = require('../config/site-config.js');
+const ThemeManager = require('../config/theme-config.js');
+const ConfigSchema = require('../js/config-schema.js');
+
+const errors = ConfigSchema.validateAll(siteConfig, ThemeManager);
+
+if (errors.length > 0) {
+  console.error(`Config validation failed with ${errors.length} error${errors.length === 1 ? '' : 's'}:`);
+  errors.forEach(error => console.error(`  ${ConfigSchema.formatError(error)}`));
+  process.exit(1);
+}
+
+console.log('Config validation passed');
@@ -0,0 +1,115 @@
+/**
+ * In-memory coffee stock for the mock API
+ *
+ * Starts from the bagsRemaining in config/site-config.js and goes down as
+ * orders and subscription signups are placed, so selling out can be tried
+ * locally. Shared by the coffee/orders, subscription and checkout routes;
+ * restarting the server restocks everything.
+ *
+ * Stock is counted in bags of any size, like bagsRemaining in config.
+ * Drops without a bagsRemaining aren't tracked and never run out.
+ */
+
+const siteConfig = require('../config/site-config.js');
+const CoffeeCatalog = require('../js/catalog.js');
+
+// Drop id -> bags left; only tracked drops have an entry
+const bagsByDrop = new Map(siteConfig.coffeeDrops
+  .filter(drop => typeof drop.bagsRemaining === 'number')
+  .map(drop => [drop.id, drop.bagsRemaining]));
+
+/**
+ * A config drop with its current stock applied, or null
+ */
+function getDrop(dropId) {
+  const drop = siteConfig.coffeeDrops.find(candidate => candidate.id === Number(dropId));
+  if (!drop) {
+    return null;
+  }
+  return bagsByDrop.has(drop.id) ? { ...drop, bagsRemaining: bagsByDrop.get(drop.id) } : drop;
+}
+
+/**
+ * Every config drop with its current stock applied
+ */
+function getDrops() {
+  return siteConfig.coffeeDrops.map(drop => getDrop(drop.id));
+}
+
+/**
+ * Current stock for every drop, as served by GET /api/coffee
+ *
+ * 'available' means it can be ordered right now, so it's false for drops
+ * that aren't released yet or have retired; releaseStatus says which.
+ * @returns {Array<{id: number, available: boolean, releaseStatus: string, bagsRemaining: number|null}>}
+ */
+function getLevels() {
+  return siteConfig.coffeeDrops.map(({ id }) => {
+    const drop = getDrop(id);
+    return {
+      id,
+      available: CoffeeCatalog.isAvailable(drop),
+      releaseStatus: CoffeeCatalog.getReleaseStatus(drop),
+      bagsRemaining: bagsByDrop.has(id) ? bagsByDrop.get(id) : null
+    };
+  });
+}
+
+/**
+ * Bags requested per drop; several lines may share a drop
+ */
+function sumByDrop(lines) {
+  const requested = new Map();
+  lines.forEach(({ dropId, bags }) => {
+    requested.set(Number(dropId), (requested.get(Number(dropId)) || 0) + bags);
+  });
+  return requested;
+}
+
+/**
+ * Drops without enough bags for the lines, taking nothing out of stock
+ *
+ * Checkout checks this before sending a customer to pay; the bags are
+ * only taken once payment succeeds, so stock can still run out meanwhile.
+ * @param {Array<{dropId: number, bags: number}>} lines
+ * @returns {Array<{dropId: number, requested: number, bagsRemaining: number}>}
+ */
+function check(lines) {
+  const shortages = [];
+  sumByDrop(lines).forEach((bags, dropId) => {
+    const drop = getDrop(dropId);
+    const bagsRemaining = drop && CoffeeCatalog.isAvailable(drop)
+      ? (bagsByDrop.has(dropId) ? bagsByDrop.get(dropId) : Infinity)
+      : 0;
+    if (bags > bagsRemaining) {
+      shortages.push({ dropId, requested: bags, bagsRemaining });
+    }
+  });
+  return shortages;
+}
+
+/**
+ * Take bags out of stock, all or nothing
+ * @param {Array<{dropId: number, bags: number}>} lines - Several lines may share a drop
+ * @returns {{shortages: Array<{dropId: number, requested: number, bagsRemaining: number}>}}
+ *   Nothing is taken when there are shortages
+ */
+function reserve(lines) {
+  const shortages = check(lines);
+  if (shortages.length === 0) {
+    sumByDrop(lines).forEach((bags, dropId) => {
+      if (bagsByDrop.has(dropId)) {
+        bagsByDrop.set(dropId, bagsByDrop.get(dropId) - bags);
+      }
+    });
+  }
+  return { shortages };
+}
+
+module.exports = {
+  getDrop,
+  getDrops,
+  getLevels,
+  check,
+  reserve
+};
@@ -0,0 +1,265 @@
+/**
+ * Local mock server for Elevate Roasting
+ *
+ * Serves the static site and a fake '/api' backend from one origin, so the
+ * front end can exercise real network flows (fetch, error statuses, rate
+ * limits) locally without an email provider or any other third party.
+ * Everything is kept in memory and resets on restart, except analytics
+ * events, which are written to .analytics/ for inspection.
+ *
+ * Design decisions:
+ * - Zero dependencies: only Node's built-in http, fs and path modules, so
+ *   `npm run mock-api` works straight after cloning.
+ * - Same origin as the site: siteConfig.api.baseUrl is the relative '/api',
+ *   so serving both from one port avoids CORS entirely.
+ * - Route handlers are plain functions that take a request description and
+ *   return { status, body, headers }. They never touch the Node response
+ *   object, which keeps each route file small and easy to read. Bodies
+ *   are JSON, except strings, which are sent as-is (the stub Stripe page).
+ *
+ * Usage:
+ *   npm run mock-api            # http://localhost:3000
+ *   PORT=4000 npm run mock-api
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const subscribeRoutes = require('./routes/subscribe');
+const contactRoutes = require('./routes/contact');
+const subscriptionRoutes = require('./routes/subscriptions');
+const inventoryRoutes = require('./routes/inventory');
+const checkoutRoutes = require('./routes/checkout');
+const stripeStubRoutes = require('./routes/stripe-stub');
+const eventRoutes = require('./routes/events');
+
+const PORT = Number(process.env.PORT) || 3000;
+const SITE_ROOT = path.resolve(__dirname, '..');
+
+// Route table keyed by 'METHOD /path'; ':name' segments become params
+const routes = {
+  ...subscribeRoutes,
+  ...contactRoutes,
+  ...subscriptionRoutes,
+  ...inventoryRoutes,
+  ...checkoutRoutes,
+  ...stripeStubRoutes,
+  ...eventRoutes
+};
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+  '.ics': 'text/calendar; charset=utf-8'
+};
+
+/**
+ * Find the handler for a request, extracting ':param' path segments
+ * @returns {{handler: Function, params: Object}|null}
+ * @throws {URIError} When a parameter isn't valid percent-encoding
+ */
+function matchRoute(method, pathname) {
+  for (const [key, handler] of Object.entries(routes)) {
+    const [routeMethod, routePath] = key.split(' ');
+    if (routeMethod !== method) continue;
+
+    const routeParts = routePath.split('/');
+    const requestParts = pathname.split('/');
+    if (routeParts.length !== requestParts.length) continue;
+
+    const params = {};
+    const matches = routeParts.every((part, index) => {
+      if (part.startsWith(':')) {
+        params[part.slice(1)] = decodeURIComponent(requestParts[index]);
+        return true;
+      }
+      return part === requestParts[index];
+    });
+
+    if (matches) {
+      return { handler, params };
+    }
+  }
+  return null;
+}
+
+/**
+ * Read a request body as text
+ */
+function readBody(req) {
+  return new Promise((resolve) => {
+    let raw = '';
+    req.on('data', (chunk) => {
+      raw += chunk;
+    });
+    req.on('end', () => resolve(raw));
+  });
+}
+
+/**
+ * Parse a JSON request body
+ *
+ * Malformed JSON returns undefined rather than throwing, so route
+ * handlers can answer with a normal 400 instead of crashing the server.
+ * An empty body (like a form post with no fields) is an empty object.
+ */
+function parseJsonBody(raw) {
+  if (!raw) {
+    return {};
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Write a JSON (or empty) response; string bodies are sent as they are
+ */
+function sendJson(res, status, body, headers = {}) {
+  if (body === undefined || status === 204) {
+    res.writeHead(status, headers);
+    res.end();
+    return;
+  }
+
+  if (typeof body === 'string') {
+    res.writeHead(status, headers);
+    res.end(body);
+    return;
+  }
+
+  res.writeHead(status, { 'Content-Type': CONTENT_TYPES['.json'], ...headers });
+  res.end(JSON.stringify(body));
+}
+
+// Responses already sent for an Idempotency-Key, keyed by method, path and key
+const idempotentResponses = new Map();
+
+/**
+ * Dispatch an '/api' request to its route handler
+ *
+ * Requests carrying an Idempotency-Key header get the original response
+ * replayed on repeats, like payment and email APIs do. The site's offline
+ * outbox relies on this so a retried signup isn't reported as a duplicate.
+ */
+async function handleApi(req, res, url) {
+  let match;
+  try {
+    match = matchRoute(req.method, url.pathname);
+  } catch (error) {
+    sendJson(res, 400, { error: { code: 'invalid_path', message: 'Request path is not valid percent-encoding' } });
+    return;
+  }
+  if (!match) {
+    sendJson(res, 404, { error: { code: 'not_found', message: `No mock route for ${req.method} ${url.pathname}` } });
+    return;
+  }
+
+  const rawBody = await readBody(req);
+  const body = parseJsonBody(rawBody);
+  if (body === undefined) {
+    sendJson(res, 400, { error: { code: 'invalid_json', message: 'Request body must be valid JSON' } });
+    return;
+  }
+  // Handlers read fields straight off the body, so 'null' or '42' would
+  // crash them; an array just has none of the fields they look for
+  if (body === null || typeof body !== 'object') {
+    sendJson(res, 400, { error: { code: 'invalid_body', message: 'Request body must be a JSON object' } });
+    return;
+  }
+
+  const idempotencyKey = req.headers['idempotency-key'];
+  const replayKey = idempotencyKey ? `${req.method} ${url.pathname} ${idempotencyKey}` : null;
+  if (replayKey && idempotentResponses.has(replayKey)) {
+    const original = idempotentResponses.get(replayKey);
+    sendJson(res, original.status || 200, original.body, { ...original.headers, 'Idempotent-Replayed': 'true' });
+    return;
+  }
+
+  try {
+    const result = await match.handler({
+      body,
+      // Exactly as sent, for checking webhook signatures
+      rawBody,
+      params: match.params,
+      query: Object.fromEntries(url.searchParams),
+      headers: req.headers,
+      ip: req.socket.remoteAddress
+    });
+    // Only final answers are remembered; a 429 or 5xx should be retryable
+    if (replayKey && (result.status || 200) < 500 && result.status !== 429) {
+      idempotentResponses.set(replayKey, result);
+    }
+    sendJson(res, result.status || 200, result.body, result.headers);
+  } catch (error) {
+    console.error(`[mock-api] ${req.method} ${url.pathname} failed`, error);
+    sendJson(res, 500, { error: { code: 'server_error', message: 'Mock server error' } });
+  }
+}
+
+/**
+ * Serve a file from the repository, mirroring a static host
+ *
+ * Directory requests fall back to index.html. Paths are resolved and
+ * checked against the site root so '../' can't escape the repository,
+ * and dotfiles and folders (.git, .analytics) are never served.
+ */
+function serveStatic(res, url) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(url.pathname);
+  } catch (error) {
+    res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Bad request');
+    return;
+  }
+
+  let filePath = path.join(SITE_ROOT, pathname);
+  const relativePath = path.relative(SITE_ROOT, filePath);
+  if (relativePath.startsWith('..') || path.isAbsolute(relativePath)
+    || relativePath.split(path.sep).some(part => part.startsWith('.'))) {
+    res.writeHead(403);
+    res.end('Forbidden');
+    return;
+  }
+
+  if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+    filePath = path.join(filePath, 'index.html');
+  }
+
+  fs.readFile(filePath, (error, contents) => {
+    if (error) {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Not found');
+      return;
+    }
+    const contentType = CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+    res.writeHead(200, { 'Content-Type': contentType });
+    res.end(contents);
+  });
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  console.log(`[mock-api] ${req.method} ${url.pathname}`);
+
+  if (url.pathname.startsWith('/api/')) {
+    handleApi(req, res, url);
+  } else {
+    serveStatic(res, url);
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`[mock-api] Serving site and mock API on http://localhost:${PORT}`);
+});
@@ -0,0 +1,114 @@
+/**
+ * Pickup orders for the mock API
+ *
+ * Shared by POST /api/orders (reserve now, pay at pickup) and the Stripe
+ * Checkout webhook (paid online), so both check carts the same way and
+ * number their orders from one sequence. Orders are only logged;
+ * restarting the server forgets them.
+ */
+
+const CoffeeCatalog = require('../js/catalog.js');
+const inventory = require('./inventory');
+
+const MAX_QUANTITY_PER_LINE = 10;
+
+let nextOrderId = 1;
+
+/**
+ * Resolve a cart's items against current stock
+ * @param {Array<{dropId: number, variantId: string, quantity: number}>} items
+ * @returns {Array<{drop: Object, variant: Object, quantity: number}>|null}
+ *   null for an empty cart or an unknown coffee, bag size or quantity
+ */
+function resolveItems(items) {
+  const lines = (Array.isArray(items) ? items : []).map(item => {
+    if (!item || typeof item !== 'object') {
+      return { drop: null, variant: null, quantity: null };
+    }
+    const drop = inventory.getDrop(item.dropId);
+    const variant = drop ? CoffeeCatalog.getVariants(drop).find(candidate => candidate.id === item.variantId) : null;
+    return { drop, variant, quantity: item.quantity };
+  });
+
+  const isValid = lines.length > 0 && lines.every(line => line.drop && line.variant
+    && Number.isInteger(line.quantity) && line.quantity >= 1 && line.quantity <= MAX_QUANTITY_PER_LINE);
+  return isValid ? lines : null;
+}
+
+/**
+ * The bags to take out of stock for resolved lines, as inventory.reserve expects
+ */
+function toStockLines(lines) {
+  return lines.map(line => ({ dropId: line.drop.id, bags: line.quantity }));
+}
+
+/**
+ * Record an order for resolved lines
+ * @param {Object} details - Extra fields, e.g. { status: 'paid', checkoutSessionId }
+ */
+function create(lines, details = {}) {
+  const order = {
+    id: `order_${nextOrderId++}`,
+    status: 'reserved',
+    items: lines.map(line => ({ dropId: line.drop.id, variantId: line.variant.id, quantity: line.quantity })),
+    totalCents: lines.reduce((total, line) => total + line.variant.priceCents * line.quantity, 0),
+    createdAt: new Date().toISOString(),
+    ...details
+  };
+  console.log(`[mock-api] Order ${order.id} (${order.status}): ${order.items.map(item => `${item.quantity} × ${item.dropId}/${item.variantId}`).join(', ')}`);
+  return order;
+}
+
+/**
+ * Lines whose coffee isn't on sale right now: not released yet, or retired
+ */
+function findUnreleased(lines) {
+  return lines.filter(line => CoffeeCatalog.getReleaseStatus(line.drop) !== 'released');
+}
+
+/**
+ * 409 'not_released' response for lines findUnreleased returned; more
+ * bags wouldn't help, so the customer is asked to remove the coffee
+ */
+function notReleased(lines) {
+  const names = [...new Set(lines.map(line => line.drop.name))];
+  return {
+    status: 409,
+    body: {
+      error: {
+        code: 'not_released',
+        message: `${names.join(' and ')} ${names.length > 1 ? 'aren\'t' : 'isn\'t'} on sale right now. Please remove ${names.length > 1 ? 'them' : 'it'} from your cart.`,
+        dropIds: [...new Set(lines.map(line => line.drop.id))]
+      },
+      inventory: inventory.getLevels()
+    }
+  };
+}
+
+/**
+ * 409 'out_of_stock' response with current stock, for the customer to
+ * lower quantities; nothing has been taken out of stock
+ */
+function outOfStock(shortages) {
+  const names = shortages.map(shortage => inventory.getDrop(shortage.dropId).name);
+  return {
+    status: 409,
+    body: {
+      error: {
+        code: 'out_of_stock',
+        message: `Not enough bags left of ${names.join(' and ')}. Please lower the quantity or remove it.`,
+        shortages
+      },
+      inventory: inventory.getLevels()
+    }
+  };
+}
+
+module.exports = {
+  resolveItems,
+  toStockLines,
+  create,
+  findUnreleased,
+  notReleased,
+  outOfStock
+};
@@ -0,0 +1,253 @@
+/**
+ * Mock checkout backend for Stripe Checkout (features.stripeEnabled)
+ *
+ * - POST /api/checkout/sessions: price a cart ({ mode: 'payment', items })
+ *   or a subscription signup ({ mode: 'subscription', subscription }) from
+ *   config and create a Checkout Session. 201 { session: { id, url } };
+ *   422 'invalid_order' or 'invalid_fields' like the orders and
+ *   subscriptions endpoints; 409 'out_of_stock' with current stock, or
+ *   'not_released' for a coffee that isn't on sale right now
+ * - GET /api/checkout/sessions/:id: the session for the return page, with
+ *   the order or subscription once the webhook has created it
+ * - POST /api/webhooks/stripe: Stripe's events. 'checkout.session.completed'
+ *   takes the bags out of stock and records the paid order, or creates
+ *   the subscription. 400 for a bad signature; repeated events are ignored.
+ *
+ * Prices always come from config, never from the browser. Bags are only
+ * taken once payment succeeds; if a coffee sells out in the meantime, the
+ * order is recorded as 'needs_refund' and the return page says so.
+ *
+ * Stripe itself is server/stripe-stub.js. Sessions and orders live in
+ * memory only.
+ */
+
+const siteConfig = require('../../config/site-config.js');
+const CoffeeCatalog = require('../../js/catalog.js');
+const stripe = require('../stripe-stub');
+const inventory = require('../inventory');
+const orders = require('../orders');
+const subscriptions = require('../subscriptions');
+
+// subscriptionOptions[].interval -> Stripe recurring price. Monthly pickups
+// are every four weeks (RoastSchedule.intervalDays), so they're billed that
+// way too; a calendar month would charge 12 times a year for 13 pickups
+const RECURRING_INTERVALS = {
+  week: { interval: 'week', interval_count: 1 },
+  '2 weeks': { interval: 'week', interval_count: 2 },
+  month: { interval: 'week', interval_count: 4 }
+};
+
+// Checkout Session id -> { request, order, subscription, problem }
+const checkouts = new Map();
+const processedEvents = new Set();
+
+/**
+ * An inline Stripe price for a line item
+ */
+function toLineItem(name, unitAmountCents, quantity, recurring) {
+  return {
+    price_data: {
+      currency: siteConfig.checkout.currency,
+      unit_amount: unitAmountCents,
+      product_data: { name },
+      ...(recurring ? { recurring } : {})
+    },
+    quantity
+  };
+}
+
+/**
+ * Line items for a cart, or an error response
+ */
+function priceCart(items) {
+  const lines = orders.resolveItems(items);
+  if (!lines) {
+    return {
+      error: {
+        status: 422,
+        body: { error: { code: 'invalid_order', message: 'Your cart has a coffee or bag size we don\'t recognise. Please refresh and try again.' } }
+      }
+    };
+  }
+
+  const unreleased = orders.findUnreleased(lines);
+  if (unreleased.length > 0) {
+    return { error: orders.notReleased(unreleased) };
+  }
+
+  const shortages = inventory.check(orders.toStockLines(lines));
+  if (shortages.length > 0) {
+    return { error: orders.outOfStock(shortages) };
+  }
+
+  return {
+    lineItems: lines.map(line => toLineItem(
+      `${line.drop.name} (${CoffeeCatalog.formatWeight(line.variant.weightGrams)})`,
+      line.variant.priceCents,
+      line.quantity
+    ))
+  };
+}
+
+/**
+ * A recurring line item for a subscription signup, or an error response
+ *
+ * Roaster's choice is billed at the lowest price for the bag size, the
+ * bottom of the range the wizard showed. A missing or null signup gets
+ * the same field errors as an empty one.
+ */
+function priceSubscription(signup) {
+  if (!signup || typeof signup !== 'object') {
+    return priceSubscription({});
+  }
+  const fields = subscriptions.validate(signup);
+  const plan = siteConfig.subscriptionOptions.find(option => option.id === signup.planId);
+  if (plan && !RECURRING_INTERVALS[plan.interval]) {
+    fields.planId = 'That plan can\'t be paid for online yet.';
+  }
+  if (Object.keys(fields).length > 0) {
+    return {
+      error: {
+        status: 422,
+        body: { error: { code: 'invalid_fields', message: 'Some choices need attention.', fields } }
+      }
+    };
+  }
+
+  const drop = signup.dropId === null ? null : inventory.getDrop(signup.dropId);
+  const { minCents } = CoffeeCatalog.getPriceRange(drop ? [drop] : subscriptions.getCandidateDrops(null), signup.weightGrams);
+  const name = `${plan.name} subscription: ${drop ? drop.name : 'Roaster\'s choice'} (${CoffeeCatalog.formatWeight(signup.weightGrams)})`;
+  return { lineItems: [toLineItem(name, minCents, signup.bagCount, RECURRING_INTERVALS[plan.interval])] };
+}
+
+/**
+ * The site's origin as the browser sees it, for Stripe's return URLs
+ */
+function getOrigin(headers) {
+  return headers.origin || `http://${headers.host}`;
+}
+
+/**
+ * POST /api/checkout/sessions { mode: 'payment', items } | { mode: 'subscription', subscription }
+ */
+function createCheckoutSession({ body, headers }) {
+  const isSubscription = Boolean(body) && body.mode === 'subscription';
+  if (!isSubscription && (!body || body.mode !== 'payment')) {
+    return { status: 422, body: { error: { code: 'invalid_mode', message: 'mode must be \'payment\' or \'subscription\'' } } };
+  }
+
+  const { lineItems, error } = isSubscription ? priceSubscription(body.subscription) : priceCart(body.items);
+  if (error) {
+    return error;
+  }
+
+  const origin = getOrigin(headers);
+  const session = stripe.createSession({
+    mode: body.mode,
+    line_items: lineItems,
+    customer_email: isSubscription ? body.subscription.email.trim() : undefined,
+    success_url: `${origin}${siteConfig.checkout.successPath}?session_id={CHECKOUT_SESSION_ID}`,
+    cancel_url: `${origin}${siteConfig.checkout.cancelPath}`
+  });
+  checkouts.set(session.id, { request: body, order: null, subscription: null, problem: null });
+
+  console.log(`[mock-api] Checkout ${session.id}: ${session.mode}, ${session.amount_total} ${session.currency}`);
+  return { status: 201, body: { session: { id: session.id, url: session.url } } };
+}
+
+/**
+ * GET /api/checkout/sessions/:id
+ */
+function getCheckoutSession({ params }) {
+  const session = stripe.retrieveSession(params.id);
+  const checkout = checkouts.get(params.id);
+  if (!session || !checkout) {
+    return { status: 404, body: { error: { code: 'not_found', message: 'We couldn\'t find that checkout.' } } };
+  }
+
+  return {
+    status: 200,
+    body: {
+      session: {
+        id: session.id,
+        mode: session.mode,
+        status: session.status,
+        paymentStatus: session.payment_status,
+        currency: session.currency,
+        amountTotalCents: session.amount_total,
+        lineItems: session.line_items.map(item => ({
+          name: item.price_data.product_data.name,
+          quantity: item.quantity,
+          amountCents: item.price_data.unit_amount * item.quantity
+        })),
+        order: checkout.order,
+        subscription: checkout.subscription && {
+          id: checkout.subscription.id,
+          planId: checkout.subscription.planId,
+          email: checkout.subscription.email
+        },
+        problem: checkout.problem
+      }
+    }
+  };
+}
+
+/**
+ * Create the order or subscription for a paid session, once
+ */
+function fulfil(session) {
+  const checkout = checkouts.get(session.id);
+  if (!checkout || checkout.order || checkout.subscription || checkout.problem) {
+    return;
+  }
+
+  if (session.mode === 'payment') {
+    const lines = orders.resolveItems(checkout.request.items);
+    const { shortages } = inventory.reserve(orders.toStockLines(lines));
+    checkout.order = orders.create(lines, {
+      status: shortages.length > 0 ? 'needs_refund' : 'paid',
+      checkoutSessionId: session.id
+    });
+    if (shortages.length > 0) {
+      checkout.problem = 'Some of your coffee sold out while you were paying. We\'ll refund you in full within a few days.';
+    }
+    return;
+  }
+
+  const { subscription, fields } = subscriptions.create(checkout.request.subscription, {
+    checkoutSessionId: session.id,
+    stripeSubscriptionId: session.subscription
+  });
+  checkout.subscription = subscription || null;
+  if (fields) {
+    console.log(`[mock-api] Checkout ${session.id} paid but signup failed; refund needed`, fields);
+    checkout.problem = `${Object.values(fields)[0]} We'll refund your first payment within a few days.`;
+  }
+}
+
+/**
+ * POST /api/webhooks/stripe (signed with the Stripe-Signature header)
+ */
+function handleStripeWebhook({ headers, rawBody }) {
+  let event;
+  try {
+    event = stripe.constructEvent(rawBody, headers['stripe-signature']);
+  } catch (error) {
+    return { status: 400, body: { error: { code: 'invalid_signature', message: error.message } } };
+  }
+
+  // Stripe may deliver an event more than once
+  if (!processedEvents.has(event.id)) {
+    processedEvents.add(event.id);
+    if (event.type === 'checkout.session.completed') {
+      fulfil(event.data.object);
+    }
+  }
+  return { status: 200, body: { received: true } };
+}
+
+module.exports = {
+  'POST /api/checkout/sessions': createCheckoutSession,
+  'GET /api/checkout/sessions/:id': getCheckoutSession,
+  'POST /api/webhooks/stripe': handleStripeWebhook
+};
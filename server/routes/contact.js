@@ -0,0 +1,97 @@
+/**
+ * Mock contact form endpoint
+ *
+ * Mirrors what a real contact backend (or form service) would do, so the
+ * contact page's states can be tried locally:
+ * - 201 when the message is accepted
+ * - 422 'invalid_fields' with a per-field 'fields' map
+ * - 429 'rate_limited' after too many messages from one client
+ *
+ * The spam checks repeat the browser's: a filled-in honeypot field is
+ * accepted with a 201 but discarded, so bots learn nothing, and a form
+ * submitted faster than a person could type is rejected.
+ *
+ * Messages are only logged; restarting the server forgets them.
+ */
+
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const RATE_LIMIT_MAX_MESSAGES = 3;
+const MIN_FILL_TIME_MS = 3000;
+const SUBJECTS = ['order', 'subscription', 'coffee', 'general'];
+
+const messagesByClient = new Map();
+
+/**
+ * Count a message and report whether the client is over the limit
+ */
+function isRateLimited(clientId) {
+  const now = Date.now();
+  const recent = (messagesByClient.get(clientId) || []).filter(time => now - time < RATE_LIMIT_WINDOW_MS);
+  recent.push(now);
+  messagesByClient.set(clientId, recent);
+  return recent.length > RATE_LIMIT_MAX_MESSAGES;
+}
+
+/**
+ * Field errors for a submission, keyed by field name
+ */
+function validateMessage({ name, email, subject, message }) {
+  const fields = {};
+  if (typeof name !== 'string' || name.trim() === '') {
+    fields.name = 'Please tell us your name.';
+  }
+  if (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+    fields.email = 'Please enter a valid email address.';
+  }
+  if (!SUBJECTS.includes(subject)) {
+    fields.subject = 'Please choose a subject.';
+  }
+  if (typeof message !== 'string' || message.trim().length < 10) {
+    fields.message = 'Please write a little more so we can help.';
+  }
+  return fields;
+}
+
+/**
+ * POST /api/contact { name, email, subject, message, website, elapsedMs }
+ *
+ * Field errors come before the fill-time check, so a body with no message
+ * at all (null, []) is told what's missing rather than 'too_fast'.
+ */
+function contact({ body, ip }) {
+  const submission = body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+  if (submission.website) {
+    console.log('[mock-api] Discarded contact message with a filled honeypot');
+    return { status: 201, body: { received: true } };
+  }
+
+  if (isRateLimited(ip)) {
+    return {
+      status: 429,
+      headers: { 'Retry-After': String(RATE_LIMIT_WINDOW_MS / 1000) },
+      body: { error: { code: 'rate_limited', message: 'Too many messages. Please try again in a minute.' } }
+    };
+  }
+
+  const fields = validateMessage(submission);
+  if (Object.keys(fields).length > 0) {
+    return {
+      status: 422,
+      body: { error: { code: 'invalid_fields', message: 'Some fields need attention.', fields } }
+    };
+  }
+
+  if (typeof submission.elapsedMs !== 'number' || submission.elapsedMs < MIN_FILL_TIME_MS) {
+    return {
+      status: 422,
+      body: { error: { code: 'too_fast', message: 'That was quick! Please check your message and send it again.' } }
+    };
+  }
+
+  console.log(`[mock-api] Contact message from ${submission.email} about '${submission.subject}'`);
+  return { status: 201, body: { received: true } };
+}
+
+module.exports = {
+  'POST /api/contact': contact
+};
@@ -0,0 +1,79 @@
+/**
+ * Mock analytics collector (features.analyticsEnabled)
+ *
+ * - POST /api/events { events: [...] }: batches from js/analytics.js,
+ *   usually sent with navigator.sendBeacon (as text/plain, which the
+ *   mock server parses as JSON all the same). 202 with how many were
+ *   accepted; 400 'invalid_batch' for a body without an events array,
+ *   422 'invalid_batch' for more than MAX_EVENTS_PER_BATCH.
+ *
+ * Events are checked against Analytics.schema, the same schema the
+ * browser checks before sending. Accepted ones are appended, one JSON
+ * object per line, to .analytics/events.jsonl (ANALYTICS_DIR to change
+ * the folder), so they can be read with `tail -f` or jq. The folder is
+ * gitignored. Rejected ones are only logged.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Analytics = require('../../js/analytics.js');
+
+const MAX_EVENTS_PER_BATCH = 100;
+const OUTPUT_DIR = path.resolve(process.env.ANALYTICS_DIR || path.join(__dirname, '..', '..', '.analytics'));
+const OUTPUT_FILE = path.join(OUTPUT_DIR, 'events.jsonl');
+
+/**
+ * Problems with one event's envelope and properties
+ */
+function validateEvent(event) {
+  if (!event || typeof event !== 'object') {
+    return ['expected an object'];
+  }
+  const errors = ['id', 'name', 'path', 'timestamp']
+    .filter(key => typeof event[key] !== 'string')
+    .map(key => `'${key}' should be a string`);
+  return errors.concat(Analytics.validateEvent(event.name, event.properties));
+}
+
+/**
+ * POST /api/events
+ */
+function collectEvents({ body, headers }) {
+  if (!body || !Array.isArray(body.events)) {
+    return {
+      status: 400,
+      body: { error: { code: 'invalid_batch', message: 'Expected { events: [...] }' } }
+    };
+  }
+  const events = body.events;
+  if (events.length > MAX_EVENTS_PER_BATCH) {
+    return {
+      status: 422,
+      body: { error: { code: 'invalid_batch', message: `Expected at most ${MAX_EVENTS_PER_BATCH} events in a batch` } }
+    };
+  }
+
+  const receivedAt = new Date().toISOString();
+  const lines = [];
+  let rejected = 0;
+  events.forEach((event, index) => {
+    const errors = validateEvent(event);
+    if (errors.length > 0) {
+      rejected += 1;
+      console.log(`[mock-api] Event ${index} rejected: ${errors.join('; ')}`);
+      return;
+    }
+    lines.push(JSON.stringify({ ...event, receivedAt, userAgent: headers['user-agent'] || null }));
+  });
+
+  if (lines.length > 0) {
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+    fs.appendFileSync(OUTPUT_FILE, `${lines.join('\n')}\n`);
+  }
+  console.log(`[mock-api] Events: ${lines.length} written to ${path.relative(process.cwd(), OUTPUT_FILE)}, ${rejected} rejected`);
+  return { status: 202, body: { accepted: lines.length, rejected } };
+}
+
+module.exports = {
+  'POST /api/events': collectEvents
+};
@@ -0,0 +1,56 @@
+/**
+ * Mock coffee stock and pickup order endpoints
+ *
+ * Used when features.inventoryServiceEnabled is on:
+ * - GET /api/coffee: current stock for every drop, which the site applies
+ *   over the bagsRemaining in config
+ * - POST /api/orders: reserve the cart's bags for pickup. 201 with the
+ *   order and updated stock; 409 'out_of_stock' with current stock when
+ *   any coffee has too few bags left (nothing is reserved then), or
+ *   409 'not_released' for a coffee that isn't on sale yet or any more; 422
+ *   'invalid_order' for an empty or malformed cart
+ *
+ * Stock lives in server/inventory.js, shared with subscription signups
+ * and online checkout; orders are recorded by server/orders.js.
+ */
+
+const inventory = require('../inventory');
+const orders = require('../orders');
+
+/**
+ * GET /api/coffee
+ */
+function getCoffee() {
+  return { status: 200, body: { drops: inventory.getLevels() } };
+}
+
+/**
+ * POST /api/orders { items: [{ dropId, variantId, quantity }] }
+ */
+function createOrder({ body }) {
+  const lines = orders.resolveItems(body && body.items);
+  if (!lines) {
+    return {
+      status: 422,
+      body: { error: { code: 'invalid_order', message: 'Your cart has a coffee or bag size we don\'t recognise. Please refresh and try again.' } }
+    };
+  }
+
+  const unreleased = orders.findUnreleased(lines);
+  if (unreleased.length > 0) {
+    return orders.notReleased(unreleased);
+  }
+
+  const { shortages } = inventory.reserve(orders.toStockLines(lines));
+  if (shortages.length > 0) {
+    return orders.outOfStock(shortages);
+  }
+
+  const order = orders.create(lines);
+  return { status: 201, body: { order, inventory: inventory.getLevels() } };
+}
+
+module.exports = {
+  'GET /api/coffee': getCoffee,
+  'POST /api/orders': createOrder
+};
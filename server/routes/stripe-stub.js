@@ -0,0 +1,148 @@
+/**
+ * Stub Stripe Checkout payment page
+ *
+ * Stands in for checkout.stripe.com so the whole payment flow runs offline
+ * (see server/stripe-stub.js). session.url points here:
+ * - GET /api/stripe-stub/pay/:id: a plain page with the session's line
+ *   items and total, and Pay and Cancel buttons instead of a card form
+ * - POST /api/stripe-stub/pay/:id/complete: "pays", delivers the signed
+ *   'checkout.session.completed' webhook to /api/webhooks/stripe over HTTP
+ *   like Stripe would, then redirects to the session's success_url
+ * - POST /api/stripe-stub/pay/:id/cancel: back to the cancel_url; like
+ *   Stripe, the session stays open
+ */
+
+const http = require('http');
+const { html, string } = require('../../js/utils.js');
+const stripe = require('../stripe-stub');
+
+/**
+ * A complete HTML document response
+ */
+function page(status, title, content) {
+  return {
+    status,
+    headers: { 'Content-Type': 'text/html; charset=utf-8' },
+    body: String(html`<!doctype html>
+      <html lang="en">
+      <head>
+        <meta charset="utf-8" />
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+        <title>${title} - Stripe test mode (stub)</title>
+        <style>
+          body { font-family: system-ui, sans-serif; max-width: 32rem; margin: 3rem auto; padding: 0 1rem; color: #1a1a1a; }
+          .badge { display: inline-block; padding: 0.125rem 0.5rem; border-radius: 9999px; background: #ffd98e; font-size: 0.75rem; font-weight: 600; }
+          table { width: 100%; border-collapse: collapse; margin: 1.5rem 0; }
+          td { padding: 0.5rem 0; border-bottom: 1px solid #e5e5e5; }
+          td:last-child { text-align: right; }
+          form { display: inline; }
+          button { font: inherit; padding: 0.625rem 1.25rem; border-radius: 0.375rem; border: 1px solid #1a1a1a; cursor: pointer; }
+          .pay { background: #1a1a1a; color: #fff; margin-right: 0.5rem; }
+        </style>
+      </head>
+      <body>
+        <p class="badge">Test mode · stub, no card is charged</p>
+        ${content}
+      </body>
+      </html>`)
+  };
+}
+
+/**
+ * ' every week' or ' every 2 weeks' for a recurring price
+ */
+function formatInterval({ interval, interval_count: count }) {
+  return count > 1 ? ` every ${count} ${interval}s` : ` every ${interval}`;
+}
+
+/**
+ * GET /api/stripe-stub/pay/:id
+ */
+function showPaymentPage({ params }) {
+  const session = stripe.retrieveSession(params.id);
+  if (!session) {
+    return page(404, 'Not found', html`<h1>Checkout session not found</h1><p>Restarting the mock server forgets sessions.</p>`);
+  }
+  if (session.status !== 'open') {
+    return page(410, 'Closed', html`<h1>This checkout is already ${session.status}</h1><p><a href="${session.success_url}">Back to the site</a></p>`);
+  }
+
+  const formatAmount = (cents) => string.formatPrice(cents, { currency: session.currency.toUpperCase() });
+  return page(200, 'Pay', html`
+    <h1>Elevate Roasting</h1>
+    <table>
+      ${session.line_items.map(item => html`
+        <tr>
+          <td>${item.quantity} × ${item.price_data.product_data.name}</td>
+          <td>${formatAmount(item.price_data.unit_amount * item.quantity)}${item.price_data.recurring && formatInterval(item.price_data.recurring)}</td>
+        </tr>
+      `)}
+      <tr><td><strong>Total due today</strong></td><td><strong>${formatAmount(session.amount_total)}</strong></td></tr>
+    </table>
+    ${session.customer_email && html`<p>Receipt to ${session.customer_email}</p>`}
+    <form method="post" action="${session.url}/complete"><button class="pay" type="submit">Pay ${formatAmount(session.amount_total)}</button></form>
+    <form method="post" action="${session.url}/cancel"><button type="submit">Cancel</button></form>
+  `);
+}
+
+/**
+ * POST a webhook event to this server, like Stripe would
+ *
+ * Uses http.request rather than fetch, which Node only has from 18 on.
+ * @returns {Promise<number>} The response status
+ */
+function deliverWebhook(host, event) {
+  return new Promise((resolve, reject) => {
+    const request = http.request(`http://${host}/api/webhooks/stripe`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(event.payload),
+        'Stripe-Signature': event.signature
+      }
+    }, (response) => {
+      response.resume();
+      response.on('end', () => resolve(response.statusCode));
+    });
+    request.on('error', reject);
+    request.end(event.payload);
+  });
+}
+
+/**
+ * POST /api/stripe-stub/pay/:id/complete
+ */
+async function completePayment({ params, headers }) {
+  const session = stripe.retrieveSession(params.id);
+  const event = stripe.completeSession(params.id);
+  if (!event) {
+    return showPaymentPage({ params });
+  }
+
+  // Stripe retries failed deliveries for days; the stub just logs them
+  try {
+    const status = await deliverWebhook(headers.host, event);
+    console.log(`[stripe-stub] Webhook checkout.session.completed for ${session.id}: ${status}`);
+  } catch (error) {
+    console.error(`[stripe-stub] Webhook delivery for ${session.id} failed`, error);
+  }
+
+  return { status: 303, headers: { Location: session.success_url } };
+}
+
+/**
+ * POST /api/stripe-stub/pay/:id/cancel
+ */
+function cancelPayment({ params }) {
+  const session = stripe.retrieveSession(params.id);
+  if (!session) {
+    return showPaymentPage({ params });
+  }
+  return { status: 303, headers: { Location: session.cancel_url } };
+}
+
+module.exports = {
+  'GET /api/stripe-stub/pay/:id': showPaymentPage,
+  'POST /api/stripe-stub/pay/:id/complete': completePayment,
+  'POST /api/stripe-stub/pay/:id/cancel': cancelPayment
+};
@@ -0,0 +1,68 @@
+/**
+ * Mock email subscription endpoint
+ *
+ * Mimics the responses a real email provider integration would return,
+ * so every branch of the signup form can be tried locally:
+ * - 201 when a new address is subscribed
+ * - 409 'duplicate' when the address is already on the list
+ * - 422 'invalid_email' for missing or malformed addresses
+ * - 429 'rate_limited' after too many attempts from one client
+ *
+ * Subscribers live in memory only; restarting the server clears them.
+ */
+
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const RATE_LIMIT_MAX_ATTEMPTS = 5;
+
+const subscribers = new Set();
+const attemptsByClient = new Map();
+
+/**
+ * Count an attempt and report whether the client is over the limit
+ *
+ * A fixed window per IP is crude but predictable, which is what you want
+ * when deliberately triggering a 429 while testing.
+ */
+function isRateLimited(clientId) {
+  const now = Date.now();
+  const recent = (attemptsByClient.get(clientId) || []).filter(time => now - time < RATE_LIMIT_WINDOW_MS);
+  recent.push(now);
+  attemptsByClient.set(clientId, recent);
+  return recent.length > RATE_LIMIT_MAX_ATTEMPTS;
+}
+
+/**
+ * POST /api/subscribe { email }
+ */
+function subscribe({ body, ip }) {
+  if (isRateLimited(ip)) {
+    return {
+      status: 429,
+      headers: { 'Retry-After': String(RATE_LIMIT_WINDOW_MS / 1000) },
+      body: { error: { code: 'rate_limited', message: 'Too many signup attempts. Please try again in a minute.' } }
+    };
+  }
+
+  const email = body && typeof body.email === 'string' ? body.email.trim().toLowerCase() : '';
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return {
+      status: 422,
+      body: { error: { code: 'invalid_email', message: 'Please enter a valid email address.' } }
+    };
+  }
+
+  if (subscribers.has(email)) {
+    return {
+      status: 409,
+      body: { error: { code: 'duplicate', message: 'This email is already subscribed.' } }
+    };
+  }
+
+  subscribers.add(email);
+  console.log(`[mock-api] New subscriber: ${email} (${subscribers.size} total)`);
+  return { status: 201, body: { subscribed: true, email } };
+}
+
+module.exports = {
+  'POST /api/subscribe': subscribe
+};
@@ -0,0 +1,100 @@
+/**
+ * Mock subscription endpoints
+ *
+ * Signup, for direct signups through the API (with payments enabled, the
+ * wizard signs up through Stripe Checkout instead; see routes/checkout.js):
+ * - POST /api/subscriptions: 201 with the new subscription, or 422
+ *   'invalid_fields' with a per-field 'fields' map
+ *
+ * Self-service, from the My subscription page. Subscribers sign in with
+ * the magic link they're emailed (see server/subscriptions.js):
+ * - POST /api/subscriptions/links: 202 whether or not the email has a
+ *   subscription, so the form can't be used to find out who subscribes
+ * - GET /api/subscriptions/me: the token's subscription, or 401
+ * - PATCH /api/subscriptions/me: apply a change (see js/subscriptions.js),
+ *   422 'invalid_change' with a message when it isn't allowed
+ * The token is sent as 'Authorization: Bearer <token>'.
+ *
+ * Changes go through the same Subscriptions rules the page uses in demo
+ * mode, so both behave the same.
+ */
+
+const siteConfig = require('../../config/site-config.js');
+const inventory = require('../inventory');
+const Subscriptions = require('../../js/subscriptions.js');
+const subscriptions = require('../subscriptions');
+
+const UNAUTHORIZED = {
+  status: 401,
+  body: { error: { code: 'invalid_token', message: 'This link has expired or is invalid. Request a new one.' } }
+};
+
+/**
+ * POST /api/subscriptions { planId, dropId, bagCount, weightGrams, pickupDay, name, email, phone }
+ */
+function createSubscription({ body }) {
+  const { subscription, fields } = subscriptions.create(body);
+  if (fields) {
+    return {
+      status: 422,
+      body: { error: { code: 'invalid_fields', message: 'Some choices need attention.', fields } }
+    };
+  }
+  return { status: 201, body: { subscription } };
+}
+
+/**
+ * POST /api/subscriptions/links { email }
+ */
+function requestManageLink({ body }) {
+  const email = body && typeof body.email === 'string' ? body.email.trim().toLowerCase() : '';
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return {
+      status: 422,
+      body: { error: { code: 'invalid_fields', message: 'Some fields need attention.', fields: { email: 'Please enter a valid email address.' } } }
+    };
+  }
+
+  const matches = subscriptions.findByEmail(email);
+  matches.forEach(subscriptions.sendManageLink);
+  if (matches.length === 0) {
+    console.log(`[mock-api] No subscription for ${email}; no link sent`);
+  }
+  return { status: 202, body: { sent: true } };
+}
+
+/**
+ * GET /api/subscriptions/me
+ */
+function getOwnSubscription({ headers }) {
+  const subscription = subscriptions.authenticate(headers);
+  return subscription ? { status: 200, body: { subscription } } : UNAUTHORIZED;
+}
+
+/**
+ * PATCH /api/subscriptions/me { action, ... }
+ */
+function updateOwnSubscription({ headers, body }) {
+  const subscription = subscriptions.authenticate(headers);
+  if (!subscription) {
+    return UNAUTHORIZED;
+  }
+
+  // Live stock, so a subscriber can't switch to a coffee signup would refuse
+  const config = { ...siteConfig, coffeeDrops: inventory.getDrops() };
+  const result = Subscriptions.applyChange(subscription, body, config);
+  if (result.error) {
+    return { status: 422, body: { error: { code: 'invalid_change', message: result.error } } };
+  }
+
+  subscriptions.save(result.subscription);
+  console.log(`[mock-api] Subscription ${subscription.id}: ${body.action}`);
+  return { status: 200, body: { subscription: result.subscription } };
+}
+
+module.exports = {
+  'POST /api/subscriptions': createSubscription,
+  'POST /api/subscriptions/links': requestManageLink,
+  'GET /api/subscriptions/me': getOwnSubscription,
+  'PATCH /api/subscriptions/me': updateOwnSubscription
+};
@@ -0,0 +1,138 @@
+/**
+ * Offline stand-in for the parts of Stripe that checkout uses
+ *
+ * Mimics Stripe's Checkout Session objects and webhook signing closely
+ * enough that server/routes/checkout.js reads as it would against the real
+ * `stripe` client; moving to real Stripe means swapping these calls, not
+ * reworking the flow. No keys, no network, nothing is charged.
+ * - createSession / retrieveSession: like stripe.checkout.sessions.create
+ *   and .retrieve, with Stripe's field names (snake_case, amounts in
+ *   cents, 'cs_test_' ids). session.url is the stub's payment page (see
+ *   routes/stripe-stub.js) instead of checkout.stripe.com.
+ * - completeSession: what Stripe does when the customer pays. Returns the
+ *   signed 'checkout.session.completed' event for delivery.
+ * - constructEvent: verifies a 'Stripe-Signature' header and parses the
+ *   event, like stripe.webhooks.constructEvent. The signature is an
+ *   HMAC-SHA256 of '<timestamp>.<payload>' with the webhook secret, sent as
+ *   't=<timestamp>,v1=<hex>'.
+ *
+ * The webhook secret is STRIPE_WEBHOOK_SECRET when set, otherwise a fixed
+ * test secret. Sessions live in memory only.
+ */
+
+const crypto = require('crypto');
+
+const WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || 'whsec_test_elevate_roasting';
+
+// Older signatures are rejected, so a captured webhook can't be replayed later
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+const sessions = new Map();
+
+function createId(prefix) {
+  return `${prefix}_test_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * Create a Checkout Session
+ * @param {Object} params - { mode, line_items, success_url, cancel_url,
+ *   client_reference_id?, customer_email? }. Line items use inline prices:
+ *   { price_data: { currency, unit_amount, product_data: { name }, recurring? }, quantity }
+ * @returns {Object} The session; success_url's '{CHECKOUT_SESSION_ID}' is filled in
+ */
+function createSession(params) {
+  const id = createId('cs');
+  const session = {
+    id,
+    object: 'checkout.session',
+    mode: params.mode,
+    status: 'open',
+    payment_status: 'unpaid',
+    currency: params.line_items[0].price_data.currency,
+    amount_total: params.line_items.reduce((total, item) => total + item.price_data.unit_amount * item.quantity, 0),
+    line_items: params.line_items,
+    client_reference_id: params.client_reference_id || null,
+    customer_email: params.customer_email || null,
+    subscription: null,
+    success_url: params.success_url.replace('{CHECKOUT_SESSION_ID}', id),
+    cancel_url: params.cancel_url,
+    url: `/api/stripe-stub/pay/${id}`,
+    created: Math.floor(Date.now() / 1000)
+  };
+  sessions.set(id, session);
+  return session;
+}
+
+/**
+ * A session by id, or null
+ */
+function retrieveSession(id) {
+  return sessions.get(id) || null;
+}
+
+/**
+ * Sign a webhook payload the way Stripe does
+ * @returns {string} A 'Stripe-Signature' header value
+ */
+function signPayload(payload, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', WEBHOOK_SECRET).update(`${timestamp}.${payload}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Mark an open session paid, as Stripe does when the customer pays
+ * @returns {{payload: string, signature: string}|null} The signed
+ *   'checkout.session.completed' event, or null if the session isn't open
+ */
+function completeSession(id) {
+  const session = sessions.get(id);
+  if (!session || session.status !== 'open') {
+    return null;
+  }
+
+  session.status = 'complete';
+  session.payment_status = 'paid';
+  if (session.mode === 'subscription') {
+    session.subscription = createId('sub');
+  }
+
+  const payload = JSON.stringify({
+    id: createId('evt'),
+    object: 'event',
+    type: 'checkout.session.completed',
+    created: Math.floor(Date.now() / 1000),
+    data: { object: session }
+  });
+  return { payload, signature: signPayload(payload) };
+}
+
+/**
+ * Verify a webhook's signature and parse its event
+ * @param {string} payload - The request body exactly as received
+ * @param {string} header - The 'Stripe-Signature' header
+ * @throws {Error} When the signature is missing, wrong or too old
+ */
+function constructEvent(payload, header) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.v1) {
+    throw new Error('Missing or malformed Stripe-Signature header');
+  }
+
+  const expected = Buffer.from(signPayload(payload, timestamp).split('v1=')[1]);
+  const received = Buffer.from(parts.v1);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new Error('Webhook signature does not match the payload');
+  }
+  if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    throw new Error('Webhook timestamp is outside the tolerance');
+  }
+  return JSON.parse(payload);
+}
+
+module.exports = {
+  createSession,
+  retrieveSession,
+  completeSession,
+  constructEvent
+};
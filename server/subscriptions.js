@@ -0,0 +1,173 @@
+/**
+ * In-memory subscriptions for the mock API
+ *
+ * Shared by the subscription routes and the Stripe Checkout webhook, which
+ * creates the subscription once its first payment goes through. Choices
+ * are checked against config/site-config.js, the same data the wizard
+ * renders from. A signup takes its first pickup's bags out of stock (see
+ * server/inventory.js); for roaster's choice, from whichever coffee has
+ * the most left.
+ *
+ * Subscribers sign in with a magic link: a private token, emailed to them,
+ * that stands in for a password. Nothing is emailed here; the link is
+ * logged to the console.
+ *
+ * Everything lives in memory only; restarting the server clears it.
+ */
+
+const crypto = require('crypto');
+const siteConfig = require('../config/site-config.js');
+const CoffeeCatalog = require('../js/catalog.js');
+const inventory = require('./inventory');
+
+const MAX_BAGS = 4;
+
+const subscriptions = new Map();
+// Magic link token -> subscription id
+const tokens = new Map();
+let nextId = 1;
+
+/**
+ * Issue a magic link for a subscription and "email" it
+ */
+function sendManageLink(subscription) {
+  const token = crypto.randomBytes(24).toString('hex');
+  tokens.set(token, subscription.id);
+  console.log(`[mock-api] Manage link for ${subscription.email}: /my-subscription.html?token=${token}`);
+}
+
+/**
+ * The subscription for a request's bearer token, or null
+ */
+function authenticate(headers) {
+  const match = /^Bearer (\S+)$/.exec(headers.authorization || '');
+  const id = match ? tokens.get(match[1]) : null;
+  return id ? subscriptions.get(id) : null;
+}
+
+/**
+ * Every subscription for an email address
+ */
+function findByEmail(email) {
+  return Array.from(subscriptions.values()).filter(subscription => subscription.email === email);
+}
+
+/**
+ * Store an updated copy of a subscription
+ */
+function save(subscription) {
+  subscriptions.set(subscription.id, subscription);
+}
+
+/**
+ * Coffees a signup could be filled from, with current stock
+ *
+ * null means roaster's choice: any available coffee.
+ */
+function getCandidateDrops(dropId) {
+  return inventory.getDrops()
+    .filter(drop => CoffeeCatalog.isAvailable(drop) && (dropId === null || drop.id === dropId));
+}
+
+/**
+ * Take the first pickup's bags out of stock
+ * @returns {string|null} A field error for 'coffee' when there aren't enough
+ */
+function reserveFirstPickup({ dropId, bagCount, weightGrams }) {
+  const bagsLeft = (drop) => (typeof drop.bagsRemaining === 'number' ? drop.bagsRemaining : Infinity);
+  const drop = getCandidateDrops(dropId)
+    .filter(candidate => CoffeeCatalog.getVariants(candidate).some(variant => variant.weightGrams === weightGrams))
+    .sort((a, b) => bagsLeft(b) - bagsLeft(a))[0];
+
+  const { shortages } = inventory.reserve([{ dropId: drop.id, bags: bagCount }]);
+  if (shortages.length === 0) {
+    return null;
+  }
+  const { bagsRemaining } = shortages[0];
+  return `Only ${bagsRemaining} ${bagsRemaining === 1 ? 'bag' : 'bags'} left. Please choose fewer bags or another coffee.`;
+}
+
+/**
+ * Field errors for a signup, keyed by field name
+ *
+ * Checks the choices only; stock is taken (and can run short) in create.
+ * Anything but an object (a null body) is treated as an empty signup.
+ */
+function validate(signup) {
+  const { planId, dropId, bagCount, weightGrams, pickupDay, name, email } = signup && typeof signup === 'object' ? signup : {};
+  const fields = {};
+
+  if (!siteConfig.subscriptionOptions.some(plan => plan.id === planId)) {
+    fields.planId = 'Please choose how often.';
+  }
+
+  const drops = getCandidateDrops(dropId);
+  if (drops.length === 0) {
+    fields.coffee = 'That coffee is no longer available.';
+  } else if (!drops.some(drop => CoffeeCatalog.getVariants(drop).some(variant => variant.weightGrams === weightGrams))) {
+    fields.weightGrams = 'That bag size isn\'t available.';
+  }
+
+  if (!Number.isInteger(bagCount) || bagCount < 1 || bagCount > MAX_BAGS) {
+    fields.bagCount = `Please choose between 1 and ${MAX_BAGS} bags.`;
+  }
+  if (!siteConfig.pickup || !siteConfig.pickup.days.some(day => day.id === pickupDay)) {
+    fields.pickupDay = 'Please choose a pickup day.';
+  }
+  if (typeof name !== 'string' || name.trim() === '') {
+    fields.name = 'Please tell us your name.';
+  }
+  if (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+    fields.email = 'Please enter a valid email address.';
+  }
+  return fields;
+}
+
+/**
+ * Sign someone up: validate, take the first pickup's bags and send their manage link
+ * @param {Object} signup - { planId, dropId, bagCount, weightGrams, pickupDay, name, email, phone }
+ * @param {Object} details - Extra fields to store, e.g. { checkoutSessionId }
+ * @returns {{subscription: Object}|{fields: Object}} The subscription, or field errors
+ */
+function create(signup, details = {}) {
+  const fields = validate(signup);
+  if (Object.keys(fields).length === 0) {
+    const shortage = reserveFirstPickup(signup);
+    if (shortage) {
+      fields.coffee = shortage;
+    }
+  }
+  if (Object.keys(fields).length > 0) {
+    return { fields };
+  }
+
+  const subscription = {
+    id: `sub_${nextId++}`,
+    status: 'active',
+    planId: signup.planId,
+    dropId: signup.dropId,
+    bagCount: signup.bagCount,
+    weightGrams: signup.weightGrams,
+    pickupDay: signup.pickupDay,
+    name: signup.name.trim(),
+    email: signup.email.trim().toLowerCase(),
+    phone: signup.phone || null,
+    createdAt: new Date().toISOString(),
+    ...details
+  };
+  save(subscription);
+
+  console.log(`[mock-api] Subscription ${subscription.id}: ${subscription.planId} for ${subscription.email}`);
+  sendManageLink(subscription);
+  return { subscription };
+}
+
+module.exports = {
+  authenticate,
+  findByEmail,
+  save,
+  sendManageLink,
+  getCandidateDrops,
+  validate,
+  create
+};